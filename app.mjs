@@ -1,88 +1,52 @@
 import express from "express";
 import cors from "cors";
-import { blogPosts } from "./db/index.mjs";
+import {
+  createPostStore,
+  createCategoryStore,
+  createLikeStore,
+  createCommentStore,
+  createRevisionStore
+} from "./db/store.mjs";
 import helmet from "helmet";
-
-// สร้าง Express application
-const app = express();
-const port = process.env.PORT || 4001;
-
-// การตั้งค่า CORS สำหรับความปลอดภัย
-const corsOptions = {
-  origin: function (origin, callback) {
-    // อนุญาตให้ requests ที่ไม่มี origin (เช่น mobile apps หรือ curl)
-    if (!origin) return callback(null, true);
-    
-    // รายการ origins ที่อนุญาต จาก environment variable หรือ default
-    const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'];
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true); // อนุญาต
-    } else {
-      callback(new Error('Not allowed by CORS')); // ปฏิเสธ
-    }
-  },
-  methods: ['GET'], // อนุญาตเฉพาะ GET methods สำหรับ API นี้
-  optionsSuccessStatus: 200,
-  credentials: false, // ปิดการส่ง credentials เพื่อความปลอดภัย
-  maxAge: 86400 // cache preflight response เป็นเวลา 24 ชั่วโมง
-};
-
-// การตั้งค่า helmet สำหรับ security headers
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"], // อนุญาตเฉพาะ same-origin
-      scriptSrc: ["'self'"], // script จาก same-origin เท่านั้น
-      styleSrc: ["'self'", "'unsafe-inline'"], // style จาก same-origin และ inline
-      imgSrc: ["'self'", "data:", "https:"], // รูปภาพจาก same-origin, data URLs และ HTTPS
-    },
-  },
-  hsts: {
-    maxAge: 31536000, // HTTPS Strict Transport Security เป็นเวลา 1 ปี
-    includeSubDomains: true, // รวม subdomains ด้วย
-    preload: true // เพิ่มใน browser preload list
-  },
-  frameguard: { action: 'deny' } // ป้องกัน clickjacking โดยห้าม iframe
-}));
-
-app.use(cors(corsOptions));
-
-// จำกัดขนาด JSON payload เพื่อป้องกัน DoS
-app.use(express.json({ limit: '10mb' }));
-
-// ลบ X-Powered-By header เพื่อไม่เปิดเผยข้อมูล server
-app.disable('x-powered-by');
-
-// เพิ่ม request timeout เพื่อป้องกัน slow loris attacks
-app.use((req, res, next) => {
-  res.setTimeout(30000, () => {
-    res.status(408).json({ error: 'Request timeout' });
-  });
-  next();
-});
-
-// ฟังก์ชันตรวจสอบพารามิเตอร์การแบ่งหน้า (pagination)
-function validatePaginationParams(page, limit) {
+import { normalizePostPayload } from "./post-validation.mjs";
+import { authenticate, requireRole, canEditPost } from "./auth-middleware.mjs";
+import { createSearchIndex } from "./search.mjs";
+import { createCategoryCatalog } from "./categories.mjs";
+import { renderMarkdown } from "./markdown.mjs";
+import { createLikeService, likerKeyFor, VersionConflictError } from "./likes.mjs";
+import { createCommentSection } from "./comments.mjs";
+import { effectiveStatus, canViewPost, checkStatusChange } from "./post-workflow.mjs";
+import { createRevisionHistory, RESTORABLE_FIELDS } from "./revisions.mjs";
+import { FEED_CONTENT_TYPES, renderRss, renderAtom, renderJsonFeed } from "./feeds.mjs";
+import { sendCacheable, ifMatchSatisfied } from "./http-cache.mjs";
+import { createPaginationResult } from "./pagination.mjs";
+import { openApiDocument, createOpenApiValidator, createOpenApiRouter } from "./openapi.mjs";
+import {
+  parseSortParam,
+  parseFilterParams,
+  parseFieldsParam,
+  projectPost,
+  createOrdering
+} from "./post-query.mjs";
+import { createCursorCodec } from "./cursor.mjs";
+import { sendProblem, sendServerError, problemTypeHandler } from "./problem-details.mjs";
+import { createLogger, createRequestLogger, loggerFor, REQUEST_ID_HEADER } from "./logger.mjs";
+import { createMetrics } from "./metrics.mjs";
+import { createHealthChecks, getBuildInfo } from "./health.mjs";
+import { createRateLimit, validateInput, securityHeaders } from "./security-middleware.mjs";
+import { loadConfig } from "./config.mjs";
+
+// ฟังก์ชันตรวจสอบพารามิเตอร์ cursor (after/before) ว่าไม่ถูกใช้ร่วมกับ page หรือใช้พร้อมกันทั้งสองตัว
+function validateCursorParams(page, after, before) {
   const errors = [];
-  
-  if (page !== undefined) {
-    if (isNaN(Number(page)) || Number(page) < 1) {
-      errors.push('Page must be a positive number'); // หน้าต้องเป็นเลขบวก
-    }
-    if (Number(page) > 1000000) {
-      errors.push('Page number too large'); // หน้าใหญ่เกินไป
-    }
+
+  if (after !== undefined && before !== undefined) {
+    errors.push('Cannot combine after and before cursors');
   }
-  
-  if (limit !== undefined) {
-    if (isNaN(Number(limit)) || Number(limit) < 1) {
-      errors.push('Limit must be a positive number'); // จำนวนต้องเป็นเลขบวก
-    }
-    if (Number(limit) > 100) {
-      errors.push('Limit cannot exceed 100'); // จำกัดสูงสุด 100 รายการ
-    }
+  if (page !== undefined && (after !== undefined || before !== undefined)) {
+    errors.push('Cannot combine page with after/before cursors');
   }
-  
+
   return errors;
 }
 
@@ -92,229 +56,903 @@ function sanitizeString(str) {
   return str.trim().toLowerCase(); // ตัดช่องว่างและแปลงเป็นตัวเล็ก
 }
 
-// Endpoint หลัก - หน้าแรกของ API
-app.get("/", (req, res) => {
-  res.json({ 
-    message: "Hello TechUp!",
-    version: "1.0.0",
-    timestamp: new Date().toISOString() // เวลาปัจจุบัน
-  });
-});
-
-// ฟังก์ชันกรองโพสต์ตามหมวดหมู่ (category)
-function filterByCategory(posts, category) {
-  if (!category) return posts; // ถ้าไม่มี category ให้คืนโพสต์ทั้งหมด
-  
-  const sanitizedCategory = sanitizeString(category);
-  if (!sanitizedCategory) return posts;
-  
-  // กรองโพสต์ที่มี category ตรงกัน
-  return posts.filter(
-    (post) => sanitizeString(post.category) === sanitizedCategory
-  );
+// ฟังก์ชันตรวจสอบว่า author ไม่ได้สร้างหรือแก้ไขโพสต์ในนามของผู้อื่น
+function isAuthorImpersonation(user, body) {
+  return user.role === 'author' && body && body.author !== undefined && body.author !== user.name;
 }
 
-// ฟังก์ชันกรองโพสต์ตามคำค้นหา (keyword)
-function filterByKeyword(posts, keyword) {
-  if (!keyword) return { filteredPosts: posts, error: null };
-  
-  const trimmedKeyword = keyword.trim();
-  // ตรวจสอบความยาวคำค้นหา - ต้องมีอย่างน้อย 2 ตัวอักษร
-  if (trimmedKeyword.length > 0 && trimmedKeyword.length < 2) {
-    return { 
-      filteredPosts: posts, 
-      error: "Keyword must be at least 2 characters long" 
-    };
+// ส่ง 403 เมื่อผู้ใช้ไม่มีสิทธิ์จัดการโพสต์นี้
+function sendPostForbidden(res) {
+  return sendProblem(res, 'forbidden', { detail: "Authors can only manage their own posts" });
+}
+
+// ส่งข้อผิดพลาดของการเปลี่ยนสถานะ (403 สิทธิ์ไม่พอ หรือ 422 เปลี่ยนสถานะไม่ได้)
+function sendStatusError(res, { status, message }) {
+  if (status === 403) {
+    return sendProblem(res, 'forbidden', { detail: message });
   }
-  
-  const sanitizedKeyword = sanitizeString(keyword);
-  if (!sanitizedKeyword || sanitizedKeyword.length < 2) {
-    return { filteredPosts: posts, error: null };
+  return sendProblem(res, 'invalid_post', { errors: [message] });
+}
+
+// แทนที่ status ที่บันทึกไว้ด้วยสถานะจริง ณ ตอนนี้ (โพสต์เดิมที่ไม่มี status เป็น published)
+// โพสต์เดิมที่ยังไม่มี version ถือเป็น version 1
+function withStatus(post, now) {
+  return { ...post, status: effectiveStatus(post, now), version: post.version || 1 };
+}
+
+// โพสต์ที่เพิ่งเปลี่ยนเป็น published โดยไม่ระบุ publishAt ใช้เวลาปัจจุบันเป็นเวลาเผยแพร่
+// previous: โพสต์ก่อนแก้ไข (null ตอนสร้าง), now: เวลาปัจจุบันจาก clock ของ app
+function stampPublishAt(post, previous, now) {
+  const wasPublished = previous !== null && effectiveStatus(previous, now) === 'published';
+  if (post.status === 'published' && !post.publishAt && !wasPublished) {
+    return { ...post, publishAt: now };
   }
-  
-  // ค้นหาในหัวข้อ, รายละเอียด, เนื้อหา และหมวดหมู่
-  const filtered = posts.filter(
-    (post) =>
-      sanitizeString(post.title).includes(sanitizedKeyword) ||
-      sanitizeString(post.description).includes(sanitizedKeyword) ||
-      sanitizeString(post.content).includes(sanitizedKeyword) ||
-      sanitizeString(post.category).includes(sanitizedKeyword)
-  );
-  
-  return { filteredPosts: filtered, error: null };
+  return post;
 }
 
-// ฟังก์ชันสร้างผลลัพธ์การแบ่งหน้า (pagination)
-function createPaginationResult(posts, numPage, numLimit) {
-  const startIndex = (numPage - 1) * numLimit; // ตำแหน่งเริ่มต้น
-  const endIndex = startIndex + numLimit; // ตำแหน่งสิ้นสุด
-  const totalPages = Math.ceil(posts.length / numLimit); // จำนวนหน้าทั้งหมด
+// ฟังก์ชันรวมตัวกรองหลายตัว (โพสต์ต้องผ่านทุกตัวกรอง)
+function combineFilters(filters) {
+  const active = filters.filter(Boolean);
+  if (active.length === 0) return undefined;
+  return (post) => active.every((filter) => filter(post));
+}
 
-  const results = {
-    totalPosts: posts.length, // จำนวนโพสต์ทั้งหมด
-    totalPages, // จำนวนหน้าทั้งหมด
-    currentPage: numPage, // หน้าปัจจุบัน
+// ฟังก์ชันสร้างผลลัพธ์การแบ่งหน้าแบบ cursor (ไม่มีหมายเลขหน้า เพราะตำแหน่งอ้างอิงจาก cursor)
+function createCursorPaginationResult({ items, total }, numLimit, { hasNextPage, hasPreviousPage }) {
+  return {
+    totalPosts: total, // จำนวนโพสต์ทั้งหมดที่ตรงกับตัวกรอง
     limit: numLimit, // จำนวนรายการต่อหน้า
-    posts: posts.slice(startIndex, endIndex), // โพสต์ในหน้านี้
-    hasNextPage: endIndex < posts.length, // มีหน้าถัดไปหรือไม่
-    hasPreviousPage: startIndex > 0 // มีหน้าก่อนหน้าหรือไม่
+    posts: items, // โพสต์ในหน้านี้
+    hasNextPage, // มีหน้าถัดไปหรือไม่
+    hasPreviousPage // มีหน้าก่อนหน้าหรือไม่
   };
+}
 
-  // เพิ่มหมายเลขหน้าถัดไปถ้ามี
-  if (results.hasNextPage) {
-    results.nextPage = numPage + 1;
+// ฟังก์ชันเพิ่ม cursor ของหน้าถัดไป/ก่อนหน้าในผลลัพธ์ และใน Link header (RFC 8288) - cursor สร้างด้วย codec ของ app
+function addPaginationCursors(req, res, results, ordering, { encodeCursor }) {
+  const { posts } = results;
+  if (posts.length > 0 && results.hasNextPage) {
+    results.nextCursor = encodeCursor(ordering.keyOf(posts[posts.length - 1]), ordering.signature);
   }
-
-  // เพิ่มหมายเลขหน้าก่อนหน้าถ้ามี
-  if (results.hasPreviousPage) {
-    results.previousPage = numPage - 1;
+  if (posts.length > 0 && results.hasPreviousPage) {
+    results.previousCursor = encodeCursor(ordering.keyOf(posts[0]), ordering.signature);
   }
 
+  // สร้างลิงก์โดยคงพารามิเตอร์อื่นไว้ (ตัวกรอง, sort, limit) แต่แทนที่ตำแหน่งด้วย cursor
+  const buildLink = (name, cursor, rel) => {
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([key, value]) => {
+      if (!['page', 'after', 'before'].includes(key) && typeof value === 'string') {
+        params.append(key, value);
+      }
+    });
+    params.set(name, cursor);
+    return `<${req.path}?${params.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (results.nextCursor) links.push(buildLink('after', results.nextCursor, 'next'));
+  if (results.previousCursor) links.push(buildLink('before', results.previousCursor, 'prev'));
+  if (links.length > 0) res.setHeader('Link', links.join(', '));
+
   return results;
 }
 
-// Endpoint สำหรับดึงรายการโพสต์พร้อมการกรองและแบ่งหน้า
-app.get("/posts", (req, res) => {
-  try {
-    const { page, limit, category, keyword } = req.query;
-
-    // ตรวจสอบตัวเลขที่ใหญ่เกินไปแต่ยังเป็น valid number
-    if (page && !isNaN(Number(page)) && Number(page) > 1000000) {
-      return res.status(400).json({
-        error: "Pagination values too large"
+// สร้าง Express application หนึ่งตัว - แต่ละตัวมี store, search index, rate limiter และ metrics ของตัวเอง
+// จึงสร้างหลายตัวใน process เดียวได้ (เช่นการทดสอบที่ใช้ข้อมูลหรือเวลาต่างกัน)
+// store: { posts, categories, likes, comments, revisions } - ตัวที่ไม่ระบุใช้ adapter จาก config.store (POST_STORE)
+//   และ rateLimits: backend ของ rate limit ที่ใช้ร่วมกันหลาย instance (ไม่ระบุใช้ memory store ของ process นี้)
+// config: ผลของ loadConfig() (ค่าที่ไม่ถูกต้องทำให้สร้างไม่สำเร็จด้วย ConfigError)
+// logger: logger หลักของ access log และ error log, clock: คืนค่าเวลาปัจจุบัน (Date)
+export function createApp({
+  store = {},
+  config = loadConfig(),
+  logger = createLogger({ level: config.logLevel }),
+  clock = () => new Date()
+} = {}) {
+  const app = express();
+  app.locals.config = config;
+  app.locals.logger = logger;
+
+  // proxy ที่เชื่อถือได้ - req.ip (rate limit, like ของ anonymous และ access log) มาจาก X-Forwarded-For ที่ proxy เหล่านี้ใส่
+  app.set('trust proxy', config.trustProxy);
+
+  // repository ของโพสต์
+  const postStore = store.posts || createPostStore(config.store);
+
+  // inverted index สำหรับการค้นหา (สร้างจาก store ครั้งแรกที่มีการค้นหา และอัปเดตเมื่อโพสต์เปลี่ยน)
+  let searchIndexPromise = null;
+  function getSearchIndex() {
+    if (!searchIndexPromise) {
+      searchIndexPromise = postStore.list().then(({ items }) => {
+        const index = createSearchIndex();
+        items.forEach((post) => index.add(post));
+        return index;
       });
     }
+    return searchIndexPromise;
+  }
+
+  // การกดถูกใจโพสต์ - ตัวนับ likes ของโพสต์เปลี่ยนตามจำนวนผู้กดถูกใจจริง
+  const likeService = createLikeService({ likeStore: store.likes || createLikeStore(config.store), postStore, clock });
+
+  // ประวัติการแก้ไขโพสต์ - การสร้างและแก้ไขโพสต์ทุกครั้งบันทึก revision ผ่าน postHistory
+  // การแก้ไขเขียนผ่านคิวของ likeService จึงไม่ทับ likes ที่เกิดขึ้นระหว่างแก้ไข
+  const postHistory = createRevisionHistory({
+    revisionStore: store.revisions || createRevisionStore(config.store),
+    postStore,
+    updatePost: likeService.updatePost,
+    clock,
+    pagination: { defaultLimit: config.revisions.pageSize, maxLimit: config.pagination.maxLimit }
+  });
+
+  // หมวดหมู่ของโพสต์ (/categories) - เมื่อเปลี่ยนชื่อหรือลบหมวดหมู่ โพสต์ที่ถูกย้ายจะบันทึก revision
+  // และถูกอัปเดตใน search index
+  const categoryCatalog = createCategoryCatalog({
+    categoryStore: store.categories || createCategoryStore(config.store),
+    postStore,
+    updatePost: (current, data, user) => postHistory.update(current, data, user),
+    clock,
+    canViewPost: (user, post) => canViewPost(user, post, clock()),
+    onPostChanged: async (post) => (await getSearchIndex()).add(post)
+  });
 
-    if (limit && !isNaN(Number(limit)) && Number(limit) > 1000000) {
-      return res.status(400).json({
-        error: "Pagination values too large"
+  // ความคิดเห็นใต้โพสต์ (/posts/:id/comments)
+  const commentSection = createCommentSection({
+    commentStore: store.comments || createCommentStore(config.store),
+    postStore,
+    clock,
+    canViewPost: (user, post) => canViewPost(user, post, clock()),
+    pagination: { defaultLimit: config.comments.pageSize, maxLimit: config.pagination.maxLimit }
+  });
+
+  // cursor ของการแบ่งหน้าแบบ cursor-based ลงลายเซ็นด้วย config.cursorSecret (CURSOR_SECRET)
+  const cursors = createCursorCodec(config.cursorSecret);
+
+  // ตัวตรวจสอบ request/response ตามเอกสาร OpenAPI
+  // openApiValidateResponses ตรวจสอบ response ด้วย (เปิดในการทดสอบเพื่อให้เอกสารตรงกับโค้ดเสมอ)
+  const openApiValidator = createOpenApiValidator(openApiDocument, {
+    validateResponses: config.openApiValidateResponses
+  });
+
+  // การตั้งค่า CORS สำหรับความปลอดภัย
+  const corsOptions = {
+    origin: function (origin, callback) {
+      // อนุญาตให้ requests ที่ไม่มี origin (เช่น mobile apps หรือ curl)
+      if (!origin) return callback(null, true);
+
+      // รายการ origins ที่อนุญาต (allowedOrigins จาก ALLOWED_ORIGINS หรือค่าเริ่มต้น)
+      if (config.allowedOrigins.includes(origin)) {
+        callback(null, true); // อนุญาต
+      } else {
+        callback(new Error('Not allowed by CORS')); // ปฏิเสธ
+      }
+    },
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], // methods ที่ API นี้รองรับ
+    // headers ที่ browser อ่านได้: X-Request-Id (แจ้งเมื่อเกิดปัญหา), ETag (ส่งกลับใน If-Match), Location (201),
+    // Link (cursor ของหน้าถัดไป) และ Retry-After/RateLimit-* (rate limit)
+    exposedHeaders: [
+      REQUEST_ID_HEADER,
+      'ETag',
+      'Location',
+      'Link',
+      'Retry-After',
+      'RateLimit-Policy',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset'
+    ],
+    optionsSuccessStatus: 200,
+    credentials: false, // ปิดการส่ง credentials เพื่อความปลอดภัย
+    maxAge: 86400 // cache preflight response เป็นเวลา 24 ชั่วโมง
+  };
+
+  // route template ของ request จากเอกสาร OpenAPI (เช่น /posts/{id}) สำหรับ log และ metrics
+  const routeOf = (req) => openApiValidator.findOperation(req.method, req.path)?.path;
+
+  // Prometheus metrics ของ app นี้ (/metrics)
+  const metrics = createMetrics();
+
+  // ข้อมูล build (version จาก package.json) และ health checks ของ readiness
+  // server.mjs ใช้ app.locals.health เพื่อให้ readiness เป็น false ระหว่าง graceful shutdown
+  const buildInfo = getBuildInfo();
+  const health = createHealthChecks({ timeoutMs: config.healthCheckTimeoutMs, buildInfo, clock });
+  health.register('postStore', () => postStore.list({ limit: 1 }));
+  app.locals.health = health;
+
+  // X-Request-Id และ access log แบบ JSON ของทุก request (ก่อน middleware อื่น เพื่อให้ทุก response มี ID)
+  app.use(createRequestLogger({
+    logger,
+    redactHeaders: config.logRedactHeaders,
+    routeOf
+  }));
+  app.use(metrics.instrument({ routeOf }));
+
+  // การตั้งค่า helmet สำหรับ security headers
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"], // อนุญาตเฉพาะ same-origin
+        scriptSrc: ["'self'"], // script จาก same-origin เท่านั้น
+        styleSrc: ["'self'", "'unsafe-inline'"], // style จาก same-origin และ inline
+        imgSrc: ["'self'", "data:", "https:"], // รูปภาพจาก same-origin, data URLs และ HTTPS
+      },
+    },
+    hsts: {
+      maxAge: 31536000, // HTTPS Strict Transport Security เป็นเวลา 1 ปี
+      includeSubDomains: true, // รวม subdomains ด้วย
+      preload: true // เพิ่มใน browser preload list
+    },
+    frameguard: { action: 'deny' } // ป้องกัน clickjacking โดยห้าม iframe
+  }));
+
+  // security headers เพิ่มเติมที่ helmet ไม่ได้ตั้งค่า (เช่น Permissions-Policy)
+  app.use(securityHeaders);
+
+  app.use(cors(corsOptions));
+
+  // จำกัดขนาด JSON payload เพื่อป้องกัน DoS
+  app.use(express.json({ limit: config.bodyLimit }));
+
+  // ทำความสะอาด query parameters และตรวจสอบ Content-Type ของ request ที่มี body
+  app.use(validateInput);
+
+  // Rate limiter แยกตามกลุ่มของ route (ตั้งค่าได้ผ่าน RATE_LIMIT_* environment variables)
+  const createGroupRateLimit = (group) => createRateLimit({
+    group,
+    ...config.rateLimits[group],
+    apiKeys: config.rateLimits.apiKeys,
+    backend: store.rateLimits,
+    onRejected: () => metrics.rateLimitRejections.inc({ group })
+  });
+  const rateLimits = {
+    search: createGroupRateLimit('search'),
+    read: createGroupRateLimit('read'),
+    write: createGroupRateLimit('write')
+  };
+
+  // Cache-Control ของแต่ละกลุ่ม route (ตั้งค่าได้ผ่าน CACHE_CONTROL_* environment variables)
+  const { cacheControl } = config;
+
+  // Prometheus metrics - METRICS_TOKEN จำกัดให้เฉพาะผู้ที่มี token (เช่น Prometheus ภายใน) อ่านได้
+  // อยู่ก่อน authenticate เพราะ token นี้ไม่ใช่ token ของผู้ใช้
+  app.get("/metrics", metrics.handler({ token: config.metricsToken }));
+
+  // อ่าน bearer token (ถ้ามี) เพื่อระบุผู้ใช้ - การอ่านข้อมูลสาธารณะไม่ต้องใช้ token
+  app.use(authenticate({ secret: config.authSecret, clock }));
+
+  // ลบ X-Powered-By header เพื่อไม่เปิดเผยข้อมูล server
+  app.disable('x-powered-by');
+
+  // เพิ่ม request timeout เพื่อป้องกัน slow loris attacks
+  app.use((req, res, next) => {
+    res.setTimeout(config.requestTimeoutMs, () => {
+      metrics.requestTimeouts.inc();
+      // response เริ่มส่งไปแล้ว (เช่น client หยุดอ่านกลางทาง) - ส่ง 408 ไม่ได้ จึงตัดการเชื่อมต่อแทน
+      if (res.headersSent) {
+        req.socket.destroy();
+        return;
+      }
+      sendProblem(res, 'request_timeout');
+    });
+    next();
+  });
+
+  // ตรวจสอบ query parameters ตามเอกสาร OpenAPI ก่อนถึง route
+  app.use(openApiValidator.validateRequest);
+
+  // ฟังก์ชันตรวจสอบว่ามีโพสต์อื่นใช้หัวข้อเดียวกันอยู่แล้วหรือไม่
+  async function findTitleConflict(title, excludeId) {
+    if (title === undefined) return null;
+    const sanitizedTitle = sanitizeString(title);
+    const { items } = await postStore.list({
+      filter: (post) => post.id !== excludeId && sanitizeString(post.title) === sanitizedTitle,
+      limit: 1
+    });
+    return items[0] || null;
+  }
+
+  // ส่ง 412 พร้อม version ปัจจุบันของโพสต์
+  const sendPreconditionFailed = (res, currentVersion) => sendProblem(res, 'precondition_failed', {
+    detail: "The post has been modified since it was retrieved",
+    currentVersion
+  });
+
+  // version ที่การแก้ไขต้องเขียนทับ - ใช้ตรวจซ้ำในคิวของ likeService.updatePost ตอนเขียนจริง
+  // (ไม่มี If-Match หรือ If-Match: * คือไม่มีเงื่อนไขเรื่อง version)
+  const expectedVersionFor = (req, post) => {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch === undefined || ifMatch.split(',').some((tag) => tag.trim() === '*')) return undefined;
+    return post.version || 1;
+  };
+
+  // ตรวจ If-Match ก่อนแก้ไขโพสต์ (optimistic concurrency) - ส่ง response แล้วคืนค่า false ถ้าไม่ผ่าน
+  // requirePreconditions (REQUIRE_PRECONDITIONS=true) บังคับให้ทุกการแก้ไขต้องมี If-Match
+  // การตรวจนี้ตอบ 412 ได้เร็ว ส่วนการตรวจที่กันการเขียนทับจริงอยู่ใน likeService.updatePost (expectedVersion)
+  function checkPostPrecondition(req, res, post) {
+    const version = post.version || 1;
+    const ifMatch = req.get('If-Match');
+    if (ifMatch === undefined) {
+      if (!config.requirePreconditions) return true;
+      sendProblem(res, 'precondition_required', {
+        detail: "Updates must include an If-Match header with the post's ETag or version",
+        currentVersion: version
       });
+      return false;
+    }
+    if (!ifMatchSatisfied(ifMatch, version)) {
+      sendPreconditionFailed(res, version);
+      return false;
     }
+    return true;
+  }
 
-    // ตรวจสอบพารามิเตอร์การแบ่งหน้า
-    const validationErrors = validatePaginationParams(page, limit);
-    if (validationErrors.length > 0) {
-      return res.status(400).json({
-        error: "Invalid pagination parameters",
-        details: validationErrors
-      });
+  // ฟังก์ชันตรวจสอบว่า category ของโพสต์เป็นหมวดหมู่ที่มีอยู่ (รับได้ทั้งชื่อและ slug)
+  // คืนค่าชื่อหมวดหมู่ที่ถูกต้อง เพื่อให้ทุกโพสต์ในหมวดหมู่เดียวกันใช้ชื่อเดียวกัน
+  async function resolvePostCategory(body) {
+    if (body.category === undefined) return {};
+    const category = await categoryCatalog.resolve(body.category.trim());
+    return category ? { category: category.name } : { error: `Unknown category: ${body.category}` };
+  }
+
+  // เอกสาร OpenAPI (/openapi.json) และหน้าเอกสารแบบ interactive (/docs)
+  app.use(createOpenApiRouter(openApiDocument));
+
+  // คำอธิบายของ problem type ที่อ้างถึงใน type ของ error response ทุกตัว
+  app.get("/problems/:code", problemTypeHandler);
+
+  // Endpoint หลัก - หน้าแรกของ API
+  app.get("/", (req, res) => {
+    res.json({ 
+      message: "Hello TechUp!",
+      version: buildInfo.version,
+      timestamp: clock().toISOString() // เวลาปัจจุบัน
+    });
+  });
+
+  // ฟังก์ชันค้นหาโพสต์ตามคำค้นหา (keyword) - คืนค่าคะแนนความเกี่ยวข้องของโพสต์ที่พบ (postId -> score)
+  async function searchByKeyword(keyword) {
+    if (!keyword) return { scores: null, error: null };
+
+    const trimmedKeyword = keyword.trim();
+    // ตรวจสอบความยาวคำค้นหา - ต้องมีอย่างน้อย 2 ตัวอักษร
+    if (trimmedKeyword.length > 0 && trimmedKeyword.length < 2) {
+      return { 
+        scores: null, 
+        error: "Keyword must be at least 2 characters long" 
+      };
     }
 
-    // กำหนดค่าหน้าและจำนวนรายการ (มีค่าต่ำสุดและสูงสุด)
-    const numPage = Math.max(1, Number(page) || 1);
-    const numLimit = Math.max(1, Math.min(100, Number(limit) || 6));
+    if (trimmedKeyword.length < 2) {
+      return { scores: null, error: null };
+    }
 
-    // เริ่มต้นด้วยสำเนาของโพสต์ทั้งหมด
-    let filteredPosts = [...blogPosts];
+    // ค้นหาในหัวข้อ, รายละเอียด, เนื้อหา และหมวดหมู่ ผ่าน inverted index
+    const index = await getSearchIndex();
+    return { scores: index.search(trimmedKeyword), error: null };
+  }
 
-    // กรองตามหมวดหมู่
-    filteredPosts = filterByCategory(filteredPosts, category);
+  // ฟังก์ชันสร้างตัวกรองของรายการโพสต์จาก query (ใช้ร่วมกันระหว่าง GET /posts และ feeds)
+  // ตัวกรอง: category (ชื่อหรือ slug), author, ช่วงวันที่, ช่วงจำนวน likes, status และ keyword
+  // โพสต์ที่ยังไม่เผยแพร่แสดงเฉพาะกับเจ้าของและ editor ขึ้นไป
+  // คืนค่า { filter, scores } หรือ { problem: [code, options] } สำหรับ sendProblem
+  async function buildPostListFilter(req, now) {
+    const filterResult = parseFilterParams({
+      ...req.query,
+      category: await categoryCatalog.expandSlugs(req.query.category)
+    }, now);
+    if (filterResult.errors.length > 0) {
+      return { problem: ['invalid_filter', { errors: filterResult.errors }] };
+    }
 
-    // กรองตามคำค้นหา
-    const keywordResult = filterByKeyword(filteredPosts, keyword);
+    const keywordResult = await searchByKeyword(req.query.keyword);
     if (keywordResult.error) {
-      return res.status(400).json({
-        error: keywordResult.error
-      });
+      return { problem: ['invalid_keyword', { detail: keywordResult.error }] };
     }
-    filteredPosts = keywordResult.filteredPosts;
+    const { scores } = keywordResult;
+
+    return {
+      scores,
+      filter: combineFilters([
+        (post) => canViewPost(req.user, post, now),
+        ...filterResult.filters,
+        scores && ((post) => scores.has(post.id))
+      ])
+    };
+  }
 
-    // สร้างและส่งผลลัพธ์การแบ่งหน้า
-    const results = createPaginationResult(filteredPosts, numPage, numLimit);
-    return res.json(results);
+  // ฟังก์ชันดึงโพสต์ถัดจาก cursor (after) หรือก่อนหน้า cursor (before) ตามลำดับการเรียง
+  async function listPostsFromCursor(filter, ordering, cursor, numLimit) {
+    const isAfter = cursor.direction === 'after';
+    const beyondCursor = (post) => {
+      const result = ordering.compareKeys(ordering.keyOf(post), cursor.key);
+      return isAfter ? result > 0 : result < 0;
+    };
 
-  } catch (error) {
-    console.error('Error in /posts endpoint:', error);
-    return res.status(500).json({
-      error: "Internal server error",
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    // before: เรียงกลับด้านเพื่อเอาโพสต์ที่อยู่ติดกับ cursor มาก่อน แล้วค่อยกลับลำดับคืน
+    const { items, total } = await postStore.list({
+      filter: combineFilters([filter, beyondCursor]),
+      sort: isAfter ? ordering.compare : (a, b) => ordering.compare(b, a),
+      limit: numLimit
     });
+    return { items: isAfter ? items : items.reverse(), remaining: total };
   }
-});
-
-// Endpoint สำหรับดึงโพสต์ตาม ID
-app.get("/posts/:id", (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // ตรวจสอบว่า ID เป็นตัวเลขที่ถูกต้อง
-    if (!id || isNaN(Number(id))) {
-      return res.status(400).json({ 
-        error: "Invalid post ID",
-        message: "Post ID must be a valid number"
-      });
+
+  // Endpoint สำหรับดึงรายการโพสต์พร้อมการกรองและแบ่งหน้า
+  app.get("/posts", rateLimits.search, async (req, res) => {
+    try {
+      const { page, limit, sort, after, before } = req.query;
+
+      // ชนิดและช่วงของ page/limit ตรวจสอบแล้วจากเอกสาร OpenAPI - เหลือเฉพาะการใช้ร่วมกันกับ cursor
+      const validationErrors = validateCursorParams(page, after, before);
+      if (validationErrors.length > 0) {
+        return sendProblem(res, 'invalid_pagination', { errors: validationErrors });
+      }
+
+      // ตรวจสอบพารามิเตอร์การเรียงลำดับ
+      const sortResult = parseSortParam(sort);
+      if (sortResult.errors.length > 0) {
+        return sendProblem(res, 'invalid_sort', { errors: sortResult.errors });
+      }
+
+      // ตรวจสอบฟิลด์ที่ต้องการ (ค่าเริ่มต้นของรายการคือ summary ซึ่งไม่มี content)
+      const fieldsResult = parseFieldsParam(req.query.fields, 'summary');
+      if (fieldsResult.errors.length > 0) {
+        return sendProblem(res, 'invalid_fields', { errors: fieldsResult.errors });
+      }
+
+      // กำหนดค่าหน้าและจำนวนรายการ (มีค่าต่ำสุดและสูงสุด)
+      const numPage = Math.max(1, Number(page) || 1);
+      const numLimit = Math.max(1, Math.min(config.pagination.maxLimit, Number(limit) || config.pagination.defaultLimit));
+
+      // ตัวกรองและคำค้นหา
+      const now = clock();
+      const listFilter = await buildPostListFilter(req, now);
+      if (listFilter.problem) {
+        return sendProblem(res, ...listFilter.problem);
+      }
+      const { filter, scores } = listFilter;
+
+      // ลำดับการเรียง: ตาม sort ที่ระบุ, ตามคะแนนความเกี่ยวข้องเมื่อมีคำค้นหา หรือตาม id
+      const ordering = createOrdering(sortResult.fields, scores);
+
+      // แนบคะแนนความเกี่ยวข้องให้แต่ละโพสต์เมื่อมีการค้นหา
+      const withScores = (pageOfPosts) => (scores
+        ? { ...pageOfPosts, items: pageOfPosts.items.map((post) => ({ ...post, score: scores.get(post.id) })) }
+        : pageOfPosts);
+
+      let results;
+      if (after !== undefined || before !== undefined) {
+        // โหมด cursor: ตรวจสอบว่า cursor ถูกต้องและสร้างจากลำดับการเรียงเดียวกัน
+        const decoded = cursors.decodeCursor(after ?? before);
+        if (!decoded || decoded.key.length !== ordering.keyLength) {
+          return sendProblem(res, 'invalid_pagination', { errors: ["Invalid cursor"] });
+        }
+        if (decoded.signature !== ordering.signature) {
+          return sendProblem(res, 'invalid_pagination', {
+            errors: ["Cursor does not match the requested sort order"]
+          });
+        }
+
+        const cursor = { direction: after !== undefined ? 'after' : 'before', key: decoded.key };
+        const { items, remaining } = await listPostsFromCursor(filter, ordering, cursor, numLimit);
+        const { total } = await postStore.list({ filter, limit: 0 });
+
+        // โพสต์ที่ไม่อยู่ฝั่งเดียวกับผลลัพธ์ แสดงว่ามีหน้าอยู่อีกฝั่งของ cursor
+        results = createCursorPaginationResult(withScores({ items, total }), numLimit, {
+          hasNextPage: cursor.direction === 'after' ? remaining > numLimit : total > remaining,
+          hasPreviousPage: cursor.direction === 'after' ? total > remaining : remaining > numLimit
+        });
+      } else {
+        // โหมดหมายเลขหน้า (page/limit) แบบเดิม
+        const pageOfPosts = await postStore.list({
+          filter,
+          sort: ordering.compare,
+          offset: (numPage - 1) * numLimit,
+          limit: numLimit
+        });
+        results = createPaginationResult(withScores(pageOfPosts), numPage, numLimit);
+      }
+
+      // เพิ่ม cursor ของหน้าถัดไป/ก่อนหน้า (ต้องทำก่อนเลือกฟิลด์ เพราะ cursor ใช้ค่าของฟิลด์ที่เรียง)
+      addPaginationCursors(req, res, results, ordering, cursors);
+      results.posts = results.posts.map((post) => projectPost(withStatus(post, now), fieldsResult.fields));
+      return sendCacheable(req, res, results, { cacheControl: cacheControl.posts });
+
+    } catch (error) {
+      return sendServerError(res, error, '/posts');
     }
+  });
 
-    const postId = parseInt(id, 10);
-    
-    // ตรวจสอบช่วงของ ID เพื่อความปลอดภัย
-    if (postId < 1 || postId > 1000000) {
-      return res.status(400).json({ 
-        error: "Invalid post ID",
-        message: "Post ID out of valid range"
-      });
+  // Endpoint สำหรับดึงโพสต์ตาม ID
+  app.get("/posts/:id", rateLimits.read, async (req, res) => {
+    try {
+      const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+
+      // ตรวจสอบฟิลด์ที่ต้องการ (ค่าเริ่มต้นคือทุกฟิลด์)
+      const fieldsResult = parseFieldsParam(req.query.fields, 'full');
+      if (fieldsResult.errors.length > 0) {
+        return sendProblem(res, 'invalid_fields', { errors: fieldsResult.errors });
+      }
+
+      // รูปแบบของ content: markdown (ค่าเริ่มต้น) หรือ html - ค่าอื่นถูกปฏิเสธตามเอกสาร OpenAPI
+      const { format = 'markdown' } = req.query;
+
+      // ค้นหาโพสต์จาก ID (โพสต์ที่ผู้เรียกไม่มีสิทธิ์เห็นถือว่าไม่พบ)
+      const post = await postStore.getById(postId);
+
+      const now = clock();
+      if (!post || !canViewPost(req.user, post, now)) {
+        return sendProblem(res, 'post_not_found', { requestedId: postId });
+      }
+
+      // แปลง content เป็น HTML ที่ปลอดภัย พร้อมสารบัญและเวลาในการอ่าน
+      const body = projectPost(withStatus(post, now), fieldsResult.fields);
+      if (format === 'html' && body.content !== undefined) {
+        const rendered = renderMarkdown(body.content);
+        body.content = rendered.html;
+        body.contentFormat = 'html';
+        body.toc = rendered.toc;
+        body.readingTimeMinutes = rendered.readingTimeMinutes;
+      }
+
+      // ส่งโพสต์พร้อม validators สำหรับ conditional GET (ไม่มีข้อมูลที่เปลี่ยนทุก request เพื่อให้ cache ได้)
+      // Last-Modified มาจาก updatedAt (โพสต์เดิมที่ยังไม่เคยแก้ไขใช้ date)
+      return sendCacheable(req, res, {
+        ...body,
+        likedByMe: await likeService.hasLiked(postId, likerKeyFor(req)) // ผู้เรียกกดถูกใจโพสต์นี้แล้วหรือยัง
+      }, { cacheControl: cacheControl.post, lastModified: post.updatedAt || post.date, version: post.version || 1 });
+    } catch (error) {
+      return sendServerError(res, error, '/posts/:id');
+    }
+  });
+
+  // Endpoint สำหรับสร้างโพสต์ใหม่ (ID ถูกกำหนดโดยเซิร์ฟเวอร์)
+  // body ตรวจสอบแล้วจากเอกสาร OpenAPI (PostCreate ใน openapi.mjs)
+  app.post("/posts", rateLimits.write, requireRole('author'), async (req, res) => {
+    try {
+      if (isAuthorImpersonation(req.user, req.body)) {
+        return sendPostForbidden(res);
+      }
+
+      const categoryResult = await resolvePostCategory(req.body);
+      if (categoryResult.error) {
+        return sendProblem(res, 'invalid_post', { errors: [categoryResult.error] });
+      }
+
+      // โพสต์ใหม่เริ่มเป็น draft ถ้าไม่ระบุสถานะ
+      const now = clock();
+      const data = { status: 'draft', ...normalizePostPayload(req.body) };
+      const statusError = checkStatusChange(req.user, null, data, now);
+      if (statusError) {
+        return sendStatusError(res, statusError);
+      }
+
+      // ตรวจสอบหัวข้อซ้ำกับโพสต์ที่มีอยู่
+      const conflict = await findTitleConflict(req.body.title);
+      if (conflict) {
+        return sendProblem(res, 'post_title_conflict', {
+          detail: "A post with the same title already exists",
+          conflictingId: conflict.id
+        });
+      }
+
+      // store เป็นผู้กำหนด ID ให้โพสต์ใหม่
+      const post = await postHistory.create(stampPublishAt({
+        date: now,
+        likes: 0,
+        ...data,
+        category: categoryResult.category,
+        version: 1,
+        updatedAt: now
+      }, null, now), req.user);
+      (await getSearchIndex()).add(post);
+
+      res.location(`/posts/${post.id}`);
+      return res.status(201).json(post);
+    } catch (error) {
+      return sendServerError(res, error, 'POST /posts');
+    }
+  });
+
+  // ฟังก์ชันกลางสำหรับ PUT (แทนที่ทั้งโพสต์) และ PATCH (แก้ไขบางฟิลด์)
+  // body ตรวจสอบแล้วจากเอกสาร OpenAPI (PostInput และ PostPatch ใน openapi.mjs)
+  function updatePostHandler({ partial }) {
+    return async (req, res) => {
+      try {
+        const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+
+        const current = await postStore.getById(postId);
+        if (!current) {
+          return sendProblem(res, 'post_not_found', { requestedId: postId });
+        }
+
+        // author แก้ไขได้เฉพาะโพสต์ของตัวเอง และเปลี่ยน author เป็นคนอื่นไม่ได้
+        if (!canEditPost(req.user, current) || isAuthorImpersonation(req.user, req.body)) {
+          return sendPostForbidden(res);
+        }
+
+        if (!checkPostPrecondition(req, res, current)) return undefined;
+
+        const categoryResult = await resolvePostCategory(req.body);
+        if (categoryResult.error) {
+          return sendProblem(res, 'invalid_post', { errors: [categoryResult.error] });
+        }
+
+        // ID ใน body (ถ้ามี) ต้องตรงกับ ID ใน path
+        if (req.body.id !== undefined && req.body.id !== postId) {
+          return sendProblem(res, 'post_id_mismatch', {
+            detail: "Body id does not match the post ID in the path",
+            requestedId: postId
+          });
+        }
+
+        const conflict = await findTitleConflict(req.body.title, postId);
+        if (conflict) {
+          return sendProblem(res, 'post_title_conflict', {
+            detail: "A post with the same title already exists",
+            conflictingId: conflict.id
+          });
+        }
+
+        // PUT: แทนที่ฟิลด์ที่แก้ไขได้ทั้งหมด โดย date, status และ publishAt ที่ไม่ระบุจะคงค่าเดิม
+        // (likes คงค่าที่เก็บอยู่เสมอ ดู likeService.updatePost)
+        // (scheduled ที่ถึงเวลาแล้วถูกบันทึกเป็น published) - version เพิ่มขึ้นทุกครั้งที่แก้ไข (ดู likeService.updatePost)
+        const now = clock();
+        const base = withStatus(current, now);
+        const changes = { ...normalizePostPayload(req.body), ...categoryResult };
+        const next = partial
+          ? { ...base, ...changes }
+          : { date: base.date, status: base.status, publishAt: base.publishAt, ...changes };
+        const statusError = checkStatusChange(req.user, current, next, now);
+        if (statusError) {
+          return sendStatusError(res, statusError);
+        }
+
+        const updated = await postHistory.update(base, stampPublishAt({ ...next, updatedAt: now }, current, now), req.user, {
+          expectedVersion: expectedVersionFor(req, current)
+        });
+        if (!updated) {
+          return sendProblem(res, 'post_not_found', { requestedId: postId }); // ถูกลบระหว่างแก้ไข
+        }
+        (await getSearchIndex()).add(updated);
+
+        return res.json(updated);
+      } catch (error) {
+        if (error instanceof VersionConflictError) return sendPreconditionFailed(res, error.currentVersion);
+        return sendServerError(res, error, `${req.method} /posts/:id`);
+      }
+    };
+  }
+
+  // Endpoint สำหรับแทนที่โพสต์ทั้งหมด
+  app.put("/posts/:id", rateLimits.write, requireRole('author'), updatePostHandler({ partial: false }));
+
+  // Endpoint สำหรับแก้ไขโพสต์บางฟิลด์
+  app.patch("/posts/:id", rateLimits.write, requireRole('author'), updatePostHandler({ partial: true }));
+
+  // Endpoint สำหรับลบโพสต์
+  app.delete("/posts/:id", rateLimits.write, requireRole('author'), async (req, res) => {
+    try {
+      const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+
+      const current = await postStore.getById(postId);
+      if (!current) {
+        return sendProblem(res, 'post_not_found', { requestedId: postId });
+      }
+
+      if (!canEditPost(req.user, current)) {
+        return sendPostForbidden(res);
+      }
+
+      await postStore.delete(postId);
+      (await getSearchIndex()).remove(postId);
+      await likeService.removeAll(postId);
+      await commentSection.removeAll(postId);
+      await postHistory.removeAll(postId);
+
+      return res.status(204).end();
+    } catch (error) {
+      return sendServerError(res, error, 'DELETE /posts/:id');
     }
+  });
+
+  // กดถูกใจ (liked = true) หรือยกเลิก (liked = false) - เรียกซ้ำได้โดยไม่เปลี่ยนตัวนับ
+  function likeHandler(liked) {
+    return async (req, res) => {
+      try {
+        const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+
+        // กดถูกใจได้เฉพาะโพสต์ที่ผู้เรียกมองเห็น
+        const post = await postStore.getById(postId);
+        let result = null;
+        if (post && canViewPost(req.user, post, clock())) {
+          const liker = likerKeyFor(req);
+          result = liked
+            ? await likeService.like(postId, liker)
+            : await likeService.unlike(postId, liker);
+        }
+        if (!result) {
+          return sendProblem(res, 'post_not_found', { requestedId: postId });
+        }
+
+        return res.json(result);
+      } catch (error) {
+        return sendServerError(res, error, `${req.method} /posts/:id/like`);
+      }
+    };
+  }
+
+  // Endpoint สำหรับกดถูกใจโพสต์ (ผู้ใช้ anonymous ก็กดได้)
+  app.post("/posts/:id/like", rateLimits.write, likeHandler(true));
+
+  // Endpoint สำหรับยกเลิกการกดถูกใจ
+  app.delete("/posts/:id/like", rateLimits.write, likeHandler(false));
+
+  // Endpoints ของประวัติการแก้ไข (/posts/:id/revisions)
+  app.use("/posts/:id/revisions", postHistory.createRouter({ rateLimits, requireRole }));
 
-    // ค้นหาโพสต์จาก ID
-    const post = blogPosts.find((post) => post.id === postId);
+  // Endpoint สำหรับกู้คืนโพสต์จาก revision - บันทึกเป็น revision ใหม่ (ประวัติเดิมไม่ถูกแก้ไข)
+  app.post("/posts/:id/revisions/:rev/restore", rateLimits.write, requireRole('author'), async (req, res) => {
+    try {
+      const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
 
-    if (!post) {
-      return res.status(404).json({ 
-        error: "Blog post not found",
-        requestedId: postId
+      const current = await postStore.getById(postId);
+      if (!current) {
+        return sendProblem(res, 'post_not_found', { requestedId: postId });
+      }
+
+      if (!canEditPost(req.user, current)) {
+        return sendPostForbidden(res);
+      }
+
+      if (!checkPostPrecondition(req, res, current)) return undefined;
+
+      const revision = await postHistory.getRevision(postId, Number(req.params.rev));
+      if (!revision) {
+        return sendProblem(res, 'revision_not_found', { requestedRevision: req.params.rev });
+      }
+
+      const restoredFields = {};
+      RESTORABLE_FIELDS.filter((field) => revision.snapshot[field] !== undefined).forEach((field) => {
+        restoredFields[field] = field === 'date' ? new Date(revision.snapshot[field]) : revision.snapshot[field];
       });
+      // author กู้คืน revision ที่ระบุผู้เขียนเป็นคนอื่นไม่ได้
+      if (isAuthorImpersonation(req.user, restoredFields)) {
+        return sendPostForbidden(res);
+      }
+
+      // หมวดหมู่หรือหัวข้อใน revision อาจใช้ไม่ได้แล้ว (หมวดหมู่ถูกลบ หรือมีโพสต์อื่นใช้หัวข้อเดียวกัน)
+      const categoryResult = await resolvePostCategory(restoredFields);
+      if (categoryResult.error) {
+        return sendProblem(res, 'revision_not_restorable', { detail: categoryResult.error });
+      }
+      const conflict = await findTitleConflict(restoredFields.title, postId);
+      if (conflict) {
+        return sendProblem(res, 'post_title_conflict', {
+          detail: "A post with the same title already exists",
+          conflictingId: conflict.id
+        });
+      }
+
+      const now = clock();
+      const base = withStatus(current, now);
+      const updated = await postHistory.update(
+        base,
+        { ...base, ...restoredFields, ...categoryResult, updatedAt: now },
+        req.user,
+        { action: 'restored', restoredFrom: revision.revision, expectedVersion: expectedVersionFor(req, current) }
+      );
+      if (!updated) {
+        return sendProblem(res, 'post_not_found', { requestedId: postId }); // ถูกลบระหว่างกู้คืน
+      }
+      (await getSearchIndex()).add(updated);
+
+      return res.json(updated);
+    } catch (error) {
+      if (error instanceof VersionConflictError) return sendPreconditionFailed(res, error.currentVersion);
+      return sendServerError(res, error, 'POST /posts/:id/revisions/:rev/restore');
     }
+  });
+
+  // Endpoints ของความคิดเห็น (/posts/:id/comments)
+  app.use("/posts/:id/comments", commentSection.createRouter({ rateLimits, requireRole }));
+
+  // เวลาของ feed ที่ไม่มีโพสต์ - คงที่ตลอดอายุของ app เพื่อให้ conditional GET ตอบ 304 ได้
+  const emptyFeedUpdated = clock();
+
+  // ฟังก์ชันกลางสำหรับ feed ทุกรูปแบบ - ใช้ตัวกรองเดียวกับ GET /posts (เช่น ?category=Inspiration)
+  // โพสต์เรียงจากใหม่ไปเก่าตาม date, limit ค่าเริ่มต้น feeds.pageSize (สูงสุด pagination.maxLimit)
+  function feedHandler(format) {
+    return async (req, res) => {
+      try {
+        const listFilter = await buildPostListFilter(req, clock());
+        if (listFilter.problem) {
+          return sendProblem(res, ...listFilter.problem);
+        }
+
+        const { items } = await postStore.list({
+          filter: listFilter.filter,
+          sort: createOrdering([{ field: 'date', direction: 'desc' }]).compare,
+          limit: Math.max(1, Math.min(config.pagination.maxLimit, Number(req.query.limit) || config.feeds.pageSize))
+        });
+
+        // siteUrl (SITE_URL) กำหนด URL หลักของเว็บไซต์ (ค่าเริ่มต้นมาจาก host ของ request)
+        const siteUrl = (config.siteUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+        const feed = {
+          title: "TechUp Blog",
+          description: "Latest posts from the TechUp blog",
+          siteUrl,
+          feedUrl: `${siteUrl}${req.originalUrl}`,
+          updated: emptyFeedUpdated
+        };
+
+        const renderers = {
+          rss: renderRss,
+          atom: renderAtom,
+          json: (...args) => JSON.stringify(renderJsonFeed(...args))
+        };
+        res.type(FEED_CONTENT_TYPES[format]);
+        return sendCacheable(req, res, renderers[format](feed, items), { cacheControl: cacheControl.feeds });
+      } catch (error) {
+        return sendServerError(res, error, `${req.path}`);
+      }
+    };
+  }
 
-    // ส่งโพสต์พร้อมข้อมูลเพิ่มเติม
+  // Endpoints ของ feed (RSS 2.0, Atom 1.0 และ JSON Feed 1.1)
+  app.get("/feed.xml", rateLimits.read, feedHandler('rss'));
+  app.get("/atom.xml", rateLimits.read, feedHandler('atom'));
+  app.get("/feed.json", rateLimits.read, feedHandler('json'));
+
+  // Endpoints ของหมวดหมู่ (/categories)
+  app.use("/categories", categoryCatalog.createRouter({ rateLimits, requireRole }));
+
+  // Endpoint สำหรับตรวจสอบสถานะเซิร์ฟเวอร์ (Health Check)
+  app.get("/health", (req, res) => {
     res.json({
-      ...post,
-      requestedAt: new Date().toISOString() // เวลาที่ขอข้อมูล
+      status: "healthy", // สถานะเซิร์ฟเวอร์
+      timestamp: clock().toISOString(), // เวลาปัจจุบัน
+      uptime: process.uptime(), // เวลาที่เซิร์ฟเวอร์ทำงาน (วินาที)
+      version: buildInfo.version // เวอร์ชันของ API (จาก package.json)
     });
-  } catch (error) {
-    console.error('Error in /posts/:id endpoint:', error);
-    return res.status(500).json({
-      error: "Internal server error",
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
-    });
-  }
-});
-
-// Endpoint สำหรับตรวจสอบสถานะเซิร์ฟเวอร์ (Health Check)
-app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy", // สถานะเซิร์ฟเวอร์
-    timestamp: new Date().toISOString(), // เวลาปัจจุบัน
-    uptime: process.uptime(), // เวลาที่เซิร์ฟเวอร์ทำงาน (วินาที)
-    version: "1.0.0" // เวอร์ชันของ API
   });
-});
-
-// จัดการ 404 สำหรับ routes ที่ไม่มีอยู่
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: "Route not found",
-    path: req.originalUrl, // path ที่ถูกขอ
-    method: req.method // HTTP method ที่ใช้
+
+  // liveness probe - process ยังตอบได้ (ไม่ตรวจ dependencies)
+  app.get("/health/live", health.live);
+
+  // readiness probe - ตรวจ dependencies ทุกตัวพร้อมสถานะและเวลาที่ใช้ (503 เมื่อไม่พร้อมหรือกำลัง shutdown)
+  app.get("/health/ready", health.ready);
+
+  // จัดการ 404 สำหรับ routes ที่ไม่มีอยู่
+  app.use('*', (req, res) => {
+    // instance คือ path ที่ถูกขอ
+    sendProblem(res, 'route_not_found', { method: req.method });
   });
-});
-
-// จัดการข้อผิดพลาดแบบ global
-app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
-  
-  // จัดการข้อผิดพลาด CORS โดยเฉพาะ
-  if (error.message === 'Not allowed by CORS') {
-    return res.status(403).json({
-      error: 'CORS error',
-      message: 'Origin not allowed'
+
+  // จัดการข้อผิดพลาดแบบ global
+  app.use((error, req, res, next) => {
+    // จัดการข้อผิดพลาด CORS โดยเฉพาะ
+    if (error.message === 'Not allowed by CORS') {
+      metrics.corsRejections.inc();
+      return sendProblem(res, 'cors_origin_not_allowed', { detail: 'Origin not allowed' });
+    }
+
+    // body ที่ไม่ใช่ JSON ที่ถูกต้อง หรือใหญ่เกินขนาดที่รับได้ (จาก express.json)
+    if (error.type === 'entity.parse.failed') {
+      return sendProblem(res, 'invalid_json', { detail: 'Request body is not valid JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+      return sendProblem(res, 'payload_too_large', { detail: `Request body exceeds ${error.limit} bytes` });
+    }
+
+    loggerFor(req).error('Unhandled error', { error });
+
+    // ข้อผิดพลาดทั่วไป
+    return sendProblem(res, 'internal_error', {
+      detail: config.nodeEnv === 'development' ? error.message : 'Something went wrong'
     });
-  }
-  
-  // ข้อผิดพลาดทั่วไป
-  res.status(500).json({
-    error: "Internal server error",
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
   });
-});
 
-export default app;
\ No newline at end of file
+  return app;
+}
@@ -1,8 +1,33 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import request from "supertest";
-import app from "./app.mjs";
+import { createApp } from "./app.mjs";
+import { loadConfig } from "./config.mjs";
+import { createLogger } from "./logger.mjs";
+import { createMemoryPostStore, createRevisionStore } from "./db/store.mjs";
 import { blogPosts } from "./db/index.mjs";
+import { signToken } from "./auth-middleware.mjs";
+import express from "express";
+import { slugify } from "./categories.mjs";
+import { createRateLimit, createMemoryRateLimitBackend } from "./security-middleware.mjs";
+import { ifMatchSatisfied } from "./http-cache.mjs";
 import { jest } from '@jest/globals';
 
+// secret สำหรับ token ที่ใช้ในการทดสอบ - ส่งให้ app ผ่าน config (ไม่แก้ process.env)
+const AUTH_SECRET = 'test-secret';
+const bearer = (user, options) => `Bearer ${signToken(user, AUTH_SECRET, options)}`;
+
+// การตั้งค่าจาก environment (jest.setup.mjs) พร้อม secret ของการทดสอบ
+const testConfig = (overrides = {}) => loadConfig({ overrides: { authSecret: AUTH_SECRET, ...overrides } });
+
+// app ที่ใช้ testConfig() และข้อมูลตัวอย่างจาก db/index.mjs
+const app = createApp({ config: testConfig() });
+const editorAuth = bearer({ sub: 'editor-1', name: 'Editor', role: 'editor' });
+
+// ข้อความใน errors ของ problem+json (ข้อผิดพลาดรายฟิลด์)
+const errorDetails = (res) => res.body.errors.map((error) => error.detail);
+
 // จำลอง console.error เพื่อไม่ให้แสดงข้อความรบกวนระหว่างการทดสอบ
 const originalConsoleError = console.error;
 beforeAll(() => {
@@ -26,6 +51,16 @@ describe("Security Headers", () => {
     expect(res.headers['x-powered-by']).toBeUndefined(); // ซ่อนข้อมูล server
   });
 
+  it("should expose the headers a browser client needs to read", async () => {
+    // ทดสอบว่า browser บน origin ที่อนุญาตอ่าน ETag (สำหรับ If-Match), Location, Link และ rate limit headers ได้
+    const res = await request(app)
+      .get("/posts/1")
+      .set('Origin', 'http://localhost:3000');
+    const exposed = res.headers['access-control-expose-headers'].split(',');
+
+    expect(exposed).toEqual(expect.arrayContaining(['X-Request-Id', 'ETag', 'Location', 'Link', 'Retry-After', 'RateLimit-Remaining']));
+  });
+
   it("should enforce CORS policy", async () => {
     // ทดสอบว่า CORS policy ทำงานถูกต้อง - ปฏิเสธ origin ที่ไม่อนุญาต
     const res = await request(app)
@@ -33,7 +68,7 @@ describe("Security Headers", () => {
       .set('Origin', 'http://malicious-site.com');
     
     expect(res.status).toBe(403);
-    expect(res.body.error).toBe('CORS error');
+    expect(res.body.title).toBe('CORS error');
   });
 });
 
@@ -78,6 +113,26 @@ describe("GET /health", () => {
   });
 });
 
+// ทดสอบ liveness และ readiness probes
+describe("Health probes", () => {
+  it("should report liveness with the package version", async () => {
+    // ทดสอบ /health/live
+    const res = await request(app).get("/health/live");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ status: "alive", version: "1.0.0" });
+  });
+
+  it("should check the data store for readiness", async () => {
+    // ทดสอบ /health/ready พร้อมสถานะของ data store
+    const res = await request(app).get("/health/ready");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe("ready");
+    expect(res.body.checks.postStore).toEqual({ status: "pass", latencyMs: expect.any(Number) });
+  });
+});
+
 // ทดสอบการดึงรายการโพสต์
 describe("GET /posts", () => {
   it("should return list of posts with pagination info", async () => {
@@ -134,6 +189,77 @@ describe("GET /posts", () => {
     expect(Array.isArray(res.body.posts)).toBe(true);
   });
 
+  it("should rank keyword results by relevance and include a score", async () => {
+    // ทดสอบการจัดอันดับผลการค้นหาตามความเกี่ยวข้อง
+    const res = await request(app)
+      .get("/posts?keyword=mindful%20peace&limit=3")
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts[0].title).toMatch(/Mindfulness/);
+    expect(res.body.posts[0].score).toBeGreaterThan(0);
+    const scores = res.body.posts.map((post) => post.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a)); // เรียงจากมากไปน้อย
+  });
+
+  it("should support quoted phrase searches", async () => {
+    // ทดสอบการค้นหาแบบวลีผ่าน API
+    const res = await request(app)
+      .get(`/posts?keyword=${encodeURIComponent('"body language"')}&fields=title,content`)
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalPosts).toBeGreaterThan(0);
+    res.body.posts.forEach((post) => {
+      expect(`${post.title} ${post.content}`.toLowerCase()).toContain("body language");
+    });
+  });
+
+  it("should sort by multiple fields with direction", async () => {
+    // ทดสอบการเรียงลำดับหลายฟิลด์ (likes มากไปน้อย แล้วตาม date)
+    const res = await request(app)
+      .get("/posts?sort=-likes,date&limit=100")
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(200);
+    const expected = [...blogPosts]
+      .sort((a, b) => b.likes - a.likes || a.date - b.date || a.id - b.id)
+      .map((post) => post.id);
+    expect(res.body.posts.map((post) => post.id)).toEqual(expected);
+  });
+
+  it("should sort titles alphabetically and let sort override relevance", async () => {
+    // ทดสอบการเรียงตามหัวข้อ และ sort ที่ระบุมีผลเหนือคะแนนความเกี่ยวข้อง
+    const res = await request(app)
+      .get("/posts?keyword=cat&sort=%2Btitle&limit=100")
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(200);
+    const titles = res.body.posts.map((post) => post.title.toLowerCase());
+    expect(titles).toEqual([...titles].sort((a, b) => a.localeCompare(b)));
+  });
+
+  it("should reject unknown or duplicate sort fields", async () => {
+    // ทดสอบการปฏิเสธฟิลด์ที่ไม่รู้จักหรือซ้ำ
+    const res = await request(app)
+      .get("/posts?sort=-likes,author,likes")
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.title).toBe("Invalid sort parameters");
+    expect(errorDetails(res)).toEqual(["Unknown sort field: author", "Duplicate sort field: likes"]);
+  });
+
+  it("should reject repeated sort parameters", async () => {
+    // ทดสอบกรณีส่ง sort หลายครั้ง (ได้ array แทน string)
+    const res = await request(app)
+      .get("/posts?sort=likes&sort=date")
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(400);
+    expect(errorDetails(res)).toEqual(["sort must be a single value"]);
+  });
+
   it("should reject keywords that are too short", async () => {
     // ทดสอบการปฏิเสธคำค้นหาที่สั้นเกินไป
     const res = await request(app)
@@ -141,7 +267,7 @@ describe("GET /posts", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Keyword must be at least 2 characters long");
+    expect(res.body.detail).toBe("Keyword must be at least 2 characters long");
   });
 
   it("should handle invalid pagination parameters", async () => {
@@ -151,8 +277,8 @@ describe("GET /posts", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid pagination parameters");
-    expect(res.body.details).toBeInstanceOf(Array); // รายละเอียดข้อผิดพลาด
+    expect(res.body.title).toBe("Invalid pagination parameters");
+    expect(errorDetails(res)).toBeInstanceOf(Array); // รายละเอียดข้อผิดพลาด
   });
 
   it("should handle negative pagination values", async () => {
@@ -162,7 +288,7 @@ describe("GET /posts", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid pagination parameters");
+    expect(res.body.title).toBe("Invalid pagination parameters");
   });
 
   it("should handle very large pagination numbers", async () => {
@@ -172,7 +298,8 @@ describe("GET /posts", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Pagination values too large");
+    expect(res.body.title).toBe("Invalid pagination parameters");
+    expect(errorDetails(res)).toEqual(["page cannot exceed 1000000"]);
   });
 
   it("should handle invalid pagination parameters", async () => {
@@ -182,8 +309,8 @@ describe("GET /posts", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid pagination parameters");
-    expect(res.body.details).toBeInstanceOf(Array);
+    expect(res.body.title).toBe("Invalid pagination parameters");
+    expect(errorDetails(res)).toBeInstanceOf(Array);
   });
 
   it("should limit page size to maximum allowed", async () => {
@@ -193,7 +320,7 @@ describe("GET /posts", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.details).toContain("Limit cannot exceed 100");
+    expect(errorDetails(res)).toContain("limit cannot exceed 100");
   });
 
   it("should handle empty category filter", async () => {
@@ -260,6 +387,270 @@ describe("GET /posts", () => {
   });
 });
 
+// ทดสอบตัวกรองเพิ่มเติมของ GET /posts
+describe("GET /posts filters", () => {
+  const ids = (res) => res.body.posts.map((post) => post.id);
+
+  it("should filter by multiple comma-separated categories", async () => {
+    // ทดสอบการกรองหลายหมวดหมู่
+    const res = await request(app).get("/posts?category=cat, GENERAL&limit=100");
+    const expected = blogPosts.filter((post) => ["Cat", "General"].includes(post.category));
+
+    expect(res.statusCode).toBe(200);
+    expect(ids(res)).toEqual(expected.map((post) => post.id));
+  });
+
+  it("should filter by author case-insensitively", async () => {
+    // ทดสอบการกรองตามผู้เขียน
+    const matching = await request(app).get("/posts?author=thompson%20p.&limit=100");
+    const missing = await request(app).get("/posts?author=Nobody");
+
+    expect(matching.body.totalPosts).toBe(blogPosts.filter((post) => post.author === "Thompson P.").length);
+    expect(missing.body.totalPosts).toBe(0);
+  });
+
+  it("should filter by an inclusive date range", async () => {
+    // ทดสอบการกรองตามช่วงวันที่ (รวมวันสุดท้าย)
+    const res = await request(app).get("/posts?dateFrom=2024-08-01&dateTo=2024-09-11&limit=100");
+    const from = Date.parse("2024-08-01T00:00:00Z");
+    const to = Date.parse("2024-09-12T00:00:00Z");
+    const expected = blogPosts.filter((post) => post.date.getTime() >= from && post.date.getTime() < to);
+
+    expect(res.statusCode).toBe(200);
+    expect(expected.length).toBeGreaterThan(0);
+    expect(ids(res)).toEqual(expected.map((post) => post.id));
+  });
+
+  it("should filter by likes thresholds", async () => {
+    // ทดสอบการกรองตามช่วงจำนวน likes (เช่น หน้า "ยอดนิยม")
+    const res = await request(app).get("/posts?minLikes=100&maxLikes=200&sort=-likes&limit=100");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalPosts).toBe(blogPosts.filter((post) => post.likes >= 100 && post.likes <= 200).length);
+    res.body.posts.forEach((post) => {
+      expect(post.likes).toBeGreaterThanOrEqual(100);
+      expect(post.likes).toBeLessThanOrEqual(200);
+    });
+  });
+
+  it("should report every invalid filter in details", async () => {
+    // ทดสอบข้อผิดพลาดของตัวกรองที่ไม่ถูกต้อง
+    const res = await request(app).get("/posts?dateFrom=yesterday&dateTo=2024-13-45&minLikes=-1&maxLikes=1.5");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.title).toBe("Invalid filter parameters");
+    expect(errorDetails(res)).toEqual([
+      "dateFrom must be a valid date",
+      "dateTo must be a valid date",
+      "minLikes must be a non-negative integer",
+      "maxLikes must be a non-negative integer"
+    ]);
+  });
+
+  it("should reject inverted ranges and repeated parameters", async () => {
+    // ทดสอบช่วงที่กลับด้านและการส่งพารามิเตอร์ซ้ำ
+    const res = await request(app).get("/posts?dateFrom=2024-05-01&dateTo=2024-04-01&minLikes=10&maxLikes=5");
+    // ค่าซ้ำถูกปฏิเสธจาก schema ในเอกสาร OpenAPI ก่อนตรวจสอบช่วง
+    const repeated = await request(app).get("/posts?author=a&author=b");
+
+    expect(res.statusCode).toBe(400);
+    expect(errorDetails(res)).toEqual([
+      "dateFrom cannot be after dateTo",
+      "minLikes cannot be greater than maxLikes"
+    ]);
+    expect(repeated.statusCode).toBe(400);
+    expect(repeated.body).toMatchObject({
+      code: "invalid_filter",
+      errors: [{ field: "author", detail: "author must be a single value" }]
+    });
+  });
+});
+
+// ทดสอบการเลือกฟิลด์ (sparse fieldsets)
+describe("Sparse fieldsets", () => {
+  it("should return the summary projection by default for lists", async () => {
+    // ทดสอบว่ารายการโพสต์ไม่มี content โดยค่าเริ่มต้น
+    const res = await request(app).get("/posts?limit=2");
+
+    expect(res.statusCode).toBe(200);
+    res.body.posts.forEach((post) => {
+      expect(post).not.toHaveProperty("content");
+      expect(Object.keys(post).sort()).toEqual(
+        ["author", "category", "date", "description", "id", "image", "likes", "status", "title", "version"]
+      );
+    });
+  });
+
+  it("should return only the requested fields plus id", async () => {
+    // ทดสอบการเลือกเฉพาะฟิลด์ที่ต้องการ
+    const res = await request(app).get("/posts?fields=title,image&limit=2");
+
+    res.body.posts.forEach((post) => {
+      expect(Object.keys(post).sort()).toEqual(["id", "image", "title"]);
+    });
+  });
+
+  it("should keep relevance scores and cursors with projected lists", async () => {
+    // ทดสอบว่าการเลือกฟิลด์ไม่กระทบ score และ cursor
+    const res = await request(app).get("/posts?keyword=cat&fields=title&sort=-likes&limit=2");
+
+    expect(Object.keys(res.body.posts[0]).sort()).toEqual(["id", "score", "title"]);
+    const next = await request(app).get(`/posts?keyword=cat&fields=title&sort=-likes&limit=2&after=${res.body.nextCursor}`);
+    expect(next.statusCode).toBe(200);
+  });
+
+  it("should support the full projection in lists", async () => {
+    // ทดสอบการขอทุกฟิลด์ในรายการ
+    const res = await request(app).get("/posts?fields=full&limit=1");
+    expect(res.body.posts[0]).toHaveProperty("content");
+  });
+
+  it("should project a single post", async () => {
+    // ทดสอบการเลือกฟิลด์ของโพสต์เดียว (ค่าเริ่มต้นคือทุกฟิลด์)
+    const full = await request(app).get("/posts/1");
+    const partial = await request(app).get("/posts/1?fields=summary");
+
+    expect(full.body).toHaveProperty("content");
+    expect(partial.body).not.toHaveProperty("content");
+    expect(partial.body).toHaveProperty("likedByMe");
+  });
+
+  it("should reject unknown fields with 400", async () => {
+    // ทดสอบการปฏิเสธฟิลด์ที่ไม่รู้จัก
+    const list = await request(app).get("/posts?fields=title,password");
+    const single = await request(app).get("/posts/1?fields=title&fields=image");
+
+    expect(list.statusCode).toBe(400);
+    expect(list.body).toMatchObject({ title: "Invalid fields parameter", errors: [{ field: "password", detail: "Unknown field: password" }] });
+    expect(single.statusCode).toBe(400);
+    expect(errorDetails(single)).toEqual(["fields must be a single value"]);
+  });
+});
+
+// ทดสอบการแบ่งหน้าแบบ cursor
+describe("Cursor pagination", () => {
+  // ดึงทุกหน้าโดยตาม cursor ไปเรื่อยๆ (เริ่มจาก startCursor ถ้ามี)
+  const walk = async (baseUrl, cursorField, param, startCursor) => {
+    const ids = [];
+    const separator = baseUrl.includes('?') ? '&' : '?';
+    let res = await request(app).get(startCursor ? `${baseUrl}${separator}${param}=${startCursor}` : baseUrl);
+    ids.push(...res.body.posts.map((post) => post.id));
+    while (res.body[cursorField]) {
+      res = await request(app).get(`${baseUrl}${separator}${param}=${res.body[cursorField]}`);
+      ids.push(...res.body.posts.map((post) => post.id));
+    }
+    return { ids, last: res };
+  };
+
+  it("should return cursors and Link headers in page mode", async () => {
+    // ทดสอบว่าโหมด page เดิมยังทำงาน และมี cursor เพิ่มเข้ามา
+    const res = await request(app).get("/posts?page=2&limit=2&category=Cat");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.currentPage).toBe(2);
+    expect(res.body.nextCursor).toEqual(expect.any(String));
+    expect(res.body.previousCursor).toEqual(expect.any(String));
+    expect(res.headers.link).toContain('rel="next"');
+    expect(res.headers.link).toContain('rel="prev"');
+    expect(res.headers.link).toContain('category=Cat');
+    expect(res.headers.link).not.toContain('page=');
+  });
+
+  it("should walk forward through all posts without duplicates", async () => {
+    // ทดสอบการเดินหน้าด้วย after cursor จนครบทุกโพสต์
+    const { ids, last } = await walk("/posts?limit=7&sort=-likes", "nextCursor", "after");
+    const expected = [...blogPosts].sort((a, b) => b.likes - a.likes || a.id - b.id).map((post) => post.id);
+
+    expect(ids).toEqual(expected);
+    expect(last.body.hasNextPage).toBe(false);
+    expect(last.body.hasPreviousPage).toBe(true);
+    expect(last.body).not.toHaveProperty("currentPage");
+  });
+
+  it("should walk backward with before cursors", async () => {
+    // ทดสอบการถอยหลังด้วย before cursor
+    const lastPage = await request(app).get("/posts?page=5&limit=7");
+    const { ids, last } = await walk("/posts?limit=7", "previousCursor", "before", lastPage.body.previousCursor);
+
+    expect(ids.sort((a, b) => a - b)).toEqual(blogPosts.slice(0, 28).map((post) => post.id));
+    expect(last.body.hasPreviousPage).toBe(false);
+    expect(last.body.hasNextPage).toBe(true);
+  });
+
+  it("should not repeat posts when new posts are added between pages", async () => {
+    // ทดสอบว่าผลลัพธ์ไม่เลื่อนเมื่อมีโพสต์ใหม่ (ปัญหาของ offset pagination)
+    const first = await request(app).get("/posts?limit=5&sort=-date");
+    const created = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .send({
+        title: "Breaking News For Cursors",
+        description: "Newest post",
+        content: "Content",
+        category: "General",
+        author: "Editor",
+        image: "https://example.com/news.jpg"
+      });
+    const second = await request(app).get(`/posts?limit=5&sort=-date&after=${first.body.nextCursor}`);
+
+    const firstIds = first.body.posts.map((post) => post.id);
+    second.body.posts.forEach((post) => expect(firstIds).not.toContain(post.id));
+    expect(second.body.posts.map((post) => post.id)).not.toContain(created.body.id);
+
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should keep relevance order across cursor pages", async () => {
+    // ทดสอบ cursor ร่วมกับการค้นหาแบบจัดอันดับ
+    const { ids } = await walk("/posts?keyword=cat&limit=4", "nextCursor", "after");
+    const all = await request(app).get("/posts?keyword=cat&limit=100");
+
+    expect(ids).toEqual(all.body.posts.map((post) => post.id));
+  });
+
+  it("should reject tampered or malformed cursors", async () => {
+    // ทดสอบการปฏิเสธ cursor ที่ถูกแก้ไข
+    const first = await request(app).get("/posts?limit=5");
+    const [payload, signature] = first.body.nextCursor.split('.');
+    const forged = Buffer.from(JSON.stringify({ k: [0], s: 'id' })).toString('base64url');
+
+    for (const cursor of [`${forged}.${signature}`, payload, 'garbage', `${payload}.${signature}.x`]) {
+      const res = await request(app).get(`/posts?after=${cursor}`);
+      expect(res.statusCode).toBe(400);
+      expect(errorDetails(res)).toEqual(["Invalid cursor"]);
+    }
+  });
+
+  it("should reject cursors created with a different sort order", async () => {
+    // ทดสอบการใช้ cursor กับ sort ที่ต่างจากตอนสร้าง
+    const first = await request(app).get("/posts?limit=5&sort=likes");
+    const res = await request(app).get(`/posts?sort=-likes&after=${first.body.nextCursor}`);
+
+    expect(res.statusCode).toBe(400);
+    expect(errorDetails(res)).toEqual(["Cursor does not match the requested sort order"]);
+  });
+
+  it("should reject combining page with cursors or both cursor directions", async () => {
+    // ทดสอบการใช้ page และ cursor พร้อมกัน
+    const res = await request(app).get("/posts?page=2&after=a&before=b");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.title).toBe("Invalid pagination parameters");
+    expect(errorDetails(res)).toEqual([
+      "Cannot combine after and before cursors",
+      "Cannot combine page with after/before cursors"
+    ]);
+  });
+
+  it("should reject repeated cursor parameters", async () => {
+    // ทดสอบการส่ง cursor หลายค่า
+    const res = await request(app).get("/posts?after=a&after=b");
+
+    expect(res.statusCode).toBe(400);
+    expect(errorDetails(res)).toEqual(["after must be a single value"]);
+  });
+});
+
 // ทดสอบการดึงโพสต์ตาม ID
 describe("GET /posts/:id", () => {
   it("should return a post if it exists", async () => {
@@ -270,7 +661,7 @@ describe("GET /posts/:id", () => {
     
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty("id", 1); // ID ถูกต้อง
-    expect(res.body).toHaveProperty("requestedAt"); // มีเวลาที่ขอข้อมูล
+    expect(res.body).not.toHaveProperty("requestedAt"); // ไม่มีข้อมูลที่เปลี่ยนทุก request (cache ได้)
   });
 
   it("should return 404 if post does not exist", async () => {
@@ -280,7 +671,7 @@ describe("GET /posts/:id", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(404);
-    expect(res.body.error).toBe("Blog post not found");
+    expect(res.body.title).toBe("Blog post not found");
     expect(res.body.requestedId).toBe(99999); // ID ที่ขอ
   });
 
@@ -291,7 +682,7 @@ describe("GET /posts/:id", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid post ID");
+    expect(res.body.title).toBe("Invalid post ID");
   });
 
   it("should handle negative ID", async () => {
@@ -301,7 +692,7 @@ describe("GET /posts/:id", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid post ID");
+    expect(res.body.title).toBe("Invalid post ID");
   });
 
   it("should handle zero ID", async () => {
@@ -311,7 +702,7 @@ describe("GET /posts/:id", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid post ID");
+    expect(res.body.title).toBe("Invalid post ID");
   });
 
   it("should handle extremely large ID", async () => {
@@ -321,7 +712,7 @@ describe("GET /posts/:id", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body.error).toBe("Invalid post ID");
+    expect(res.body.title).toBe("Invalid post ID");
   });
 
   it("should handle empty ID", async () => {
@@ -354,8 +745,8 @@ describe("Error Handling", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(404);
-    expect(res.body.error).toBe("Route not found");
-    expect(res.body.path).toBe("/non-existent-route"); // path ที่ขอ
+    expect(res.body.title).toBe("Route not found");
+    expect(res.body.instance).toBe("/non-existent-route"); // path ที่ขอ
     expect(res.body.method).toBe("GET"); // HTTP method
   });
 
@@ -378,7 +769,157 @@ describe("Error Handling", () => {
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(400);
-    expect(res.body).toHaveProperty("error");
+    expect(res.body).toHaveProperty("code");
+  });
+
+  it("should answer 408 when a request exceeds the timeout", async () => {
+    // ทดสอบ request timeout ด้วย store ที่ไม่ตอบกลับ
+    const stalled = createApp({
+      config: testConfig({ requestTimeoutMs: 50 }),
+      store: { posts: { ...createMemoryPostStore([]), getById: () => new Promise(() => {}) } }
+    });
+    const res = await request(stalled).get("/posts/1");
+
+    expect(res.statusCode).toBe(408);
+    expect(res.body.code).toBe("request_timeout");
+  });
+
+  it("should only log a handler that finishes after the 408 was sent", async () => {
+    // ทดสอบ store ที่ตอบช้ากว่า timeout - response ที่มาทีหลังต้องไม่ทำให้เกิด unhandled rejection
+    const lines = [];
+    const rejections = [];
+    const onRejection = (reason) => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    const memory = createMemoryPostStore(blogPosts);
+    const slow = createApp({
+      config: testConfig({ requestTimeoutMs: 50 }),
+      logger: createLogger({ level: 'info', write: (line) => lines.push(JSON.parse(line)) }),
+      store: {
+        posts: { ...memory, getById: (id) => new Promise((resolve) => setTimeout(() => resolve(memory.getById(id)), 150)) }
+      }
+    });
+
+    // โพสต์ที่มีอยู่ (response ปกติที่มาทีหลัง) และโพสต์ที่ไม่มี (problem ที่มาทีหลัง)
+    const found = await request(slow).get("/posts/1");
+    const missing = await request(slow).get("/posts/99999");
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    process.removeListener('unhandledRejection', onRejection);
+
+    expect([found.statusCode, missing.statusCode]).toEqual([408, 408]);
+    expect(rejections).toEqual([]);
+    expect(lines).toContainEqual(expect.objectContaining({ severity: "ERROR", error: { code: "ERR_HTTP_HEADERS_SENT" } }));
+    expect(lines).toContainEqual(expect.objectContaining({ severity: "WARNING", code: "post_not_found" }));
+  });
+});
+
+// ทดสอบรูปแบบข้อผิดพลาดตาม RFC 9457
+describe("Problem details", () => {
+  it("should return problem+json with a stable code and type", async () => {
+    // ทดสอบโครงสร้างพื้นฐานของ problem
+    const res = await request(app).get("/posts/999");
+
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: "/problems/post_not_found",
+      title: "Blog post not found",
+      status: 404,
+      detail: "Blog post not found",
+      instance: "/posts/999",
+      code: "post_not_found",
+      requestId: res.headers['x-request-id'],
+      requestedId: 999
+    });
+  });
+
+  it("should list per-field errors", async () => {
+    // ทดสอบ errors รายฟิลด์ของข้อมูลที่ไม่ถูกต้อง
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .send({ title: "", extra: true });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.code).toBe("invalid_post");
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      { field: "extra", detail: "Unknown field: extra" },
+      { field: "title", detail: expect.stringMatching(/^title /) }
+    ]));
+    expect(res.body.detail).toBe(errorDetails(res).join('; ')); // detail สรุปทุกข้อผิดพลาด
+  });
+
+  it("should answer malformed JSON and CORS errors as problems", async () => {
+    // ทดสอบข้อผิดพลาดจาก middleware (express.json และ CORS)
+    const malformed = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .set('Content-Type', 'application/json')
+      .send('{"title": ');
+    const cors = await request(app).get("/").set('Origin', 'https://evil.example.com');
+
+    expect(malformed.statusCode).toBe(400);
+    expect(malformed.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(malformed.body.code).toBe("invalid_json");
+    expect(cors.statusCode).toBe(403);
+    expect(cors.body).toMatchObject({ code: "cors_origin_not_allowed", detail: "Origin not allowed" });
+  });
+
+  it("should tag every response and problem with a request ID", async () => {
+    // ทดสอบ X-Request-Id ใน header และ requestId ใน problem
+    const found = await request(app).get("/posts/1");
+    const missing = await request(app).get("/posts/999").set('X-Request-Id', 'client-trace-1');
+
+    expect(found.headers['x-request-id']).toBeDefined();
+    expect(missing.headers['x-request-id']).toBe('client-trace-1');
+    expect(missing.body.requestId).toBe('client-trace-1');
+  });
+
+  it("should describe problem types at their type URI", async () => {
+    // ทดสอบ GET /problems/:code
+    const type = await request(app).get("/problems/rate_limited");
+    const unknown = await request(app).get("/problems/not_a_code");
+
+    expect(type.statusCode).toBe(200);
+    expect(type.body).toEqual({ type: "/problems/rate_limited", code: "rate_limited", status: 429, title: "Too many requests" });
+    expect(unknown.statusCode).toBe(404);
+    expect(unknown.body).toMatchObject({ code: "problem_type_not_found", requestedCode: "not_a_code" });
+  });
+});
+
+// ทดสอบ Prometheus metrics
+describe("Metrics", () => {
+  it("should expose request metrics labelled by route template", async () => {
+    // ทดสอบว่า route ใน metrics เป็น template ไม่ใช่ URL จริง
+    await request(app).get("/posts/1");
+    await request(app).get("/no-such-route-123");
+    await request(app).get("/").set('Origin', 'https://evil.example.com');
+    const res = await request(app).get("/metrics");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toMatch(/http_requests_total\{method="GET",route="\/posts\/\{id\}",status="200"\} \d+/);
+    expect(res.text).toContain('http_request_duration_seconds_bucket{le="0.005",method="GET",route="/posts/{id}",status="200"}');
+    expect(res.text).toContain('route="unmatched",status="404"');
+    expect(res.text).not.toContain('no-such-route-123');
+    expect(res.text).toMatch(/cors_rejections_total [1-9]/);
+    expect(res.text).toContain('rate_limit_rejections_total');
+    expect(res.text).toContain('request_timeouts_total 0');
+    expect(res.text).toContain('nodejs_eventloop_lag_seconds');
+    expect(res.text).toContain('nodejs_heap_size_used_bytes');
+  });
+
+  it("should require the metrics token when one is configured", async () => {
+    // ทดสอบการจำกัดการเข้าถึงด้วย METRICS_TOKEN (config.metricsToken)
+    const guarded = createApp({ config: testConfig({ metricsToken: 'scrape-secret' }) });
+    const anonymous = await request(guarded).get("/metrics");
+    const wrong = await request(guarded).get("/metrics").set('Authorization', 'Bearer guess');
+    const scraper = await request(guarded).get("/metrics").set('Authorization', 'Bearer scrape-secret');
+
+    expect(anonymous.statusCode).toBe(401);
+    expect(anonymous.body.code).toBe("unauthorized");
+    expect(wrong.statusCode).toBe(401);
+    expect(scraper.statusCode).toBe(200);
+    expect(scraper.headers['cache-control']).toBe('no-store');
   });
 });
 
@@ -406,12 +947,43 @@ describe("Input Validation and Sanitization", () => {
 
   it("should handle special characters in search", async () => {
     // ทดสอบการจัดการอักขระพิเศษในการค้นหา (ป้องกัน XSS)
+    // validateInput ลบ <script> tags ออกก่อนถึงการค้นหา จึงเหมือนไม่มีคำค้นหา
     const res = await request(app)
       .get("/posts?keyword=<script>alert('xss')</script>")
       .set('Origin', 'http://localhost:3000');
     
     expect(res.statusCode).toBe(200);
-    expect(res.body.posts).toHaveLength(0); // ไม่ควรพบอะไร
+    expect(res.body.totalPosts).toBe(blogPosts.length);
+  });
+
+  it("should strip javascript: and event handlers from query strings", async () => {
+    // ทดสอบการลบ javascript: protocol และ event handlers ออกจาก query
+    const res = await request(app)
+      .get("/posts?category=javascript:Cat")
+      .set('Origin', 'http://localhost:3000');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.posts.every((post) => post.category === "Cat")).toBe(true);
+  });
+
+  it("should reject non-JSON bodies on write requests", async () => {
+    // ทดสอบการตรวจสอบ Content-Type ของ request ที่มี body
+    const res = await request(app)
+      .put("/posts/1")
+      .set('Authorization', editorAuth)
+      .set('Content-Type', 'text/plain')
+      .send("title=hello");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.title).toBe("Invalid content type");
+  });
+
+  it("should set additional security headers", async () => {
+    // ทดสอบ security headers จาก securityHeaders middleware
+    const res = await request(app).get("/");
+
+    expect(res.headers['permissions-policy']).toBe('geolocation=(), microphone=(), camera=()');
+    expect(res.headers['referrer-policy']).toBe('strict-origin-when-cross-origin');
   });
 });
 
@@ -467,4 +1039,1626 @@ describe("Data Integrity", () => {
       hasPreviousPage: expect.any(Boolean) // มีหน้าก่อนหน้าหรือไม่
     });
   });
-});
\ No newline at end of file
+});
+// ทดสอบการสร้าง แก้ไข และลบโพสต์
+describe("Write API for posts", () => {
+  const newPost = {
+    title: "Testing Write Endpoints",
+    description: "A post created by the test suite.",
+    content: "## 1. Intro\n\nSome content.",
+    category: "General",
+    author: "Test Author",
+    image: "https://example.com/image.jpg",
+    status: "published"
+  };
+
+  it("should create a post with a server-assigned id", async () => {
+    // ทดสอบการสร้างโพสต์ใหม่ - เซิร์ฟเวอร์ต้องกำหนด ID ให้เอง
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .set('Origin', 'http://localhost:3000')
+      .send(newPost);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.id).toBe(blogPosts.length + 1);
+    expect(res.body.likes).toBe(0); // ค่าเริ่มต้นของ likes
+    expect(res.body).toHaveProperty("date");
+    expect(res.headers.location).toBe(`/posts/${res.body.id}`);
+
+    const fetched = await request(app).get(`/posts/${res.body.id}`);
+    expect(fetched.body.title).toBe(newPost.title);
+    expect(blogPosts).toHaveLength(30); // ต้องไม่แก้ไข array ต้นฉบับ
+
+    await request(app).delete(`/posts/${res.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should reject invalid post data with 422", async () => {
+    // ทดสอบการปฏิเสธข้อมูลที่ไม่ถูกต้อง
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .send({ ...newPost, id: 5, title: "", image: "not-a-url", likes: 5, date: "soon", extra: true });
+
+    expect(res.statusCode).toBe(422);
+    expect(res.body.title).toBe("Invalid post data");
+    expect(errorDetails(res)).toEqual(expect.arrayContaining([
+      "Unknown field: extra",
+      "title must be a non-empty string",
+      "image must be a valid http(s) URL",
+      "Unknown field: likes",
+      "date must be a valid date string",
+      "id is assigned by the server"
+    ]));
+  });
+
+  it("should require all mandatory fields on create", async () => {
+    // ทดสอบการตรวจสอบฟิลด์ที่จำเป็น
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .send({ title: "Only a title" });
+
+    expect(res.statusCode).toBe(422);
+    expect(errorDetails(res)).toContain("author is required");
+  });
+
+  it("should reject a non-object body", async () => {
+    // ทดสอบกรณี body ไม่ใช่ JSON object
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .set('Content-Type', 'application/json')
+      .send('[1, 2]');
+
+    expect(res.statusCode).toBe(422);
+    expect(errorDetails(res)).toEqual(["Request body must be a JSON object"]);
+  });
+
+  it("should reject values that are too long", async () => {
+    // ทดสอบการจำกัดความยาวของข้อความ
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .send({ ...newPost, title: "x".repeat(201) });
+
+    expect(res.statusCode).toBe(422);
+    expect(errorDetails(res)).toContain("title cannot exceed 200 characters");
+  });
+
+  it("should return 409 when the title already exists", async () => {
+    // ทดสอบกรณีหัวข้อซ้ำกับโพสต์ที่มีอยู่
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', editorAuth)
+      .send({ ...newPost, title: blogPosts[0].title.toUpperCase() });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.title).toBe("Blog post already exists");
+    expect(res.body.conflictingId).toBe(1);
+  });
+
+  it("should replace a post with PUT and keep date and likes", async () => {
+    // ทดสอบการแทนที่โพสต์ทั้งหมด
+    const created = await request(app).post("/posts").set('Authorization', editorAuth).send(newPost);
+    const res = await request(app)
+      .put(`/posts/${created.body.id}`)
+      .set('Authorization', editorAuth)
+      .send({ ...newPost, id: created.body.id, title: "Replaced Title", date: "2024-01-01" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.title).toBe("Replaced Title");
+    expect(res.body.likes).toBe(0);
+    expect(new Date(res.body.date).getUTCFullYear()).toBe(2024);
+
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should require all fields on PUT", async () => {
+    // ทดสอบว่า PUT ต้องส่งข้อมูลครบทุกฟิลด์ที่จำเป็น
+    const res = await request(app)
+      .put("/posts/1")
+      .set('Authorization', editorAuth)
+      .send({ title: "Partial" });
+
+    expect(res.statusCode).toBe(422);
+  });
+
+  it("should partially update a post with PATCH", async () => {
+    // ทดสอบการแก้ไขบางฟิลด์
+    const created = await request(app).post("/posts").set('Authorization', editorAuth).send(newPost);
+    const res = await request(app)
+      .patch(`/posts/${created.body.id}`)
+      .set('Authorization', editorAuth)
+      .send({ description: "Patched description." });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.description).toBe("Patched description.");
+    expect(res.body.title).toBe(newPost.title);
+
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should reject an empty PATCH body", async () => {
+    // ทดสอบกรณี PATCH ไม่มีฟิลด์ใดเลย
+    const res = await request(app).patch("/posts/1").set('Authorization', editorAuth).send({});
+
+    expect(res.statusCode).toBe(422);
+    expect(errorDetails(res)).toContain("At least one field must be provided");
+  });
+
+  it("should return 409 when body id does not match path id", async () => {
+    // ทดสอบกรณี ID ใน body ไม่ตรงกับ path
+    const res = await request(app).patch("/posts/1").set('Authorization', editorAuth).send({ id: 2, description: "Mismatch" });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.title).toBe("Post ID mismatch");
+  });
+
+  it("should return 409 when renaming to an existing title", async () => {
+    // ทดสอบการเปลี่ยนหัวข้อให้ซ้ำกับโพสต์อื่น
+    const res = await request(app).patch("/posts/1").set('Authorization', editorAuth).send({ title: blogPosts[1].title });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.conflictingId).toBe(2);
+  });
+
+  it("should return 404 when updating or deleting a missing post", async () => {
+    // ทดสอบกรณีไม่พบโพสต์ที่ต้องการแก้ไขหรือลบ
+    const patchRes = await request(app).patch("/posts/99999").set('Authorization', editorAuth).send({ description: "Missing" });
+    const deleteRes = await request(app).delete("/posts/99999").set('Authorization', editorAuth);
+
+    expect(patchRes.statusCode).toBe(404);
+    expect(deleteRes.statusCode).toBe(404);
+    expect(deleteRes.body.requestedId).toBe(99999);
+  });
+
+  it("should return 400 for invalid ids on write routes", async () => {
+    // ทดสอบกรณี ID ไม่ถูกต้องใน write routes
+    const putRes = await request(app).put("/posts/abc").set('Authorization', editorAuth).send(newPost);
+    const deleteRes = await request(app).delete("/posts/0").set('Authorization', editorAuth);
+
+    expect(putRes.statusCode).toBe(400);
+    expect(deleteRes.statusCode).toBe(400);
+    expect(deleteRes.body.title).toBe("Invalid post ID");
+  });
+
+  it("should keep the search index in sync with writes", async () => {
+    // ทดสอบว่าโพสต์ที่สร้าง แก้ไข และลบ ถูกอัปเดตใน search index
+    const created = await request(app).post("/posts").set('Authorization', editorAuth)
+      .send({ ...newPost, title: "Zanzibar Spice Markets" });
+    let res = await request(app).get("/posts?keyword=zanzibar");
+    expect(res.body.posts.map((post) => post.id)).toEqual([created.body.id]);
+
+    await request(app).patch(`/posts/${created.body.id}`).set('Authorization', editorAuth)
+      .send({ title: "Marrakesh Spice Markets" });
+    res = await request(app).get("/posts?keyword=zanzibar");
+    expect(res.body.totalPosts).toBe(0);
+
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+    res = await request(app).get("/posts?keyword=marrakesh");
+    expect(res.body.totalPosts).toBe(0);
+  });
+
+  it("should delete a post and return 204", async () => {
+    // ทดสอบการลบโพสต์
+    const created = await request(app).post("/posts").set('Authorization', editorAuth).send(newPost);
+    const res = await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+
+    expect(res.statusCode).toBe(204);
+    const fetched = await request(app).get(`/posts/${created.body.id}`);
+    expect(fetched.statusCode).toBe(404);
+  });
+});
+
+// ทดสอบการยืนยันตัวตนและสิทธิ์ตามบทบาท
+describe("Authentication and authorization", () => {
+  const authorAuth = bearer({ sub: 'author-1', name: 'Thompson P.', role: 'author' });
+  const readerAuth = bearer({ sub: 'reader-1', name: 'Reader', role: 'reader' });
+  const authorPost = {
+    title: "An Author's Own Post",
+    description: "Written by the author themselves.",
+    content: "Content",
+    category: "General",
+    author: "Thompson P.",
+    image: "https://example.com/own.jpg"
+  };
+
+  it("should allow anonymous reads", async () => {
+    // ทดสอบว่าการอ่านข้อมูลสาธารณะไม่ต้องใช้ token
+    const res = await request(app).get("/posts/1");
+    expect(res.statusCode).toBe(200);
+  });
+
+  it("should return 401 for writes without a token", async () => {
+    // ทดสอบการเขียนข้อมูลโดยไม่มี token
+    const res = await request(app).delete("/posts/1");
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body).toMatchObject({ title: "Unauthorized", code: "unauthorized", detail: "Authentication required" });
+  });
+
+  it("should return 401 for invalid, tampered or expired tokens", async () => {
+    // ทดสอบ token ที่ไม่ถูกต้อง ถูกแก้ไข หรือหมดอายุ
+    const [header, , signature] = editorAuth.slice(7).split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ sub: 'x', name: 'x', role: 'admin', exp: 9999999999 })).toString('base64url');
+    const expired = signToken({ sub: 'e', name: 'E', role: 'editor' }, 'test-secret', { expiresInSeconds: -1 });
+    const wrongSecret = signToken({ sub: 'e', name: 'E', role: 'editor' }, 'other-secret');
+    const unknownRole = signToken({ sub: 'e', name: 'E', role: 'superuser' }, 'test-secret');
+
+    for (const token of [`${header}.${forgedBody}.${signature}`, expired, wrongSecret, unknownRole, 'not-a-token']) {
+      const res = await request(app).get("/posts/1").set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toBe(401);
+      expect(res.body.detail).toBe("Invalid or expired token");
+    }
+  });
+
+  it("should reject non-bearer authorization schemes", async () => {
+    // ทดสอบ authorization scheme อื่นที่ไม่ใช่ Bearer
+    const res = await request(app).get("/posts/1").set('Authorization', 'Basic dXNlcjpwYXNz');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.title).toBe("Unauthorized");
+  });
+
+  it("should return 403 when a reader tries to write", async () => {
+    // ทดสอบว่า reader ไม่มีสิทธิ์เขียนข้อมูล
+    const res = await request(app)
+      .post("/posts")
+      .set('Authorization', readerAuth)
+      .send(authorPost);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toMatchObject({ title: "Forbidden", code: "forbidden", detail: "Requires author role or higher" });
+  });
+
+  it("should let authors manage only their own posts", async () => {
+    // ทดสอบว่า author แก้ไขและลบได้เฉพาะโพสต์ของตัวเอง
+    const created = await request(app)
+      .post("/posts")
+      .set('Authorization', authorAuth)
+      .send(authorPost);
+    expect(created.statusCode).toBe(201);
+
+    const ownUpdate = await request(app)
+      .patch(`/posts/${created.body.id}`)
+      .set('Authorization', authorAuth)
+      .send({ description: "Updated by its author." });
+    expect(ownUpdate.statusCode).toBe(200);
+
+    const otherAuthor = bearer({ sub: 'author-2', name: 'Someone Else', role: 'author' });
+    const foreignDelete = await request(app)
+      .delete(`/posts/${created.body.id}`)
+      .set('Authorization', otherAuthor);
+    expect(foreignDelete.statusCode).toBe(403);
+    expect(foreignDelete.body.detail).toBe("Authors can only manage their own posts");
+
+    const ownDelete = await request(app)
+      .delete(`/posts/${created.body.id}`)
+      .set('Authorization', authorAuth);
+    expect(ownDelete.statusCode).toBe(204);
+  });
+
+  it("should stop authors from writing on behalf of someone else", async () => {
+    // ทดสอบว่า author สร้างโพสต์หรือเปลี่ยน author เป็นคนอื่นไม่ได้
+    const createRes = await request(app)
+      .post("/posts")
+      .set('Authorization', authorAuth)
+      .send({ ...authorPost, author: "Someone Else" });
+    expect(createRes.statusCode).toBe(403);
+
+    const reassignRes = await request(app)
+      .patch("/posts/1")
+      .set('Authorization', authorAuth)
+      .send({ author: "Someone Else" });
+    expect(reassignRes.statusCode).toBe(403);
+  });
+
+  it("should let editors edit any post", async () => {
+    // ทดสอบว่า editor แก้ไขโพสต์ของผู้อื่นได้
+    const original = await request(app).get("/posts/2");
+    const res = await request(app)
+      .patch("/posts/2")
+      .set('Authorization', editorAuth)
+      .send({ description: original.body.description });
+
+    expect(res.statusCode).toBe(200);
+  });
+});
+
+// ทดสอบ rate limiting (ใช้ limiter แยกเพื่อไม่ให้กระทบ app หลัก)
+describe("Rate limiting", () => {
+  // สร้าง app ขนาดเล็กที่มี limiter ตามที่กำหนด
+  const createLimitedApp = (options) => {
+    const limitedApp = express();
+    limitedApp.get("/limited", createRateLimit(options), (req, res) => res.json({ ok: true }));
+    return limitedApp;
+  };
+
+  it("should return 429 with retry information when the quota is exceeded", async () => {
+    // ทดสอบการปฏิเสธ request เมื่อเกินขีดจำกัด
+    const limitedApp = createLimitedApp({ group: 'test', windowMs: 60000, max: 2 });
+    await request(limitedApp).get("/limited");
+    const second = await request(limitedApp).get("/limited");
+    const third = await request(limitedApp).get("/limited");
+
+    expect(second.statusCode).toBe(200);
+    expect(second.headers['ratelimit-limit']).toBe('2');
+    expect(third.statusCode).toBe(429);
+    expect(third.body.title).toBe('Too many requests');
+    expect(third.body.retryAfter).toBeGreaterThan(0);
+    expect(third.headers['retry-after']).toBe(String(third.body.retryAfter));
+  });
+
+  it("should report each rejection through onRejected", async () => {
+    // ทดสอบ hook ที่ใช้นับการปฏิเสธใน metrics
+    const onRejected = jest.fn();
+    const limitedApp = createLimitedApp({ group: 'hooked', windowMs: 60000, max: 1, onRejected });
+    await request(limitedApp).get("/limited");
+    await request(limitedApp).get("/limited");
+    await request(limitedApp).get("/limited");
+
+    expect(onRejected).toHaveBeenCalledTimes(2);
+  });
+
+  it("should apply per-API-key quotas and ignore unknown keys", async () => {
+    // ทดสอบ quota เฉพาะ API key - key ที่ไม่รู้จักถูกนับตาม IP
+    const limitedApp = createLimitedApp({ windowMs: 60000, max: 1, apiKeys: { partner: 3 } });
+    const partnerResponses = [];
+    for (let i = 0; i < 3; i++) {
+      partnerResponses.push(await request(limitedApp).get("/limited").set('X-API-Key', 'partner'));
+    }
+    await request(limitedApp).get("/limited").set('X-API-Key', 'unknown');
+    const unknownKey = await request(limitedApp).get("/limited").set('X-API-Key', 'unknown');
+
+    expect(partnerResponses.map((res) => res.statusCode)).toEqual([200, 200, 200]);
+    expect(unknownKey.statusCode).toBe(429);
+  });
+
+  it("should share counters through a backend passed to createApp", async () => {
+    // ทดสอบว่า app สองตัวที่ใช้ store.rateLimits เดียวกันนับ request ร่วมกัน (เหมือนหลาย instance)
+    const backend = createMemoryRateLimitBackend();
+    const config = testConfig({ rateLimits: { read: { max: 2 } } });
+    const first = createApp({ config, store: { rateLimits: backend } });
+    const second = createApp({ config, store: { rateLimits: backend } });
+    const separate = createApp({ config });
+
+    await request(first).get("/posts/1");
+    await request(second).get("/posts/1");
+    const res = await request(first).get("/posts/1");
+
+    expect(res.statusCode).toBe(429);
+    expect(backend.size).toBe(1);
+    expect((await request(separate).get("/posts/1")).statusCode).toBe(200);
+  });
+
+  it("should decrement and reset counters in the memory backend", async () => {
+    // ทดสอบ method อื่นของ backend
+    const backend = createMemoryRateLimitBackend();
+    await backend.increment('k', 60000);
+    await backend.increment('k', 60000);
+    await backend.decrement('k');
+    expect((await backend.increment('k', 60000)).totalHits).toBe(2);
+
+    await backend.reset('k');
+    await backend.decrement('k');
+    expect((await backend.increment('k', 60000)).totalHits).toBe(1);
+  });
+
+  it("should drop expired keys from the memory backend", async () => {
+    // ทดสอบว่า key ของ client ที่หมดช่วงเวลาแล้วถูกลบ (Map ไม่โตตามจำนวน IP)
+    let now = 0;
+    const backend = createMemoryRateLimitBackend({ now: () => now });
+    await backend.increment('ip:a', 1000);
+    await backend.increment('ip:b', 1000);
+    expect(backend.size).toBe(2);
+
+    now = 1500;
+    expect((await backend.increment('ip:c', 1000)).totalHits).toBe(1);
+    expect(backend.size).toBe(1);
+  });
+});
+
+// ทดสอบ resource หมวดหมู่ (/categories)
+describe("Categories", () => {
+  const countIn = (name) => blogPosts.filter((post) => post.category === name).length;
+  const travelPost = {
+    title: "Backpacking Through the Alps",
+    description: "Mountain huts and long trails.",
+    content: "## Day 1\n\nWe started early.",
+    category: "travel-notes",
+    author: "Editor",
+    image: "https://example.com/alps.jpg",
+    status: "published"
+  };
+
+  it("should slugify names", () => {
+    // ทดสอบการสร้าง slug จากชื่อ
+    expect(slugify("  Self Care & Wellness ")).toBe("self-care-wellness");
+    expect(slugify("Café Culture")).toBe("cafe-culture");
+  });
+
+  it("should list categories with post counts", async () => {
+    // ทดสอบรายการหมวดหมู่พร้อมจำนวนโพสต์
+    const res = await request(app).get("/categories");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.categories).toEqual([
+      { slug: "cat", name: "Cat", postCount: countIn("Cat") },
+      { slug: "general", name: "General", postCount: countIn("General") },
+      { slug: "inspiration", name: "Inspiration", postCount: countIn("Inspiration") }
+    ]);
+    expect(res.body.totalCategories).toBe(3);
+  });
+
+  it("should get a category by slug or return 404", async () => {
+    // ทดสอบการดึงหมวดหมู่ตาม slug
+    const found = await request(app).get("/categories/General");
+    const missing = await request(app).get("/categories/unknown");
+
+    expect(found.body).toEqual({ slug: "general", name: "General", postCount: countIn("General") });
+    expect(missing.statusCode).toBe(404);
+    expect(missing.body).toMatchObject({ code: "category_not_found", requestedSlug: "unknown" });
+  });
+
+  it("should validate and protect category creation", async () => {
+    // ทดสอบการตรวจสอบข้อมูลและสิทธิ์ในการสร้างหมวดหมู่
+    const authorAuth = bearer({ sub: 'author-1', name: 'Thompson P.', role: 'author' });
+    const forbidden = await request(app).post("/categories").set('Authorization', authorAuth).send({ name: "X" });
+    const invalid = await request(app).post("/categories").set('Authorization', editorAuth).send({ name: "!!!", slug: "x" });
+    const duplicate = await request(app).post("/categories").set('Authorization', editorAuth).send({ name: " cat " });
+
+    expect(forbidden.statusCode).toBe(403);
+    expect(invalid.statusCode).toBe(422);
+    expect(errorDetails(invalid)).toEqual(["Unknown field: slug", "name must contain at least one letter or number"]);
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.body.conflictingSlug).toBe("cat");
+  });
+
+  it("should give colliding names a unique slug", async () => {
+    // ทดสอบกรณีชื่อต่างกันแต่ได้ slug เดียวกัน
+    const res = await request(app).post("/categories").set('Authorization', editorAuth).send({ name: "Cat!" });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.slug).toBe("cat-2");
+    await request(app).delete("/categories/cat-2").set('Authorization', editorAuth);
+  });
+
+  it("should reject posts with unknown categories", async () => {
+    // ทดสอบการสร้างโพสต์ในหมวดหมู่ที่ไม่มีอยู่
+    const res = await request(app).post("/posts").set('Authorization', editorAuth)
+      .send({ ...travelPost, category: "Nowhere" });
+
+    expect(res.statusCode).toBe(422);
+    expect(errorDetails(res)).toEqual(["Unknown category: Nowhere"]);
+  });
+
+  it("should create, rename and delete a category with reassignment", async () => {
+    // ทดสอบวงจรของหมวดหมู่: สร้าง, ใช้กับโพสต์ผ่าน slug, เปลี่ยนชื่อ, ลบพร้อมย้ายโพสต์
+    const created = await request(app).post("/categories").set('Authorization', editorAuth).send({ name: "Travel Notes" });
+    expect(created.statusCode).toBe(201);
+    expect(created.headers.location).toBe("/categories/travel-notes");
+
+    const post = await request(app).post("/posts").set('Authorization', editorAuth).send(travelPost);
+    expect(post.body.category).toBe("Travel Notes"); // slug ถูกแปลงเป็นชื่อหมวดหมู่
+
+    const renamed = await request(app).patch("/categories/travel-notes").set('Authorization', editorAuth)
+      .send({ name: "Journeys" });
+    expect(renamed.body).toEqual({ slug: "travel-notes", name: "Journeys", postCount: 1 });
+
+    const bySlug = await request(app).get("/posts?category=travel-notes,cat&fields=category&limit=100");
+    expect(bySlug.body.posts.map((item) => item.category)).toContain("Journeys");
+    const byKeyword = await request(app).get("/posts?keyword=journeys&category=travel-notes");
+    expect(byKeyword.body.posts.map((item) => item.id)).toEqual([post.body.id]); // search index ใช้ชื่อใหม่
+
+    const blocked = await request(app).delete("/categories/travel-notes").set('Authorization', editorAuth);
+    expect(blocked.statusCode).toBe(409);
+    expect(blocked.body.postCount).toBe(1);
+
+    const badTarget = await request(app).delete("/categories/travel-notes?reassignTo=travel-notes")
+      .set('Authorization', editorAuth);
+    expect(badTarget.statusCode).toBe(400);
+
+    const deleted = await request(app).delete("/categories/travel-notes?reassignTo=general")
+      .set('Authorization', editorAuth);
+    expect(deleted.statusCode).toBe(204);
+
+    const moved = await request(app).get(`/posts/${post.body.id}`);
+    expect(moved.body.category).toBe("General");
+
+    // การย้ายหมวดหมู่ถูกบันทึกเป็น revision ของโพสต์พร้อมผู้แก้ไข
+    const history = await request(app).get(`/posts/${post.body.id}/revisions`).set('Authorization', editorAuth);
+    expect(history.body.revisions.map((revision) => [revision.action, revision.editor, revision.changedFields])).toEqual([
+      ['updated', 'Editor', ['category']],
+      ['updated', 'Editor', ['category']],
+      ['created', 'Editor', []]
+    ]);
+    await request(app).delete(`/posts/${post.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should reject renames that conflict or target missing categories", async () => {
+    // ทดสอบการเปลี่ยนชื่อที่ซ้ำ หรือหมวดหมู่ที่ไม่มีอยู่
+    const conflict = await request(app).patch("/categories/cat").set('Authorization', editorAuth).send({ name: "general" });
+    const invalid = await request(app).patch("/categories/cat").set('Authorization', editorAuth).send({ name: "" });
+    const missing = await request(app).patch("/categories/unknown").set('Authorization', editorAuth).send({ name: "X" });
+    const missingDelete = await request(app).delete("/categories/unknown").set('Authorization', editorAuth);
+
+    expect(conflict.statusCode).toBe(409);
+    expect(invalid.statusCode).toBe(422);
+    expect(missing.statusCode).toBe(404);
+    expect(missingDelete.statusCode).toBe(404);
+  });
+
+  it("should count only posts the caller can see", async () => {
+    // ทดสอบว่า postCount ไม่เปิดเผยโพสต์ที่ยังไม่เผยแพร่ให้ผู้ที่มองไม่เห็น
+    const base = { description: "d", content: "c", category: "Drafts", author: "Editor", image: "https://example.com/d.jpg", likes: 0 };
+    const isolated = createApp({
+      config: testConfig(),
+      store: {
+        posts: createMemoryPostStore([
+          { ...base, id: 1, title: "Live", date: new Date("2024-01-01"), status: "published" },
+          { ...base, id: 2, title: "Hidden", date: new Date("2024-01-02"), status: "draft" }
+        ])
+      }
+    });
+
+    const anonymous = await request(isolated).get("/categories/drafts");
+    const editor = await request(isolated).get("/categories").set('Authorization', editorAuth);
+
+    expect(anonymous.body.postCount).toBe(1);
+    expect(editor.body.categories).toEqual([{ slug: "drafts", name: "Drafts", postCount: 2 }]);
+  });
+});
+
+// ทดสอบการแสดงเนื้อหาแบบ HTML (format=html)
+describe("Markdown content rendering", () => {
+  it("should keep markdown content by default", async () => {
+    // ทดสอบว่าค่าเริ่มต้นยังคืนค่า content เดิม
+    const res = await request(app).get("/posts/1");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.content).toBe(blogPosts[0].content);
+    expect(res.body.toc).toBeUndefined();
+  });
+
+  it("should render sanitized HTML with a table of contents and reading time", async () => {
+    // ทดสอบการแปลงเนื้อหาเป็น HTML พร้อมสารบัญ
+    const post = await request(app).post("/posts").set('Authorization', editorAuth).send({
+      title: "Markdown Rendering Guide",
+      description: "How post content is rendered.",
+      content: "## Intro\n\nHello <script>alert(1)</script> [x](javascript:alert(1))\n\n## Details\n\nMore text.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/markdown.jpg",
+      status: "published"
+    });
+    expect(post.statusCode).toBe(201);
+
+    const res = await request(app).get(`/posts/${post.body.id}?format=html`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.contentFormat).toBe("html");
+    expect(res.body.content).toContain('<h2 id="intro">Intro</h2>');
+    expect(res.body.content).not.toContain("<script>");
+    expect(res.body.content).not.toContain('href="javascript:');
+    expect(res.body.toc).toEqual([
+      { level: 2, text: "Intro", id: "intro" },
+      { level: 2, text: "Details", id: "details" }
+    ]);
+    expect(res.body.readingTimeMinutes).toBe(1);
+
+    await request(app).delete(`/posts/${post.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should skip rendering when content is not requested", async () => {
+    // ทดสอบว่าไม่แปลงเมื่อ fields ไม่รวม content
+    const res = await request(app).get("/posts/1?format=html&fields=title");
+    expect(res.statusCode).toBe(200);
+    expect(res.body.content).toBeUndefined();
+    expect(res.body.toc).toBeUndefined();
+  });
+
+  it("should reject unknown formats", async () => {
+    // ทดสอบรูปแบบที่ไม่รองรับ
+    const res = await request(app).get("/posts/1?format=pdf");
+    expect(res.statusCode).toBe(400);
+    expect(res.body.title).toBe("Invalid format parameter");
+  });
+});
+
+// ทดสอบการกดถูกใจโพสต์
+describe("Likes", () => {
+  const readerAuth = (id) => bearer({ sub: id, name: `Reader ${id}`, role: 'reader' });
+
+  it("should count one like per authenticated user", async () => {
+    // ทดสอบว่าการกดถูกใจซ้ำไม่เพิ่มตัวนับ และยกเลิกได้
+    const before = (await request(app).get("/posts/2")).body.likes;
+
+    const first = await request(app).post("/posts/2/like").set('Authorization', readerAuth('like-1'));
+    const again = await request(app).post("/posts/2/like").set('Authorization', readerAuth('like-1'));
+    expect(first.statusCode).toBe(200);
+    expect(first.body).toEqual({ id: 2, likes: before + 1, likedByMe: true });
+    expect(again.body.likes).toBe(before + 1);
+
+    const mine = await request(app).get("/posts/2").set('Authorization', readerAuth('like-1'));
+    const theirs = await request(app).get("/posts/2").set('Authorization', readerAuth('like-2'));
+    expect(mine.body.likedByMe).toBe(true);
+    expect(theirs.body.likedByMe).toBe(false);
+    expect(mine.body.likes).toBe(before + 1);
+
+    const removed = await request(app).delete("/posts/2/like").set('Authorization', readerAuth('like-1'));
+    const removedAgain = await request(app).delete("/posts/2/like").set('Authorization', readerAuth('like-1'));
+    expect(removed.body).toEqual({ id: 2, likes: before, likedByMe: false });
+    expect(removedAgain.body.likes).toBe(before);
+  });
+
+  it("should dedupe anonymous likes by client fingerprint", async () => {
+    // ทดสอบว่าผู้ใช้ anonymous แยกกันด้วย fingerprint (IP + User-Agent)
+    const before = (await request(app).get("/posts/3")).body.likes;
+
+    await request(app).post("/posts/3/like").set('User-Agent', 'browser-a');
+    await request(app).post("/posts/3/like").set('User-Agent', 'browser-a');
+    const other = await request(app).post("/posts/3/like").set('User-Agent', 'browser-b');
+    expect(other.body.likes).toBe(before + 2);
+
+    const res = await request(app).get("/posts/3").set('User-Agent', 'browser-a');
+    expect(res.body.likedByMe).toBe(true);
+
+    await request(app).delete("/posts/3/like").set('User-Agent', 'browser-a');
+    await request(app).delete("/posts/3/like").set('User-Agent', 'browser-b');
+  });
+
+  it("should not lose concurrent likes", async () => {
+    // ทดสอบว่าการกดถูกใจพร้อมกันหลายคนนับครบทุกครั้ง
+    const before = (await request(app).get("/posts/4")).body.likes;
+    const users = ['c-1', 'c-2', 'c-3', 'c-4', 'c-5'];
+
+    await Promise.all(users.map((id) =>
+      request(app).post("/posts/4/like").set('Authorization', readerAuth(id))
+    ));
+    expect((await request(app).get("/posts/4")).body.likes).toBe(before + users.length);
+
+    await Promise.all(users.map((id) =>
+      request(app).delete("/posts/4/like").set('Authorization', readerAuth(id))
+    ));
+    expect((await request(app).get("/posts/4")).body.likes).toBe(before);
+  });
+
+  it("should keep the like counter out of post edits", async () => {
+    // ทดสอบว่าแก้ likes ผ่าน PUT/PATCH ไม่ได้ และการแก้ไขที่อ่านโพสต์ก่อนการกดถูกใจไม่ทับตัวนับ
+    const authorAuth = bearer({ sub: 'like-author', name: 'Like Author', role: 'author' });
+    // revision store ที่ตอบช้า ทำให้ like เกิดขึ้นระหว่างที่ PATCH อ่านโพสต์แล้วแต่ยังไม่บันทึก
+    const revisions = createRevisionStore({});
+    const list = revisions.list;
+    revisions.list = async (options) => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return list(options);
+    };
+    const likeApp = createApp({
+      config: testConfig(),
+      store: {
+        posts: createMemoryPostStore([{
+          id: 1, title: "Counted Post", description: "d", content: "c", category: "General", author: "Like Author",
+          image: "https://example.com/counted.jpg", date: new Date("2024-01-01"), likes: 0, status: "published"
+        }]),
+        revisions
+      }
+    });
+
+    const inflated = await request(likeApp).patch("/posts/1").set('Authorization', authorAuth).send({ likes: 99999 });
+    expect(inflated.statusCode).toBe(422);
+    expect(errorDetails(inflated)).toEqual(["Unknown field: likes"]);
+
+    const edit = request(likeApp).patch("/posts/1").set('Authorization', authorAuth).send({ description: "Edited" });
+    const like = new Promise((resolve) => setTimeout(resolve, 5))
+      .then(() => request(likeApp).post("/posts/1/like").set('Authorization', readerAuth('edit-race')));
+    const [edited, liked] = await Promise.all([edit, like]);
+    expect(liked.body.likes).toBe(1);
+    expect(edited.body).toMatchObject({ description: "Edited", likes: 1 });
+    expect((await request(likeApp).get("/posts/1")).body.likes).toBe(1);
+  });
+
+  it("should return 404 for missing posts and 400 for invalid IDs", async () => {
+    // ทดสอบโพสต์ที่ไม่มีอยู่และ ID ที่ไม่ถูกต้อง
+    const missing = await request(app).post("/posts/99999/like");
+    const invalid = await request(app).delete("/posts/abc/like");
+    expect(missing.statusCode).toBe(404);
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it("should forget likes when a post is deleted", async () => {
+    // ทดสอบว่า like ของโพสต์ที่ถูกลบไม่ค้างอยู่
+    const post = await request(app).post("/posts").set('Authorization', editorAuth).send({
+      title: "Short Lived Post",
+      description: "Deleted right after being liked.",
+      content: "Nothing to see here.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/short.jpg",
+      status: "published"
+    });
+    const liked = await request(app).post(`/posts/${post.body.id}/like`).set('Authorization', editorAuth);
+    expect(liked.body.likes).toBe(1);
+
+    await request(app).delete(`/posts/${post.body.id}`).set('Authorization', editorAuth);
+    const gone = await request(app).post(`/posts/${post.body.id}/like`).set('Authorization', editorAuth);
+    expect(gone.statusCode).toBe(404);
+  });
+});
+
+// ทดสอบความคิดเห็นใต้โพสต์
+describe("Comments", () => {
+  const readerAuth = bearer({ sub: 'comment-reader', name: 'Commenter', role: 'reader' });
+  const otherAuth = bearer({ sub: 'comment-other', name: 'Other Reader', role: 'reader' });
+  let postId;
+
+  beforeAll(async () => {
+    const post = await request(app).post("/posts").set('Authorization', editorAuth).send({
+      title: "Discussion Thread Post",
+      description: "A post to discuss.",
+      content: "Talk about it below.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/discussion.jpg",
+      status: "published"
+    });
+    postId = post.body.id;
+  });
+
+  afterAll(async () => {
+    await request(app).delete(`/posts/${postId}`).set('Authorization', editorAuth);
+  });
+
+  it("should hold reader comments for moderation and strip XSS", async () => {
+    // ทดสอบว่าความคิดเห็นของ reader รอตรวจสอบ และข้อความถูกทำความสะอาด
+    const created = await request(app).post(`/posts/${postId}/comments`).set('Authorization', readerAuth)
+      .send({ body: 'Nice post <script>alert(1)</script><img src=x onerror=alert(1)>' });
+    expect(created.statusCode).toBe(201);
+    expect(created.headers.location).toBe(`/posts/${postId}/comments/${created.body.id}`);
+    expect(created.body).toMatchObject({ parentId: null, author: 'Commenter', status: 'pending' });
+    expect(created.body.body).not.toMatch(/<script>|onerror=/);
+
+    // ผู้ใช้อื่นและ anonymous ยังไม่เห็น แต่ผู้เขียนและ editor เห็น
+    const anonymous = await request(app).get(`/posts/${postId}/comments`);
+    const own = await request(app).get(`/posts/${postId}/comments`).set('Authorization', readerAuth);
+    const moderator = await request(app).get(`/posts/${postId}/comments`).set('Authorization', editorAuth);
+    expect(anonymous.body.totalComments).toBe(0);
+    expect(own.body.comments.map((comment) => comment.id)).toEqual([created.body.id]);
+    expect(moderator.body.totalComments).toBe(1);
+
+    // editor อนุมัติ แล้วทุกคนเห็น
+    const approved = await request(app).patch(`/posts/${postId}/comments/${created.body.id}`)
+      .set('Authorization', editorAuth).send({ status: 'approved' });
+    expect(approved.body.status).toBe('approved');
+    const visible = await request(app).get(`/posts/${postId}/comments`);
+    expect(visible.body).toMatchObject({ totalComments: 1, currentPage: 1, hasNextPage: false });
+  });
+
+  it("should thread replies and keep structure after soft-delete", async () => {
+    // ทดสอบการตอบกลับเป็น thread และการลบที่คงโครงสร้างไว้
+    const parent = await request(app).post(`/posts/${postId}/comments`).set('Authorization', editorAuth)
+      .send({ body: 'Parent comment' });
+    const reply = await request(app).post(`/posts/${postId}/comments`).set('Authorization', editorAuth)
+      .send({ body: 'Reply', parentId: parent.body.id });
+    expect(reply.body.parentId).toBe(parent.body.id);
+
+    const deleted = await request(app).delete(`/posts/${postId}/comments/${parent.body.id}`)
+      .set('Authorization', editorAuth);
+    expect(deleted.statusCode).toBe(204);
+
+    const thread = await request(app).get(`/posts/${postId}/comments/${parent.body.id}`);
+    expect(thread.statusCode).toBe(404); // ความคิดเห็นที่ถูกลบดึงโดยตรงไม่ได้
+
+    const list = await request(app).get(`/posts/${postId}/comments`);
+    const placeholder = list.body.comments.find((comment) => comment.id === parent.body.id);
+    expect(placeholder).toMatchObject({ deleted: true, body: null, author: null });
+    expect(placeholder.replies.map((comment) => comment.body)).toEqual(['Reply']);
+
+    const single = await request(app).get(`/posts/${postId}/comments/${reply.body.id}`);
+    expect(single.body).toMatchObject({ body: 'Reply', replies: [] });
+
+    // ตอบกลับความคิดเห็นที่ถูกลบไม่ได้
+    const orphan = await request(app).post(`/posts/${postId}/comments`).set('Authorization', readerAuth)
+      .send({ body: 'Too late', parentId: parent.body.id });
+    expect(orphan.statusCode).toBe(422);
+  });
+
+  it("should let only the author or editors change a comment", async () => {
+    // ทดสอบสิทธิ์การแก้ไขและลบความคิดเห็น
+    const created = await request(app).post(`/posts/${postId}/comments`).set('Authorization', editorAuth)
+      .send({ body: 'Editor note' });
+    const mine = await request(app).post(`/posts/${postId}/comments`).set('Authorization', readerAuth)
+      .send({ body: 'Original text' });
+
+    const forbidden = await request(app).patch(`/posts/${postId}/comments/${created.body.id}`)
+      .set('Authorization', otherAuth).send({ body: 'Hijacked' });
+    const selfApprove = await request(app).patch(`/posts/${postId}/comments/${mine.body.id}`)
+      .set('Authorization', readerAuth).send({ status: 'approved' });
+    const forbiddenDelete = await request(app).delete(`/posts/${postId}/comments/${mine.body.id}`)
+      .set('Authorization', otherAuth);
+    const anonymous = await request(app).post(`/posts/${postId}/comments`).send({ body: 'Hi' });
+    expect(forbidden.statusCode).toBe(403);
+    expect(selfApprove.statusCode).toBe(403);
+    expect(forbiddenDelete.statusCode).toBe(403);
+    expect(anonymous.statusCode).toBe(401);
+
+    // ผู้เขียนแก้ไขข้อความได้ และต้องรอตรวจสอบใหม่
+    await request(app).patch(`/posts/${postId}/comments/${mine.body.id}`)
+      .set('Authorization', editorAuth).send({ status: 'approved' });
+    const edited = await request(app).patch(`/posts/${postId}/comments/${mine.body.id}`)
+      .set('Authorization', readerAuth).send({ body: 'Edited text' });
+    expect(edited.body).toMatchObject({ body: 'Edited text', status: 'pending' });
+  });
+
+  it("should validate comment payloads and identifiers", async () => {
+    // ทดสอบข้อมูลและ ID ที่ไม่ถูกต้อง
+    const empty = await request(app).post(`/posts/${postId}/comments`).set('Authorization', readerAuth)
+      .send({ body: '<script>x</script>', extra: true });
+    const badParent = await request(app).post(`/posts/${postId}/comments`).set('Authorization', readerAuth)
+      .send({ body: 'Hi', parentId: 99999 });
+    const badStatus = await request(app).patch(`/posts/${postId}/comments/1`)
+      .set('Authorization', editorAuth).send({ status: 'spam' });
+    const noChanges = await request(app).patch(`/posts/${postId}/comments/1`)
+      .set('Authorization', editorAuth).send({});
+    const missingComment = await request(app).delete(`/posts/${postId}/comments/99999`).set('Authorization', editorAuth);
+    const missingPost = await request(app).get("/posts/99999/comments");
+    const invalidPost = await request(app).get("/posts/abc/comments");
+    const badPage = await request(app).get(`/posts/${postId}/comments?limit=0`);
+
+    expect(empty.statusCode).toBe(422);
+    expect(errorDetails(empty)).toEqual(['Unknown field: extra']);
+    // ข้อความที่ว่างหลังลบ XSS ตรวจสอบใน route หลังผ่านเอกสาร OpenAPI
+    const scriptOnly = await request(app).post(`/posts/${postId}/comments`).set('Authorization', readerAuth)
+      .send({ body: '<script>x</script>' });
+    expect(errorDetails(scriptOnly)).toEqual(['body must be a non-empty string']);
+    expect(badParent.statusCode).toBe(422);
+    expect(badStatus.statusCode).toBe(422);
+    expect(errorDetails(noChanges)).toEqual(['At least one field must be provided']);
+    expect(missingComment.statusCode).toBe(404);
+    expect(missingPost.statusCode).toBe(404);
+    expect(invalidPost.statusCode).toBe(400);
+    expect(badPage.statusCode).toBe(400);
+  });
+});
+
+// ทดสอบสถานะของโพสต์ (draft → in_review → scheduled → published → archived)
+describe("Post workflow", () => {
+  const authorAuth = bearer({ sub: 'workflow-author', name: 'Workflow Author', role: 'author' });
+  const draftPost = {
+    title: "Unpublished Thoughts",
+    description: "Still a work in progress.",
+    content: "Coming soon.",
+    category: "General",
+    author: "Workflow Author",
+    image: "https://example.com/draft.jpg"
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should hide drafts from anonymous callers and other readers", async () => {
+    // ทดสอบว่าโพสต์ใหม่เริ่มเป็น draft และเห็นได้เฉพาะเจ้าของกับ editor
+    const created = await request(app).post("/posts").set('Authorization', authorAuth).send(draftPost);
+    expect(created.statusCode).toBe(201);
+    expect(created.body.status).toBe("draft");
+
+    const anonymous = await request(app).get(`/posts/${created.body.id}`);
+    const owner = await request(app).get(`/posts/${created.body.id}`).set('Authorization', authorAuth);
+    const editor = await request(app).get(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+    expect(anonymous.statusCode).toBe(404);
+    expect(owner.body.status).toBe("draft");
+    expect(editor.statusCode).toBe(200);
+
+    const publicList = await request(app).get("/posts?keyword=unpublished");
+    const ownList = await request(app).get("/posts?status=draft").set('Authorization', authorAuth);
+    expect(publicList.body.totalPosts).toBe(0);
+    expect(ownList.body.posts.map((post) => post.id)).toEqual([created.body.id]);
+
+    const like = await request(app).post(`/posts/${created.body.id}/like`);
+    const comments = await request(app).get(`/posts/${created.body.id}/comments`);
+    expect(like.statusCode).toBe(404);
+    expect(comments.statusCode).toBe(404);
+
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should let authors submit for review but only editors publish", async () => {
+    // ทดสอบสิทธิ์การเปลี่ยนสถานะตามบทบาท
+    const publishOnCreate = await request(app).post("/posts").set('Authorization', authorAuth)
+      .send({ ...draftPost, status: "published" });
+    expect(publishOnCreate.statusCode).toBe(403);
+
+    const created = await request(app).post("/posts").set('Authorization', authorAuth).send(draftPost);
+    const submitted = await request(app).patch(`/posts/${created.body.id}`).set('Authorization', authorAuth)
+      .send({ status: "in_review" });
+    expect(submitted.body.status).toBe("in_review");
+
+    const selfPublish = await request(app).patch(`/posts/${created.body.id}`).set('Authorization', authorAuth)
+      .send({ status: "published" });
+    expect(selfPublish.statusCode).toBe(403);
+
+    const published = await request(app).patch(`/posts/${created.body.id}`).set('Authorization', editorAuth)
+      .send({ status: "published" });
+    expect(published.body.status).toBe("published");
+    expect(published.body.publishAt).toBeDefined(); // เวลาเผยแพร่ถูกกำหนดอัตโนมัติ
+
+    // PUT ที่ไม่ระบุ status คงสถานะเดิม
+    const replaced = await request(app).put(`/posts/${created.body.id}`).set('Authorization', authorAuth)
+      .send({ ...draftPost, title: "Published Thoughts" });
+    expect(replaced.body.status).toBe("published");
+
+    const invalid = await request(app).patch(`/posts/${created.body.id}`).set('Authorization', editorAuth)
+      .send({ status: "in_review" });
+    expect(invalid.statusCode).toBe(422);
+    expect(errorDetails(invalid)).toEqual(["Cannot change status from published to in_review"]);
+
+    const archived = await request(app).patch(`/posts/${created.body.id}`).set('Authorization', editorAuth)
+      .send({ status: "archived" });
+    expect(archived.body.status).toBe("archived");
+    expect((await request(app).get(`/posts/${created.body.id}`)).statusCode).toBe(404);
+
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should publish scheduled posts automatically when publishAt arrives", async () => {
+    // ทดสอบว่าโพสต์ที่ตั้งเวลาไว้แสดงเองเมื่อถึงเวลา (จำลองเวลาเฉพาะ Date)
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+    const pastDate = await request(app).post("/posts").set('Authorization', editorAuth)
+      .send({ ...draftPost, status: "scheduled", publishAt: "2020-01-01T00:00:00Z" });
+    expect(pastDate.statusCode).toBe(422);
+
+    const created = await request(app).post("/posts").set('Authorization', editorAuth)
+      .send({ ...draftPost, status: "scheduled", publishAt: publishAt.toISOString() });
+    expect(created.body.status).toBe("scheduled");
+    expect((await request(app).get(`/posts/${created.body.id}`)).statusCode).toBe(404);
+
+    jest.useFakeTimers({
+      doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+        'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+    });
+    jest.setSystemTime(publishAt.getTime() + 1000);
+
+    const visible = await request(app).get(`/posts/${created.body.id}`);
+    expect(visible.statusCode).toBe(200);
+    expect(visible.body.status).toBe("published");
+    const listed = await request(app).get("/posts?status=published&keyword=unpublished");
+    expect(listed.body.posts.map((post) => post.id)).toEqual([created.body.id]);
+
+    jest.useRealTimers();
+    await request(app).delete(`/posts/${created.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should validate status values", async () => {
+    // ทดสอบค่าสถานะที่ไม่รู้จัก
+    const badFilter = await request(app).get("/posts?status=live");
+    const badBody = await request(app).post("/posts").set('Authorization', editorAuth)
+      .send({ ...draftPost, status: "live" });
+    expect(errorDetails(badFilter)).toEqual(["Unknown status: live"]);
+    expect(badBody.statusCode).toBe(422);
+    expect(errorDetails(badBody)).toEqual(["status must be one of: draft, in_review, scheduled, published, archived"]);
+  });
+});
+
+// ทดสอบประวัติการแก้ไขโพสต์
+describe("Post revisions", () => {
+  const authorAuth = bearer({ sub: 'revision-author', name: 'Revision Author', role: 'author' });
+  const otherAuthorAuth = bearer({ sub: 'revision-other', name: 'Someone Else', role: 'author' });
+  const original = {
+    title: "Versioned Post",
+    description: "Tracking every change.",
+    content: "# Versioned\n\nFirst draft.\nSecond line.",
+    category: "General",
+    author: "Revision Author",
+    image: "https://example.com/versioned.jpg"
+  };
+
+  it("should record a revision for every change and diff them", async () => {
+    // ทดสอบว่าการสร้างและแก้ไขบันทึก revision พร้อมผู้แก้ไข และเปรียบเทียบได้
+    const created = await request(app).post("/posts").set('Authorization', authorAuth).send(original);
+    const id = created.body.id;
+    await request(app).patch(`/posts/${id}`).set('Authorization', authorAuth)
+      .send({ content: "# Versioned\n\nFirst draft, edited.\nSecond line." });
+    await request(app).patch(`/posts/${id}`).set('Authorization', editorAuth).send({ title: "Versioned Post v2" });
+
+    const list = await request(app).get(`/posts/${id}/revisions`).set('Authorization', authorAuth);
+    expect(list.statusCode).toBe(200);
+    expect(list.body.totalRevisions).toBe(3);
+    expect(list.body.revisions.map((revision) => [revision.revision, revision.action, revision.editor])).toEqual([
+      [3, 'updated', 'Editor'],
+      [2, 'updated', 'Revision Author'],
+      [1, 'created', 'Revision Author']
+    ]);
+    expect(list.body.revisions[0].changedFields).toEqual(['title']);
+
+    const single = await request(app).get(`/posts/${id}/revisions/1`).set('Authorization', authorAuth);
+    expect(single.body.snapshot.title).toBe(original.title);
+
+    const diff = await request(app).get(`/posts/${id}/revisions/diff?from=1&to=3`).set('Authorization', authorAuth);
+    expect(diff.body.changes.map((change) => change.field)).toEqual(['title', 'content']);
+    expect(diff.body.changes[1].lines.filter((line) => line.type !== 'unchanged')).toEqual([
+      { type: 'removed', text: 'First draft.' },
+      { type: 'added', text: 'First draft, edited.' }
+    ]);
+
+    const latest = await request(app).get(`/posts/${id}/revisions/diff`).set('Authorization', authorAuth);
+    expect(latest.body).toMatchObject({ from: 2, to: 3 });
+
+    await request(app).delete(`/posts/${id}`).set('Authorization', editorAuth);
+  });
+
+  it("should restore an old revision as a new revision", async () => {
+    // ทดสอบการกู้คืน revision เก่า
+    const created = await request(app).post("/posts").set('Authorization', authorAuth).send(original);
+    const id = created.body.id;
+    await request(app).patch(`/posts/${id}`).set('Authorization', authorAuth).send({ title: "Renamed Post" });
+
+    const restored = await request(app).post(`/posts/${id}/revisions/1/restore`).set('Authorization', authorAuth);
+    expect(restored.statusCode).toBe(200);
+    expect(restored.body.title).toBe(original.title);
+
+    const list = await request(app).get(`/posts/${id}/revisions`).set('Authorization', editorAuth);
+    expect(list.body.revisions[0]).toMatchObject({ revision: 3, action: 'restored', restoredFrom: 1 });
+
+    const missing = await request(app).post(`/posts/${id}/revisions/99/restore`).set('Authorization', authorAuth);
+    const forbidden = await request(app).post(`/posts/${id}/revisions/1/restore`).set('Authorization', otherAuthorAuth);
+    expect(missing.statusCode).toBe(404);
+    expect(forbidden.statusCode).toBe(403);
+
+    await request(app).delete(`/posts/${id}`).set('Authorization', editorAuth);
+  });
+
+  it("should start history for existing posts from their state before the first edit", async () => {
+    // ทดสอบว่าโพสต์เดิมได้ revision แรกจากข้อมูลก่อนแก้ไข
+    const before = await request(app).get("/posts/5");
+    await request(app).post("/posts/5/like").set('Authorization', bearer({ sub: 'revision-liker', name: 'Liker', role: 'reader' }));
+    await request(app).patch("/posts/5").set('Authorization', editorAuth).send({ description: "Edited description" });
+
+    const list = await request(app).get("/posts/5/revisions").set('Authorization', editorAuth);
+    expect(list.body.revisions.map((revision) => revision.action)).toEqual(['updated', 'imported']);
+    expect(list.body.revisions[0].changedFields).toEqual(['description']); // likes ที่เปลี่ยนจากการกดถูกใจไม่นับ
+
+    await request(app).delete("/posts/5/like").set('Authorization', bearer({ sub: 'revision-liker', name: 'Liker', role: 'reader' }));
+    await request(app).patch("/posts/5").set('Authorization', editorAuth).send({ description: before.body.description });
+  });
+
+  it("should restrict history to people who can edit the post", async () => {
+    // ทดสอบสิทธิ์และพารามิเตอร์ที่ไม่ถูกต้อง
+    const anonymous = await request(app).get("/posts/1/revisions");
+    const otherAuthor = await request(app).get("/posts/1/revisions").set('Authorization', otherAuthorAuth);
+    const missingPost = await request(app).get("/posts/99999/revisions").set('Authorization', editorAuth);
+    const invalidPost = await request(app).get("/posts/abc/revisions").set('Authorization', editorAuth);
+    const badPage = await request(app).get("/posts/1/revisions?page=0").set('Authorization', editorAuth);
+    const badDiff = await request(app).get("/posts/1/revisions/diff?from=0&to=7").set('Authorization', editorAuth);
+    const missingRevision = await request(app).get("/posts/1/revisions/42").set('Authorization', editorAuth);
+
+    expect(anonymous.statusCode).toBe(401);
+    expect(otherAuthor.statusCode).toBe(403);
+    expect(missingPost.statusCode).toBe(404);
+    expect(invalidPost.statusCode).toBe(400);
+    expect(badPage.statusCode).toBe(400);
+    expect(errorDetails(badDiff)).toEqual([
+      "from must be an existing revision number",
+      "to must be an existing revision number"
+    ]);
+    expect(missingRevision.statusCode).toBe(404);
+  });
+});
+
+// ทดสอบ feed ของโพสต์ (RSS, Atom และ JSON Feed)
+describe("Feeds", () => {
+  it("should serve an RSS 2.0 feed with dates, authors and enclosures", async () => {
+    // ทดสอบโครงสร้างของ RSS feed
+    const res = await request(app).get("/feed.xml?limit=3");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(res.text).toContain('<rss version="2.0"');
+    expect(res.text.match(/<item>/g)).toHaveLength(3);
+    expect(res.text).toMatch(/<pubDate>\w{3}, \d{2} \w{3} \d{4} \d{2}:\d{2}:\d{2} GMT<\/pubDate>/);
+    expect(res.text).toMatch(/<dc:creator>[^<]+<\/dc:creator>/);
+    expect(res.text).toMatch(/<enclosure url="https:\/\/[^"]+" type="image\/jpeg" length="0"\/>/);
+  });
+
+  it("should serve an Atom feed", async () => {
+    // ทดสอบโครงสร้างของ Atom feed
+    const res = await request(app).get("/atom.xml?limit=2");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('application/atom+xml; charset=utf-8');
+    expect(res.text).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(res.text.match(/<entry>/g)).toHaveLength(2);
+    expect(res.text).toMatch(/<link rel="enclosure" type="image\/jpeg" href="https:\/\/[^"]+"\/>/);
+    expect(res.text).toMatch(/<author><name>[^<]+<\/name><\/author>/);
+  });
+
+  it("should date feeds by the last edit and keep empty feeds cacheable", async () => {
+    // ทดสอบว่า <updated> มาจาก updatedAt และ feed ว่างมี ETag คงที่ (ตอบ 304 ได้)
+    let now = new Date("2030-01-01T00:00:00.000Z");
+    const edited = {
+      id: 1, title: "Edited", description: "d", content: "c", category: "General", author: "Editor",
+      image: "https://example.com/e.jpg", likes: 0, status: "published",
+      date: new Date("2024-01-01T00:00:00.000Z"), updatedAt: new Date("2024-03-01T00:00:00.000Z")
+    };
+    const feedApp = createApp({
+      config: testConfig({ siteUrl: 'https://blog.example.com' }),
+      store: { posts: createMemoryPostStore([edited]) },
+      clock: () => now
+    });
+
+    const atom = await request(feedApp).get("/atom.xml");
+    expect(atom.text).toContain("<published>2024-01-01T00:00:00.000Z</published>");
+    expect(atom.text.match(/<updated>2024-03-01T00:00:00.000Z<\/updated>/g)).toHaveLength(2);
+
+    const empty = await request(feedApp).get("/atom.xml?author=Nobody");
+    now = new Date("2030-01-02T00:00:00.000Z");
+    const again = await request(feedApp).get("/atom.xml?author=Nobody").set('If-None-Match', empty.headers.etag);
+    const rss = await request(feedApp).get("/feed.xml?author=Nobody");
+
+    expect(empty.text).toContain("<updated>2030-01-01T00:00:00.000Z</updated>");
+    expect(again.statusCode).toBe(304);
+    expect(rss.text).toContain("<lastBuildDate>Tue, 01 Jan 2030 00:00:00 GMT</lastBuildDate>");
+  });
+
+  it("should serve a JSON Feed 1.1 filtered like /posts", async () => {
+    // ทดสอบ JSON Feed และการกรองตามหมวดหมู่ (เรียงจากใหม่ไปเก่า)
+    const res = await request(app).get("/feed.json?category=Inspiration&limit=100");
+    const feed = JSON.parse(res.text);
+    const expected = blogPosts
+      .filter((post) => post.category === "Inspiration")
+      .sort((a, b) => b.date - a.date);
+
+    expect(res.headers['content-type']).toBe('application/feed+json; charset=utf-8');
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.feed_url).toMatch(/\/feed\.json\?category=Inspiration&limit=100$/);
+    expect(feed.items.map((item) => item.title)).toEqual(expected.map((post) => post.title));
+    expect(feed.items[0]).toMatchObject({
+      summary: expected[0].description,
+      image: expected[0].image,
+      date_published: expected[0].date.toISOString(),
+      authors: [{ name: expected[0].author }],
+      tags: ["Inspiration"]
+    });
+    expect(feed.items[0].content_html).toContain("<p>");
+  });
+
+  it("should escape XML and hide unpublished posts", async () => {
+    // ทดสอบการ escape อักขระพิเศษ และว่า draft ไม่อยู่ใน feed
+    const published = await request(app).post("/posts").set('Authorization', editorAuth).send({
+      title: "Feeds & <Friends>",
+      description: "Quotes \"and\" ampersands & more.",
+      content: "Body text.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/feeds.png?size=large&v=2",
+      status: "published"
+    });
+    const draft = await request(app).post("/posts").set('Authorization', editorAuth).send({
+      title: "Secret Feed Draft",
+      description: "Not yet.",
+      content: "Hidden.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/secret.jpg"
+    });
+
+    const rss = await request(app).get("/feed.xml?keyword=feed");
+    expect(rss.text).toContain("<title>Feeds &amp; &lt;Friends&gt;</title>");
+    expect(rss.text).toContain('url="https://example.com/feeds.png?size=large&amp;v=2" type="image/png"');
+    expect(rss.text).not.toContain("Secret Feed Draft");
+
+    await request(app).delete(`/posts/${published.body.id}`).set('Authorization', editorAuth);
+    await request(app).delete(`/posts/${draft.body.id}`).set('Authorization', editorAuth);
+  });
+
+  it("should reject invalid filters and limits", async () => {
+    // ทดสอบพารามิเตอร์ที่ไม่ถูกต้อง
+    const badLimit = await request(app).get("/feed.xml?limit=500");
+    const badFilter = await request(app).get("/atom.xml?minLikes=-1");
+    const badKeyword = await request(app).get("/feed.json?keyword=a");
+    expect(badLimit.statusCode).toBe(400);
+    expect(badFilter.body.title).toBe("Invalid filter parameters");
+    expect(badKeyword.statusCode).toBe(400);
+  });
+});
+
+// ทดสอบ HTTP caching (ETag, Last-Modified และ conditional GET)
+describe("HTTP caching", () => {
+  it("should return strong ETags and 304 for If-None-Match", async () => {
+    // ทดสอบว่า ETag คงที่ระหว่าง request และตอบ 304 เมื่อไม่มีการเปลี่ยนแปลง
+    const first = await request(app).get("/posts/1");
+    const second = await request(app).get("/posts/1");
+    expect(first.headers.etag).toMatch(/^"[\w-]+"$/); // strong ETag (ไม่มี W/)
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(first.headers['last-modified']).toBe(blogPosts[0].date.toUTCString());
+    expect(first.headers['cache-control']).toBe('private, no-cache');
+
+    const notModified = await request(app).get("/posts/1").set('If-None-Match', first.headers.etag);
+    expect(notModified.statusCode).toBe(304);
+    expect(notModified.text).toBe('');
+
+    const otherFormat = await request(app).get("/posts/1?format=html").set('If-None-Match', first.headers.etag);
+    expect(otherFormat.statusCode).toBe(200); // representation ต่างกัน = ETag ต่างกัน
+  });
+
+  it("should honour If-Modified-Since and invalidate on updates", async () => {
+    // ทดสอบ Last-Modified จาก updatedAt และการเปลี่ยน ETag หลังแก้ไข
+    const created = await request(app).post("/posts").set('Authorization', editorAuth).send({
+      title: "Cache Me If You Can",
+      description: "Conditional requests.",
+      content: "Version one.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/cache.jpg",
+      status: "published"
+    });
+    const id = created.body.id;
+
+    const first = await request(app).get(`/posts/${id}`);
+    expect(first.headers['last-modified']).toBe(new Date(created.body.updatedAt).toUTCString());
+    const future = new Date(Date.now() + 60 * 1000).toUTCString();
+    const notModified = await request(app).get(`/posts/${id}`).set('If-Modified-Since', future);
+    expect(notModified.statusCode).toBe(304);
+
+    await request(app).patch(`/posts/${id}`).set('Authorization', editorAuth).send({ content: "Version two." });
+    const changed = await request(app).get(`/posts/${id}`).set('If-None-Match', first.headers.etag);
+    expect(changed.statusCode).toBe(200);
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+
+    await request(app).delete(`/posts/${id}`).set('Authorization', editorAuth);
+  });
+
+  it("should cache lists and feeds with per-route Cache-Control", async () => {
+    // ทดสอบ Cache-Control ของรายการโพสต์และ feed
+    const list = await request(app).get("/posts");
+    const feed = await request(app).get("/feed.xml").set('Host', 'blog.example.com'); // URL ใน feed มาจาก host
+    const authenticated = await request(app).get("/posts").set('Authorization', editorAuth);
+    expect(list.headers['cache-control']).toBe('public, max-age=60');
+    expect(feed.headers['cache-control']).toBe('public, max-age=300');
+    expect(authenticated.headers['cache-control']).toBe('private, no-cache');
+    expect(list.headers.vary).toMatch(/Authorization/);
+
+    const notModified = await request(app).get("/feed.xml").set('Host', 'blog.example.com')
+      .set('If-None-Match', feed.headers.etag);
+    expect(notModified.statusCode).toBe(304);
+  });
+});
+
+describe("Optimistic concurrency", () => {
+  const concurrentPost = {
+    title: "Two Editors One Post",
+    description: "Lost updates.",
+    content: "Original content.",
+    category: "General",
+    author: "Editor",
+    image: "https://example.com/concurrency.jpg",
+    status: "published"
+  };
+
+  it("should reject stale writes with 412 and the current version", async () => {
+    // ทดสอบว่าการแก้ไขด้วย ETag เก่าถูกปฏิเสธ แทนที่จะเขียนทับการแก้ไขของอีกคน
+    const created = await request(app).post("/posts").set('Authorization', editorAuth).send(concurrentPost);
+    const id = created.body.id;
+    expect(created.body.version).toBe(1);
+
+    const fetched = await request(app).get(`/posts/${id}`);
+    expect(fetched.body.version).toBe(1);
+    expect(fetched.headers.etag).toMatch(/^"v1-[\w-]+"$/);
+
+    const first = await request(app).patch(`/posts/${id}`).set('Authorization', editorAuth)
+      .set('If-Match', fetched.headers.etag).send({ content: "First editor." });
+    expect(first.statusCode).toBe(200);
+    expect(first.body.version).toBe(2);
+
+    const stale = await request(app).patch(`/posts/${id}`).set('Authorization', editorAuth)
+      .set('If-Match', fetched.headers.etag).send({ content: "Second editor." });
+    expect(stale.statusCode).toBe(412);
+    expect(stale.body).toMatchObject({
+      code: "precondition_failed",
+      detail: "The post has been modified since it was retrieved",
+      currentVersion: 2
+    });
+    expect((await request(app).get(`/posts/${id}`)).body.content).toBe("First editor.");
+
+    // เลข version และ * ใช้แทน ETag ได้
+    const byVersion = await request(app).put(`/posts/${id}`).set('Authorization', editorAuth)
+      .set('If-Match', '"2"').send({ ...concurrentPost, content: "Replaced." });
+    expect(byVersion.statusCode).toBe(200);
+    expect(byVersion.body.version).toBe(3);
+    const anyVersion = await request(app).patch(`/posts/${id}`).set('Authorization', editorAuth)
+      .set('If-Match', '*').send({ content: "Any version." });
+    expect(anyVersion.body.version).toBe(4);
+
+    // version ไม่นับเป็นการเปลี่ยนแปลงในประวัติการแก้ไข
+    const revisions = await request(app).get(`/posts/${id}/revisions`).set('Authorization', editorAuth);
+    expect(revisions.body.revisions[0].changedFields).toEqual(['content']);
+
+    await request(app).delete(`/posts/${id}`).set('Authorization', editorAuth);
+  });
+
+  it("should check If-Match and bump the version atomically with the write", async () => {
+    // ทดสอบ request ที่ส่งพร้อมกันกับ store ที่เขียนไฟล์จริง - การตรวจ version และการเขียนต้องไม่แทรกกัน
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "concurrency-"));
+    const paths = Object.fromEntries(['posts', 'categories', 'likes', 'comments', 'revisions']
+      .map((name) => [name, path.join(tempDir, `${name}.json`)]));
+    const fileApp = createApp({ config: testConfig({ store: { driver: 'file', paths } }) });
+    const patch = (content, ifMatch) => {
+      const req = request(fileApp).patch("/posts/1").set('Authorization', editorAuth);
+      return (ifMatch ? req.set('If-Match', ifMatch) : req).send({ content });
+    };
+
+    const conditional = await Promise.all([patch("First editor.", '"v1"'), patch("Second editor.", '"v1"')]);
+    expect(conditional.map((res) => res.statusCode).sort()).toEqual([200, 412]);
+    const winner = conditional.find((res) => res.statusCode === 200);
+    expect(winner.body.version).toBe(2);
+    expect(conditional.find((res) => res.statusCode === 412).body.currentVersion).toBe(2);
+
+    const unconditional = await Promise.all([patch("A."), patch("B."), patch("C.")]);
+    expect(unconditional.map((res) => res.body.version).sort()).toEqual([3, 4, 5]);
+    expect(JSON.parse(fs.readFileSync(paths.posts, 'utf8')).find((post) => post.id === 1).version).toBe(5);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should return 428 when preconditions are required", async () => {
+    // ทดสอบโหมดบังคับ If-Match ทั้งการแก้ไขและการกู้คืน revision
+    const strictApp = createApp({ config: testConfig({ requirePreconditions: true }) });
+    const created = await request(strictApp).post("/posts").set('Authorization', editorAuth).send(concurrentPost);
+    const id = created.body.id;
+
+    const missing = await request(strictApp).patch(`/posts/${id}`).set('Authorization', editorAuth)
+      .send({ content: "No precondition." });
+    expect(missing.statusCode).toBe(428);
+    expect(missing.body).toMatchObject({ code: "precondition_required", currentVersion: 1 });
+
+    const restore = await request(strictApp).post(`/posts/${id}/revisions/1/restore`).set('Authorization', editorAuth);
+    expect(restore.statusCode).toBe(428);
+
+    const allowed = await request(strictApp).patch(`/posts/${id}`).set('Authorization', editorAuth)
+      .set('If-Match', '"v1"').send({ content: "With precondition." });
+    expect(allowed.statusCode).toBe(200);
+
+    const restored = await request(strictApp).post(`/posts/${id}/revisions/1/restore`).set('Authorization', editorAuth)
+      .set('If-Match', '"v2"');
+    expect(restored.statusCode).toBe(200);
+    expect(restored.body).toMatchObject({ content: "Original content.", version: 3 });
+
+    await request(strictApp).delete(`/posts/${id}`).set('Authorization', editorAuth);
+  });
+
+  it("should compare If-Match entity tags strongly by version", () => {
+    // ทดสอบรูปแบบของ If-Match ที่รับได้
+    expect(ifMatchSatisfied('"v3-abc_DEF"', 3)).toBe(true);
+    expect(ifMatchSatisfied('"v2-abc", "v3-def"', 3)).toBe(true);
+    expect(ifMatchSatisfied('3', 3)).toBe(true);
+    expect(ifMatchSatisfied('W/"v3-abc"', 3)).toBe(false); // weak ETag ใช้กับ If-Match ไม่ได้
+    expect(ifMatchSatisfied('"v30"', 3)).toBe(false);
+    expect(ifMatchSatisfied('"abc"', 3)).toBe(false);
+  });
+});
+
+describe("OpenAPI", () => {
+  it("should serve the OpenAPI document", async () => {
+    // ทดสอบ /openapi.json
+    const res = await request(app).get("/openapi.json");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths['/posts'].get.operationId).toBe('listPosts');
+    expect(res.body.components.parameters.Limit.schema).toEqual({ type: 'integer', minimum: 1, maximum: 100 });
+  });
+
+  it("should serve the interactive docs page locally", async () => {
+    // ทดสอบหน้าเอกสารและไฟล์ของ Swagger UI (ไม่ใช้ CDN)
+    const page = await request(app).get("/docs");
+    const bundle = await request(app).get("/docs/swagger-ui-bundle.js");
+    const init = await request(app).get("/docs/init.js");
+    const other = await request(app).get("/docs/index.html");
+
+    expect(page.statusCode).toBe(200);
+    expect(page.headers['content-type']).toMatch(/text\/html/);
+    expect(page.text).toContain('/docs/swagger-ui-bundle.js');
+    expect(bundle.statusCode).toBe(200);
+    expect(bundle.headers['content-type']).toMatch(/javascript/);
+    expect(init.text).toContain("/openapi.json");
+    expect(other.statusCode).toBe(404);
+  });
+
+  it("should validate query parameters of nested routes from the document", async () => {
+    // ทดสอบการตรวจสอบพารามิเตอร์ของ comments และ feeds จากเอกสาร
+    const comments = await request(app).get("/posts/1/comments?limit=0");
+    const feed = await request(app).get("/feed.json?limit=500");
+    const format = await request(app).get("/posts/1?format=pdf");
+
+    expect(comments.statusCode).toBe(400);
+    expect(comments.body).toMatchObject({ code: "invalid_pagination", errors: [{ field: "limit", detail: "limit must be a positive integer" }] });
+    expect(errorDetails(feed)).toEqual(["limit cannot exceed 100"]);
+    expect(format.body).toMatchObject({ code: "invalid_format", errors: [{ field: "format", detail: "format must be one of: markdown, html" }] });
+  });
+});
+
+describe("App factory", () => {
+  const fixturePost = {
+    id: 1,
+    title: "Fixture Post",
+    description: "A post that only exists in one app.",
+    content: "Fixture content.",
+    category: "Testing",
+    author: "Editor",
+    image: "https://example.com/fixture.jpg",
+    date: new Date("2030-01-01T00:00:00.000Z"),
+    likes: 0,
+    status: "scheduled",
+    publishAt: "2030-06-01T00:00:00.000Z"
+  };
+
+  // clock ที่เลื่อนเวลาได้ระหว่างการทดสอบ
+  const createFakeClock = (iso) => {
+    let now = new Date(iso);
+    const clock = () => new Date(now);
+    clock.set = (value) => {
+      now = new Date(value);
+    };
+    return clock;
+  };
+
+  it("should keep instances with their own fixtures isolated", async () => {
+    // ทดสอบว่า app แต่ละตัวใช้ store ของตัวเอง - การเขียนใน app หนึ่งไม่กระทบอีกตัว
+    const first = createApp({
+      config: testConfig(),
+      store: { posts: createMemoryPostStore([{ ...fixturePost, status: "published" }]) }
+    });
+    const second = createApp({ config: testConfig(), store: { posts: createMemoryPostStore([]) } });
+
+    const [firstList, secondList] = await Promise.all([
+      request(first).get("/posts"),
+      request(second).get("/posts")
+    ]);
+    expect(firstList.body.posts.map((post) => post.title)).toEqual(["Fixture Post"]);
+    expect(secondList.body.totalPosts).toBe(0);
+
+    await request(second).post("/categories").set('Authorization', editorAuth).send({ name: "General" });
+    const created = await request(second).post("/posts").set('Authorization', editorAuth).send({
+      title: "Second App Post",
+      description: "A post written to the second app.",
+      content: "Second content.",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/second.jpg",
+      status: "published"
+    });
+    expect(created.statusCode).toBe(201);
+    expect(created.body.id).toBe(1);
+    expect((await request(first).get("/posts/1")).body.content).toBe("Fixture content.");
+    expect((await request(app).get("/posts?keyword=second")).body.totalPosts).toBe(0);
+
+    // หมวดหมู่ของแต่ละ app มาจากโพสต์ใน store ของตัวเอง
+    const categories = await request(first).get("/categories");
+    expect(categories.body.categories.map((category) => category.name)).toEqual(["Testing"]);
+  });
+
+  it("should take the current time from the injected clock", async () => {
+    // ทดสอบว่า timestamp, เวลาของโพสต์, revision และความคิดเห็นมาจาก clock
+    const clock = createFakeClock("2030-01-01T00:00:00.000Z");
+    const fixed = createApp({
+      config: testConfig(),
+      store: { posts: createMemoryPostStore([{ ...fixturePost, status: "published" }]) },
+      clock
+    });
+    // token ต้องยังไม่หมดอายุตามเวลาของ clock
+    const clockedAuth = () => bearer({ sub: 'editor-1', name: 'Editor', role: 'editor' }, { now: clock() });
+
+    expect((await request(fixed).get("/")).body.timestamp).toBe("2030-01-01T00:00:00.000Z");
+    expect((await request(fixed).get("/health")).body.timestamp).toBe("2030-01-01T00:00:00.000Z");
+    expect((await request(fixed).get("/health/live")).body.timestamp).toBe("2030-01-01T00:00:00.000Z");
+
+    const created = await request(fixed).post("/posts").set('Authorization', clockedAuth()).send({
+      title: "Clocked Post",
+      description: "Written at a fixed time.",
+      content: "Tick.",
+      category: "Testing",
+      author: "Editor",
+      image: "https://example.com/clock.jpg",
+      status: "published"
+    });
+    expect(created.body).toMatchObject({
+      date: "2030-01-01T00:00:00.000Z",
+      updatedAt: "2030-01-01T00:00:00.000Z",
+      publishAt: "2030-01-01T00:00:00.000Z"
+    });
+
+    clock.set("2030-01-02T12:00:00.000Z");
+    const comment = await request(fixed).post(`/posts/${created.body.id}/comments`).set('Authorization', clockedAuth())
+      .send({ body: "Later." });
+    expect(comment.body.createdAt).toBe("2030-01-02T12:00:00.000Z");
+
+    const updated = await request(fixed).patch(`/posts/${created.body.id}`).set('Authorization', clockedAuth())
+      .send({ content: "Tock." });
+    expect(updated.body.updatedAt).toBe("2030-01-02T12:00:00.000Z");
+    const revisions = await request(fixed).get(`/posts/${created.body.id}/revisions`).set('Authorization', clockedAuth());
+    expect(revisions.body.revisions.map((revision) => revision.createdAt))
+      .toEqual(["2030-01-02T12:00:00.000Z", "2030-01-01T00:00:00.000Z"]);
+  });
+
+  it("should publish scheduled posts when the clock reaches publishAt", async () => {
+    // ทดสอบว่าการมองเห็นโพสต์ที่ตั้งเวลาไว้ขึ้นกับ clock ของ app
+    const clock = createFakeClock("2030-05-31T23:59:59.000Z");
+    const scheduled = createApp({ config: testConfig(), store: { posts: createMemoryPostStore([fixturePost]) }, clock });
+
+    expect((await request(scheduled).get("/posts/1")).statusCode).toBe(404);
+    expect((await request(scheduled).get("/posts")).body.totalPosts).toBe(0);
+
+    clock.set("2030-06-01T00:00:00.000Z");
+    const published = await request(scheduled).get("/posts/1");
+    expect(published.statusCode).toBe(200);
+    expect(published.body.status).toBe("published");
+    expect((await request(scheduled).get("/posts?status=published")).body.totalPosts).toBe(1);
+  });
+
+  it("should check tokens, cursors and the metrics token with each app's own secrets", async () => {
+    // ทดสอบว่า secret มาจาก config ของแต่ละ app - app สองตัวใน process เดียวกันใช้ secret ต่างกันได้
+    const other = createApp({
+      config: testConfig({ authSecret: 'other-secret', cursorSecret: 'other-cursor', metricsToken: 'other-token' })
+    });
+    const otherAuth = `Bearer ${signToken({ sub: 'editor-2', name: 'Editor', role: 'editor' }, 'other-secret')}`;
+
+    expect((await request(app).get("/posts").set('Authorization', editorAuth)).statusCode).toBe(200);
+    expect((await request(other).get("/posts").set('Authorization', editorAuth)).statusCode).toBe(401);
+    expect((await request(other).get("/posts").set('Authorization', otherAuth)).statusCode).toBe(200);
+
+    const { nextCursor } = (await request(app).get("/posts?limit=5&sort=-date")).body;
+    expect((await request(app).get(`/posts?limit=5&sort=-date&after=${nextCursor}`)).statusCode).toBe(200);
+    expect((await request(other).get(`/posts?limit=5&sort=-date&after=${nextCursor}`)).statusCode).toBe(400);
+
+    expect((await request(other).get("/metrics")).statusCode).toBe(401);
+    expect((await request(app).get("/metrics")).statusCode).toBe(200);
+  });
+
+  it("should check token expiry against the injected clock", async () => {
+    // ทดสอบว่า verifyToken ใช้เวลาจาก clock ของ app แทนเวลาจริง
+    const clock = createFakeClock("2030-01-01T00:00:00.000Z");
+    const clocked = createApp({ config: testConfig(), store: { posts: createMemoryPostStore([]) }, clock });
+    const token = bearer({ sub: 'editor-1', name: 'Editor', role: 'editor' }, { now: clock(), expiresInSeconds: 60 });
+
+    expect((await request(clocked).get("/posts").set('Authorization', token)).statusCode).toBe(200);
+    clock.set("2030-01-01T00:01:00.000Z");
+    expect((await request(clocked).get("/posts").set('Authorization', token)).statusCode).toBe(401);
+  });
+
+  it("should take the client IP from X-Forwarded-For only behind a trusted proxy", async () => {
+    // ทดสอบว่า trustProxy กำหนดว่า req.ip มาจาก X-Forwarded-For หรือจากการเชื่อมต่อโดยตรง
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: (line) => lines.push(JSON.parse(line)) });
+    const proxied = createApp({ config: testConfig({ trustProxy: 1 }), logger });
+    const direct = createApp({ config: testConfig(), logger });
+
+    await request(proxied).get("/health").set('X-Forwarded-For', '203.0.113.7');
+    await request(direct).get("/health").set('X-Forwarded-For', '203.0.113.7');
+
+    expect(lines[0].ip).toBe('203.0.113.7');
+    expect(lines[1].ip).not.toBe('203.0.113.7');
+  });
+
+  it("should use the injected config and logger", async () => {
+    // ทดสอบว่า config และ logger ที่ส่งเข้ามาใช้แทนค่าจาก environment
+    const lines = [];
+    const configured = createApp({
+      config: testConfig({
+        allowedOrigins: ['https://blog.example.com'],
+        pagination: { defaultLimit: 2 },
+        logRedactHeaders: ['Authorization', 'X-Api-Key']
+      }),
+      logger: createLogger({ level: 'info', write: (line) => lines.push(JSON.parse(line)) })
+    });
+
+    const allowed = await request(configured).get("/posts").set('Origin', 'https://blog.example.com')
+      .set('Authorization', editorAuth).set('X-Api-Key', 'secret-key');
+    expect(allowed.statusCode).toBe(200);
+    expect(allowed.body.limit).toBe(2);
+    expect(allowed.body.posts).toHaveLength(2);
+    expect((await request(configured).get("/posts").set('Origin', 'http://localhost:3000')).statusCode).toBe(403);
+    expect((await request(app).get("/posts").set('Origin', 'https://blog.example.com')).statusCode).toBe(403);
+
+    expect(lines[0]).toMatchObject({ message: 'request completed', route: '/posts', status: 200 });
+    expect(lines[0].headers).toMatchObject({ authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' });
+    expect(configured.locals.config.pagination.defaultLimit).toBe(2);
+  });
+});
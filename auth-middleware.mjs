@@ -0,0 +1,101 @@
+// auth-middleware.mjs
+// ไฟล์ middleware สำหรับการยืนยันตัวตน (bearer token) และการกำหนดสิทธิ์ตามบทบาท (role)
+import crypto from 'node:crypto';
+import { sendProblem } from './problem-details.mjs';
+
+// ลำดับสิทธิ์ของแต่ละบทบาท (ค่ามากกว่า = สิทธิ์มากกว่า)
+export const ROLE_LEVELS = {
+  reader: 1,
+  author: 2,
+  editor: 3,
+  admin: 4
+};
+
+// แปลงข้อมูลเป็น base64url (ใช้ใน token)
+const toBase64Url = (value) => Buffer.from(value).toString('base64url');
+
+// สร้างลายเซ็น HMAC-SHA256 ของ header และ payload
+const createSignature = (data, secret) =>
+  crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+// สร้าง token แบบ JWT (HS256) ที่ตรวจสอบได้ในเครื่องด้วย secret เดียวกัน
+// payload ควรมี sub, name (ตรงกับฟิลด์ author ของโพสต์) และ role, now: เวลาที่ใช้คำนวณ exp
+export const signToken = (payload, secret, { expiresInSeconds = 60 * 60, now = new Date() } = {}) => {
+  const header = toBase64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = toBase64Url(JSON.stringify({
+    ...payload,
+    exp: Math.floor(now.getTime() / 1000) + expiresInSeconds
+  }));
+  return `${header}.${body}.${createSignature(`${header}.${body}`, secret)}`;
+};
+
+// ตรวจสอบ token - คืนค่า payload ถ้าถูกต้อง หรือ null ถ้าไม่ถูกต้อง/หมดอายุ ณ เวลา now
+export const verifyToken = (token, secret, now = new Date()) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || !secret) return null;
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(createSignature(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  // ใช้ timingSafeEqual เพื่อป้องกัน timing attacks
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (alg !== 'HS256') return null;
+    if (typeof payload.exp !== 'number' || payload.exp * 1000 <= now.getTime()) return null; // หมดอายุ
+    if (!Object.prototype.hasOwnProperty.call(ROLE_LEVELS, payload.role)) return null; // role ไม่รู้จัก
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// ส่ง 401 พร้อม WWW-Authenticate header
+const sendUnauthorized = (res, message) => {
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  return sendProblem(res, 'unauthorized', { detail: message });
+};
+
+// สร้าง middleware สำหรับอ่าน bearer token (ถ้ามี) และกำหนด req.user
+// ไม่มี token = ผู้ใช้ anonymous (req.user = null), token ไม่ถูกต้อง = 401
+// secret: config.authSecret (AUTH_SECRET - ไม่ตั้งค่าแปลว่าไม่รับ token ใดเลย), clock: เวลาที่ใช้ตรวจ exp
+export const authenticate = ({ secret, clock = () => new Date() } = {}) => (req, res, next) => {
+  const header = req.headers.authorization;
+  req.user = null;
+  if (!header) return next();
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return sendUnauthorized(res, 'Authorization header must use the Bearer scheme');
+  }
+
+  const payload = verifyToken(token, secret, clock());
+  if (!payload) {
+    return sendUnauthorized(res, 'Invalid or expired token');
+  }
+
+  req.user = { id: payload.sub, name: payload.name, role: payload.role };
+  next();
+};
+
+// Middleware สำหรับบังคับให้ผู้ใช้มีบทบาทอย่างน้อยตามที่กำหนด
+export const requireRole = (minimumRole) => (req, res, next) => {
+  if (!req.user) {
+    return sendUnauthorized(res, 'Authentication required');
+  }
+  if (ROLE_LEVELS[req.user.role] < ROLE_LEVELS[minimumRole]) {
+    return sendProblem(res, 'forbidden', { detail: `Requires ${minimumRole} role or higher` });
+  }
+  next();
+};
+
+// ตรวจสอบว่าผู้ใช้แก้ไขโพสต์นี้ได้หรือไม่ - editor/admin แก้ได้ทุกโพสต์, author แก้ได้เฉพาะโพสต์ของตัวเอง
+export const canEditPost = (user, post) => {
+  if (!user) return false;
+  if (ROLE_LEVELS[user.role] >= ROLE_LEVELS.editor) return true;
+  return user.role === 'author' && post.author === user.name;
+};
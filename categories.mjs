@@ -0,0 +1,236 @@
+// categories.mjs
+// หมวดหมู่ของโพสต์แบบ first-class resource (/categories) พร้อม slug ที่คงที่แม้เปลี่ยนชื่อ
+import express from "express";
+import { sendProblem, sendServerError } from "./problem-details.mjs";
+
+// แปลงชื่อหมวดหมู่เป็น slug เช่น "Self Care & Wellness" -> "self-care-wellness"
+export function slugify(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // ลบเครื่องหมายกำกับเสียง
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// ทำให้ชื่ออยู่ในรูปแบบเดียวกันสำหรับการเปรียบเทียบ (ไม่สนใจตัวพิมพ์ใหญ่เล็กและช่องว่างหัวท้าย)
+const normalizeName = (name) => String(name).trim().toLowerCase();
+
+// สร้างแคตตาล็อกหมวดหมู่ที่เชื่อมกับ post store
+// onPostChanged: callback เมื่อโพสต์ถูกแก้ไขจากการเปลี่ยนชื่อ/ลบหมวดหมู่ (เช่น อัปเดต search index)
+// updatePost(current, data, user): บันทึกโพสต์ที่ถูกย้าย (app.mjs ส่งผ่าน postHistory เพื่อให้มี revision)
+// clock: คืนค่าเวลาปัจจุบัน (ใช้กับ updatedAt ของโพสต์ที่ถูกย้าย)
+// canViewPost(user, post): postCount นับเฉพาะโพสต์ที่ผู้เรียกมองเห็น (ไม่เปิดเผยว่ามีโพสต์ที่ยังไม่เผยแพร่)
+export function createCategoryCatalog({
+  categoryStore,
+  postStore,
+  updatePost = (current, data) => postStore.update(current.id, { ...data, version: (current.version || 1) + 1 }),
+  clock = () => new Date(),
+  canViewPost = () => true,
+  onPostChanged = async () => {}
+}) {
+  // สร้างหมวดหมู่ให้ทุกชื่อที่โพสต์ใช้อยู่แต่ยังไม่มีใน store (ทำครั้งเดียวตอนใช้งานครั้งแรก)
+  let syncPromise = null;
+  const ensureSynced = () => {
+    if (!syncPromise) {
+      syncPromise = (async () => {
+        const { items: posts } = await postStore.list();
+        for (const post of posts) {
+          if (!(await findByName(post.category))) {
+            await createCategory(post.category);
+          }
+        }
+      })().catch((error) => {
+        syncPromise = null; // ลองใหม่ในครั้งถัดไปถ้าล้มเหลว
+        throw error;
+      });
+    }
+    return syncPromise;
+  };
+
+  const findByName = async (name) => {
+    const { items } = await categoryStore.list({
+      filter: (category) => normalizeName(category.name) === normalizeName(name),
+      limit: 1
+    });
+    return items[0] || null;
+  };
+
+  const findBySlug = async (slug) => {
+    const { items } = await categoryStore.list({
+      filter: (category) => category.slug === String(slug).toLowerCase(),
+      limit: 1
+    });
+    return items[0] || null;
+  };
+
+  // สร้างหมวดหมู่ใหม่ - ถ้า slug ซ้ำกับหมวดหมู่อื่นจะเติมตัวเลขต่อท้าย (-2, -3, ...)
+  const createCategory = async (name) => {
+    const baseSlug = slugify(name);
+    let slug = baseSlug;
+    for (let suffix = 2; await findBySlug(slug); suffix++) {
+      slug = `${baseSlug}-${suffix}`;
+    }
+    return categoryStore.create({ slug, name: name.trim() });
+  };
+
+  // ดึงโพสต์ทั้งหมดในหมวดหมู่
+  const postsIn = async (category) => {
+    const { items } = await postStore.list({
+      filter: (post) => normalizeName(post.category) === normalizeName(category.name)
+    });
+    return items;
+  };
+
+  // ย้ายโพสต์ไปใช้ชื่อหมวดหมู่ใหม่
+  const movePosts = async (posts, name, user) => {
+    for (const post of posts) {
+      // การย้ายหมวดหมู่นับเป็นการแก้ไขโพสต์ จึงเพิ่ม version ด้วย (updatePost นับต่อจากโพสต์ที่เก็บอยู่)
+      const updated = await updatePost(post, { ...post, category: name, updatedAt: clock() }, user);
+      await onPostChanged(updated);
+    }
+  };
+
+  const withCount = async (category, user) => ({
+    slug: category.slug,
+    name: category.name,
+    postCount: (await postsIn(category)).filter((post) => canViewPost(user, post)).length
+  });
+
+  const notFound = (res, slug) => sendProblem(res, 'category_not_found', { requestedSlug: slug });
+
+  // ค้นหาหมวดหมู่จากชื่อหรือ slug (ใช้ตรวจสอบ category ของโพสต์ที่สร้าง/แก้ไข)
+  const resolve = async (value) => {
+    await ensureSynced();
+    return (await findByName(value)) || (await findBySlug(value));
+  };
+
+  // แปลง slug ในพารามิเตอร์ category (คั่นด้วย comma) เป็นชื่อหมวดหมู่ เพื่อให้ /posts?category=<slug> ใช้ได้
+  const expandSlugs = async (value) => {
+    if (typeof value !== 'string' || !value.trim()) return value;
+    await ensureSynced();
+    const parts = await Promise.all(value.split(',').map(async (part) => {
+      const category = part.trim() ? await findBySlug(part.trim()) : null;
+      return category ? category.name : part;
+    }));
+    return parts.join(',');
+  };
+
+  // สร้าง router ของ /categories - rateLimits และ requireRole ส่งมาจาก app
+  const createRouter = ({ rateLimits, requireRole }) => {
+    const router = express.Router();
+
+    // รายการหมวดหมู่ทั้งหมดพร้อมจำนวนโพสต์ (เรียงตามชื่อ)
+    router.get("/", rateLimits.read, async (req, res) => {
+      try {
+        await ensureSynced();
+        const { items } = await categoryStore.list({
+          sort: (a, b) => a.name.localeCompare(b.name)
+        });
+        const categories = await Promise.all(items.map((category) => withCount(category, req.user)));
+        return res.json({
+          totalCategories: categories.length,
+          categories
+        });
+      } catch (error) {
+        return sendServerError(res, error, '/categories');
+      }
+    });
+
+    // ดึงหมวดหมู่ตาม slug
+    router.get("/:slug", rateLimits.read, async (req, res) => {
+      try {
+        await ensureSynced();
+        const category = await findBySlug(req.params.slug);
+        if (!category) return notFound(res, req.params.slug);
+        return res.json(await withCount(category, req.user));
+      } catch (error) {
+        return sendServerError(res, error, '/categories/:slug');
+      }
+    });
+
+    // สร้างหมวดหมู่ใหม่ (editor ขึ้นไป)
+    router.post("/", rateLimits.write, requireRole('editor'), async (req, res) => {
+      try {
+        // name ตรวจสอบแล้วจากเอกสาร OpenAPI (CategoryInput)
+        await ensureSynced();
+        const existing = await findByName(req.body.name);
+        if (existing) {
+          return sendProblem(res, 'category_conflict', {
+            detail: "A category with the same name already exists",
+            conflictingSlug: existing.slug
+          });
+        }
+
+        const category = await createCategory(req.body.name);
+        res.location(`/categories/${category.slug}`);
+        return res.status(201).json({ slug: category.slug, name: category.name, postCount: 0 });
+      } catch (error) {
+        return sendServerError(res, error, 'POST /categories');
+      }
+    });
+
+    // เปลี่ยนชื่อหมวดหมู่ - slug คงเดิม และโพสต์ในหมวดหมู่ถูกย้ายไปใช้ชื่อใหม่
+    router.patch("/:slug", rateLimits.write, requireRole('editor'), async (req, res) => {
+      try {
+        await ensureSynced();
+        const category = await findBySlug(req.params.slug);
+        if (!category) return notFound(res, req.params.slug);
+
+        // name ตรวจสอบแล้วจากเอกสาร OpenAPI (CategoryInput)
+        const existing = await findByName(req.body.name);
+        if (existing && existing.id !== category.id) {
+          return sendProblem(res, 'category_conflict', {
+            detail: "A category with the same name already exists",
+            conflictingSlug: existing.slug
+          });
+        }
+
+        const posts = await postsIn(category);
+        const renamed = await categoryStore.update(category.id, { ...category, name: req.body.name.trim() });
+        await movePosts(posts, renamed.name, req.user);
+        return res.json({ slug: renamed.slug, name: renamed.name, postCount: posts.length });
+      } catch (error) {
+        return sendServerError(res, error, 'PATCH /categories/:slug');
+      }
+    });
+
+    // ลบหมวดหมู่ - ถ้ายังมีโพสต์ต้องระบุ ?reassignTo=<slug> เพื่อย้ายโพสต์ไปหมวดหมู่อื่นก่อน
+    router.delete("/:slug", rateLimits.write, requireRole('editor'), async (req, res) => {
+      try {
+        await ensureSynced();
+        const category = await findBySlug(req.params.slug);
+        if (!category) return notFound(res, req.params.slug);
+
+        const { reassignTo } = req.query;
+        const posts = await postsIn(category);
+        let target = null;
+        if (reassignTo !== undefined) {
+          target = await findBySlug(reassignTo); // ค่าเดียว (ตรวจสอบจากเอกสาร OpenAPI)
+          if (!target || target.id === category.id) {
+            return sendProblem(res, 'invalid_reassignment', {
+              detail: "reassignTo must be the slug of another existing category"
+            });
+          }
+        }
+
+        if (posts.length > 0 && !target) {
+          return sendProblem(res, 'category_not_empty', {
+            detail: "Pass reassignTo=<slug> to move its posts before deleting",
+            postCount: posts.length
+          });
+        }
+
+        if (target) await movePosts(posts, target.name, req.user);
+        await categoryStore.delete(category.id);
+        return res.status(204).end();
+      } catch (error) {
+        return sendServerError(res, error, 'DELETE /categories/:slug');
+      }
+    });
+
+    return router;
+  };
+
+  return { resolve, expandSlugs, createRouter };
+}
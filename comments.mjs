@@ -0,0 +1,276 @@
+// comments.mjs
+// ความคิดเห็นใต้โพสต์ (/posts/:id/comments) - ตอบกลับเป็น thread, ลบแบบ soft-delete และสถานะการตรวจสอบ (moderation)
+import express from "express";
+import { ROLE_LEVELS } from "./auth-middleware.mjs";
+import { stripXss } from "./security-middleware.mjs";
+import { createPaginationResult, MAX_PAGE_SIZE } from "./pagination.mjs";
+import { sendProblem, sendServerError } from "./problem-details.mjs";
+
+// สถานะของความคิดเห็น - ผู้อ่านทั่วไปเห็นเฉพาะ approved (และความคิดเห็นของตัวเอง)
+export const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+
+export const MAX_BODY_LENGTH = 5000;
+// จำนวน thread ต่อหน้าเมื่อไม่ระบุ ?limit (COMMENTS_PAGE_SIZE)
+export const DEFAULT_COMMENTS_PAGE_SIZE = 20;
+
+// editor ขึ้นไปเป็นผู้ตรวจสอบความคิดเห็น (เห็นทุกสถานะ และเปลี่ยนสถานะได้)
+const isModerator = (user) => Boolean(user) && ROLE_LEVELS[user.role] >= ROLE_LEVELS.editor;
+const isCommentAuthor = (user, comment) => Boolean(user) && comment.authorId === user.id;
+
+// ข้อความของความคิดเห็นผ่านการลบ XSS แบบเดียวกับ query strings
+const cleanBody = (value) => stripXss(value).trim();
+
+// รูปแบบของ body ตรวจสอบแล้วจากเอกสาร OpenAPI (CommentInput/CommentPatch) - เหลือเพียงข้อความที่ว่างหลังลบ XSS
+const sendEmptyBody = (res) => sendProblem(res, 'invalid_comment', { errors: ['body must be a non-empty string'] });
+
+// ข้อมูลความคิดเห็นที่ส่งให้ผู้ใช้ - ความคิดเห็นที่ถูกลบเหลือเพียงตำแหน่งใน thread
+function toView(comment) {
+  if (comment.deleted) {
+    return {
+      id: comment.id,
+      parentId: comment.parentId,
+      deleted: true,
+      body: null,
+      author: null,
+      createdAt: comment.createdAt
+    };
+  }
+  return {
+    id: comment.id,
+    parentId: comment.parentId,
+    body: comment.body,
+    author: comment.author,
+    status: comment.status,
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt
+  };
+}
+
+// สร้างส่วนความคิดเห็นที่เชื่อมกับ post store
+// canViewPost(user, post): โพสต์ที่ผู้เรียกมองไม่เห็นถือว่าไม่พบ (ใช้กับโพสต์ที่ยังไม่เผยแพร่)
+// clock: คืนค่าเวลาปัจจุบัน (ใช้กับ createdAt/updatedAt ของความคิดเห็น)
+// pagination: { defaultLimit, maxLimit } ของรายการ thread (จาก config)
+export function createCommentSection({
+  commentStore,
+  postStore,
+  canViewPost = () => true,
+  clock = () => new Date(),
+  pagination = { defaultLimit: DEFAULT_COMMENTS_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE }
+}) {
+  const commentsOf = async (postId) => {
+    const { items } = await commentStore.list({
+      filter: (comment) => comment.postId === postId,
+      sort: (a, b) => a.id - b.id
+    });
+    return items;
+  };
+
+  // สร้าง thread ของความคิดเห็นที่ผู้ใช้มองเห็นได้
+  // ความคิดเห็นที่ถูกซ่อน (เช่น pending ของคนอื่น) ถูกตัดออกพร้อมคำตอบ,
+  // ความคิดเห็นที่ถูกลบแสดงเป็นตำแหน่งว่างเฉพาะเมื่อยังมีคำตอบที่มองเห็นได้
+  const buildThread = (comment, children, user) => {
+    const visible = comment.deleted || comment.status === 'approved'
+      || isModerator(user) || isCommentAuthor(user, comment);
+    if (!visible) return null;
+
+    const replies = (children.get(comment.id) || [])
+      .map((reply) => buildThread(reply, children, user))
+      .filter(Boolean);
+    if (comment.deleted && replies.length === 0) return null;
+    return { ...toView(comment), replies };
+  };
+
+  const groupByParent = (comments) => {
+    const children = new Map();
+    comments.forEach((comment) => {
+      if (!children.has(comment.parentId)) children.set(comment.parentId, []);
+      children.get(comment.parentId).push(comment);
+    });
+    return children;
+  };
+
+  // ลบความคิดเห็นทั้งหมดของโพสต์ (ใช้เมื่อโพสต์ถูกลบ)
+  const removeAll = async (postId) => {
+    for (const comment of await commentsOf(postId)) {
+      await commentStore.delete(comment.id);
+    }
+  };
+
+  // สร้าง router ของ /posts/:id/comments - rateLimits และ requireRole ส่งมาจาก app
+  // path parameters และ request body ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+  const createRouter = ({ rateLimits, requireRole }) => {
+    const router = express.Router({ mergeParams: true });
+
+    // ดึงโพสต์ - ส่ง 404 และคืนค่า null ถ้าไม่พบ
+    const loadPost = async (req, res) => {
+      const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+      const post = await postStore.getById(postId);
+      if (!post || !canViewPost(req.user, post)) {
+        sendProblem(res, 'post_not_found', { requestedId: postId });
+        return null;
+      }
+      return post;
+    };
+
+    // ดึงความคิดเห็นที่ยังไม่ถูกลบของโพสต์ - ส่ง 404 และคืนค่า null ถ้าไม่พบ
+    const loadComment = async (req, res, post) => {
+      const comment = await commentStore.getById(Number(req.params.commentId));
+      if (!comment || comment.postId !== post.id || comment.deleted) {
+        sendProblem(res, 'comment_not_found', { requestedId: req.params.commentId });
+        return null;
+      }
+      return comment;
+    };
+
+    const sendCommentForbidden = (res, message) => sendProblem(res, 'forbidden', { detail: message });
+
+    // รายการ thread ของความคิดเห็น (แบ่งหน้าตามความคิดเห็นระดับบนสุด เรียงจากเก่าไปใหม่)
+    router.get("/", rateLimits.read, async (req, res) => {
+      try {
+        // page และ limit ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+        const { page, limit } = req.query;
+        const post = await loadPost(req, res);
+        if (!post) return undefined;
+
+        const comments = await commentsOf(post.id);
+        const children = groupByParent(comments);
+        const threads = (children.get(null) || [])
+          .map((comment) => buildThread(comment, children, req.user))
+          .filter(Boolean);
+
+        const numPage = Math.max(1, Number(page) || 1);
+        const numLimit = Math.max(1, Math.min(pagination.maxLimit, Number(limit) || pagination.defaultLimit));
+        const start = (numPage - 1) * numLimit;
+        return res.json(createPaginationResult(
+          { items: threads.slice(start, start + numLimit), total: threads.length },
+          numPage,
+          numLimit,
+          { items: 'comments', total: 'totalComments' }
+        ));
+      } catch (error) {
+        return sendServerError(res, error, 'GET /posts/:id/comments');
+      }
+    });
+
+    // ดึงความคิดเห็นเดียวพร้อมคำตอบ
+    router.get("/:commentId", rateLimits.read, async (req, res) => {
+      try {
+        const post = await loadPost(req, res);
+        if (!post) return undefined;
+        const comment = await loadComment(req, res, post);
+        if (!comment) return undefined;
+
+        const thread = buildThread(comment, groupByParent(await commentsOf(post.id)), req.user);
+        if (!thread) {
+          return sendProblem(res, 'comment_not_found', { requestedId: req.params.commentId });
+        }
+        return res.json(thread);
+      } catch (error) {
+        return sendServerError(res, error, 'GET /posts/:id/comments/:commentId');
+      }
+    });
+
+    // เขียนความคิดเห็นหรือตอบกลับ (ต้องล็อกอิน) - ความคิดเห็นของ editor ขึ้นไปอนุมัติทันที นอกนั้นรอตรวจสอบ
+    router.post("/", rateLimits.write, requireRole('reader'), async (req, res) => {
+      try {
+        const post = await loadPost(req, res);
+        if (!post) return undefined;
+
+        const body = cleanBody(req.body.body);
+        if (!body) return sendEmptyBody(res);
+
+        const parentId = req.body.parentId ?? null;
+        if (parentId !== null) {
+          const parent = await commentStore.getById(parentId);
+          const canReply = parent && parent.postId === post.id && !parent.deleted
+            && (parent.status === 'approved' || isModerator(req.user) || isCommentAuthor(req.user, parent));
+          if (!canReply) {
+            return sendProblem(res, 'invalid_comment', { errors: [`Parent comment not found: ${parentId}`] });
+          }
+        }
+
+        const now = clock().toISOString();
+        const comment = await commentStore.create({
+          postId: post.id,
+          parentId,
+          body,
+          author: req.user.name,
+          authorId: req.user.id,
+          status: isModerator(req.user) ? 'approved' : 'pending',
+          deleted: false,
+          createdAt: now,
+          updatedAt: now
+        });
+
+        res.location(`/posts/${post.id}/comments/${comment.id}`);
+        return res.status(201).json(toView(comment));
+      } catch (error) {
+        return sendServerError(res, error, 'POST /posts/:id/comments');
+      }
+    });
+
+    // แก้ไขข้อความ (ผู้เขียนความคิดเห็นหรือ editor) หรือเปลี่ยนสถานะ (editor ขึ้นไปเท่านั้น)
+    // ข้อความที่ผู้เขียนแก้ไขต้องรอตรวจสอบใหม่
+    router.patch("/:commentId", rateLimits.write, requireRole('reader'), async (req, res) => {
+      try {
+        const post = await loadPost(req, res);
+        if (!post) return undefined;
+        const comment = await loadComment(req, res, post);
+        if (!comment) return undefined;
+
+        const moderator = isModerator(req.user);
+        if (!moderator && !isCommentAuthor(req.user, comment)) {
+          return sendCommentForbidden(res, "Only the comment author or an editor can change this comment");
+        }
+        if (!moderator && req.body.status !== undefined) {
+          return sendCommentForbidden(res, "Requires editor role or higher to moderate comments");
+        }
+
+        const changes = {};
+        if (req.body.body !== undefined) {
+          changes.body = cleanBody(req.body.body);
+          if (!changes.body) return sendEmptyBody(res);
+          if (!moderator) changes.status = 'pending';
+        }
+        if (req.body.status !== undefined) changes.status = req.body.status;
+
+        const updated = await commentStore.update(comment.id, {
+          ...comment,
+          ...changes,
+          updatedAt: clock().toISOString()
+        });
+        return res.json(toView(updated));
+      } catch (error) {
+        return sendServerError(res, error, 'PATCH /posts/:id/comments/:commentId');
+      }
+    });
+
+    // ลบความคิดเห็นแบบ soft-delete - คำตอบยังอยู่ใน thread เดิม
+    router.delete("/:commentId", rateLimits.write, requireRole('reader'), async (req, res) => {
+      try {
+        const post = await loadPost(req, res);
+        if (!post) return undefined;
+        const comment = await loadComment(req, res, post);
+        if (!comment) return undefined;
+
+        if (!isModerator(req.user) && !isCommentAuthor(req.user, comment)) {
+          return sendCommentForbidden(res, "Only the comment author or an editor can change this comment");
+        }
+
+        await commentStore.update(comment.id, {
+          ...comment,
+          body: null,
+          deleted: true,
+          updatedAt: clock().toISOString()
+        });
+        return res.status(204).end();
+      } catch (error) {
+        return sendServerError(res, error, 'DELETE /posts/:id/comments/:commentId');
+      }
+    });
+
+    return router;
+  };
+
+  return { removeAll, createRouter };
+}
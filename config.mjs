@@ -0,0 +1,237 @@
+// config.mjs
+// การตั้งค่าทั้งหมดของ service ในที่เดียว: ค่าเริ่มต้น < ไฟล์ JSON (CONFIG_FILE) < environment variables
+// ตรวจสอบชนิดและช่วงของค่าตอนเริ่มต้น - ค่าที่ผิดทำให้ start ไม่ได้พร้อมข้อความที่บอกว่าผิดตรงไหน
+// secrets (AUTH_SECRET, CURSOR_SECRET, METRICS_TOKEN) อยู่ที่นี่ด้วย แต่ค่าไม่ถูกพิมพ์ในข้อความผิดพลาด
+import fs from 'node:fs';
+import net from 'node:net';
+import { RATE_LIMIT_DEFAULTS } from './security-middleware.mjs';
+import { CACHE_CONTROL_DEFAULTS } from './http-cache.mjs';
+import { LOG_LEVELS, DEFAULT_REDACTED_HEADERS } from './logger.mjs';
+import { DEFAULT_CHECK_TIMEOUT_MS } from './health.mjs';
+import { DEFAULT_SHUTDOWN_TIMEOUT_MS } from './shutdown.mjs';
+import { MAX_PAGE_SIZE } from './pagination.mjs';
+import { DEFAULT_COMMENTS_PAGE_SIZE } from './comments.mjs';
+import { DEFAULT_REVISIONS_PAGE_SIZE } from './revisions.mjs';
+import { DEFAULT_FEED_SIZE } from './feeds.mjs';
+import { STORE_DRIVERS, DEFAULT_STORE_PATHS } from './db/store.mjs';
+
+export { MAX_PAGE_SIZE };
+
+// ข้อผิดพลาดของการตั้งค่า - errors คือรายการปัญหาทุกข้อ (รายงานพร้อมกันเพื่อแก้ได้ในครั้งเดียว)
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// ชื่อกลุ่ม address ที่ Express รู้จักใน trust proxy
+const TRUST_PROXY_NAMES = ['loopback', 'linklocal', 'uniquelocal'];
+
+// IP address หรือ subnet (CIDR) หรือชื่อกลุ่มของ Express
+const isProxyAddress = (value) => {
+  if (TRUST_PROXY_NAMES.includes(value)) return true;
+  const [address, prefix] = value.split('/');
+  const version = net.isIP(address);
+  if (!version) return false;
+  return prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128));
+};
+
+// ชนิดของค่า: parse แปลงข้อความจาก env, check ตรวจค่า (จาก env หรือไฟล์) และคืนค่าข้อความอธิบายเมื่อไม่ถูกต้อง
+const TYPES = {
+  integer: {
+    parse: (value) => (/^-?\d+$/.test(value.trim()) ? Number(value) : value),
+    check: (value, { min, max }) => (Number.isInteger(value) && value >= min && value <= max
+      ? null
+      : `must be an integer between ${min} and ${max}`)
+  },
+  boolean: {
+    parse: (value) => ({ true: true, false: false }[value.trim().toLowerCase()] ?? value),
+    check: (value) => (typeof value === 'boolean' ? null : 'must be true or false')
+  },
+  enum: {
+    parse: (value) => value.trim().toLowerCase(),
+    check: (value, { values }) => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`)
+  },
+  list: {
+    parse: (value) => value.split(',').map((item) => item.trim()).filter(Boolean),
+    check: (value) => (Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string')
+      ? null
+      : 'must be a non-empty comma-separated list')
+  },
+  size: {
+    parse: (value) => value.trim(),
+    check: (value) => (typeof value === 'string' && /^\d+(b|kb|mb)$/i.test(value)
+      ? null
+      : 'must be a size such as 512kb or 10mb')
+  },
+  // true/false, จำนวน proxy ที่อยู่หน้า app (hops) หรือรายการ IP/subnet ของ proxy ที่เชื่อถือ
+  trustProxy: {
+    parse: (value) => {
+      const text = value.trim().toLowerCase();
+      if (text === 'true' || text === 'false') return text === 'true';
+      if (/^\d+$/.test(text)) return Number(text);
+      return text.split(',').map((item) => item.trim()).filter(Boolean);
+    },
+    check: (value) => (typeof value === 'boolean'
+      || (Number.isInteger(value) && value >= 0)
+      || (Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && isProxyAddress(item)))
+      ? null
+      : 'must be true, false, a number of proxy hops or a comma-separated list of proxy addresses')
+  },
+  // ค่าของ HTTP header (เช่น Cache-Control) - ห้ามว่างและห้ามมีอักขระควบคุม
+  header: {
+    parse: (value) => value.trim(),
+    check: (value) => (typeof value === 'string' && /^[\x21-\x7e]([\x20-\x7e]*[\x21-\x7e])?$/.test(value)
+      ? null
+      : 'must be a non-empty header value')
+  },
+  path: {
+    parse: (value) => value.trim(),
+    check: (value) => (typeof value === 'string' && value.trim().length > 0 ? null : 'must be a non-empty file path')
+  },
+  // quota ของ API key: key1:1000,key2:500 (ในไฟล์ JSON เป็น object { "key1": 1000 })
+  apiKeys: {
+    parse: (value) => Object.fromEntries(value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+      const [key, max = ''] = entry.split(':').map((part) => part.trim());
+      return [key, /^\d+$/.test(max) ? Number(max) : max];
+    })),
+    check: (value) => (value !== null && typeof value === 'object' && !Array.isArray(value)
+      && Object.entries(value).every(([key, max]) => key.length > 0 && Number.isInteger(max) && max > 0)
+      ? null
+      : 'must be a comma-separated list of key:max pairs with a positive max')
+  },
+  // ค่าลับ - redact: ไม่แสดงค่าในข้อความผิดพลาด
+  secret: {
+    redact: true,
+    parse: (value) => value.trim(),
+    check: (value) => (value === null || (typeof value === 'string' && value.trim().length > 0)
+      ? null
+      : 'must be a non-empty string')
+  },
+  url: {
+    parse: (value) => value.trim(),
+    check: (value) => (value === null || (typeof value === 'string' && /^https?:\/\/[^\s/]+/.test(value))
+      ? null
+      : 'must be an http(s) URL')
+  }
+};
+
+// การตั้งค่าที่รองรับ: key ใน config (และในไฟล์ JSON), ชื่อ environment variable, ชนิด และค่าเริ่มต้น
+export const CONFIG_OPTIONS = [
+  { key: 'port', env: 'PORT', type: 'integer', min: 0, max: 65535, default: 4001 },
+  { key: 'nodeEnv', env: 'NODE_ENV', type: 'enum', values: ['development', 'test', 'production'], default: 'development' },
+  { key: 'allowedOrigins', env: 'ALLOWED_ORIGINS', type: 'list', default: ['http://localhost:3000'] },
+  { key: 'requestTimeoutMs', env: 'REQUEST_TIMEOUT_MS', type: 'integer', min: 1, max: 600000, default: 30000 },
+  { key: 'bodyLimit', env: 'BODY_LIMIT', type: 'size', default: '10mb' },
+  // Cloud Run มี front-end proxy หนึ่งชั้น (TRUST_PROXY=1 ใน Dockerfile) - ใช้หา IP จริงของ client จาก X-Forwarded-For
+  { key: 'trustProxy', env: 'TRUST_PROXY', type: 'trustProxy', default: false },
+  { key: 'pagination.defaultLimit', env: 'DEFAULT_PAGE_SIZE', type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: 6 },
+  { key: 'pagination.maxLimit', env: 'MAX_PAGE_SIZE', type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: MAX_PAGE_SIZE },
+  // จำนวนรายการเริ่มต้นของความคิดเห็น ประวัติการแก้ไข และ feed (ไม่เกิน pagination.maxLimit)
+  { key: 'comments.pageSize', env: 'COMMENTS_PAGE_SIZE', type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_COMMENTS_PAGE_SIZE },
+  { key: 'revisions.pageSize', env: 'REVISIONS_PAGE_SIZE', type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_REVISIONS_PAGE_SIZE },
+  { key: 'feeds.pageSize', env: 'FEED_PAGE_SIZE', type: 'integer', min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_FEED_SIZE },
+  // rate limit แยกตามกลุ่มของ route: RATE_LIMIT_<GROUP>_WINDOW_MS และ RATE_LIMIT_<GROUP>_MAX
+  ...Object.entries(RATE_LIMIT_DEFAULTS).flatMap(([group, defaults]) => [
+    { key: `rateLimits.${group}.windowMs`, env: `RATE_LIMIT_${group.toUpperCase()}_WINDOW_MS`, type: 'integer', min: 1, max: 86400000, default: defaults.windowMs },
+    { key: `rateLimits.${group}.max`, env: `RATE_LIMIT_${group.toUpperCase()}_MAX`, type: 'integer', min: 1, max: 1000000, default: defaults.max }
+  ]),
+  { key: 'rateLimits.apiKeys', env: 'RATE_LIMIT_API_KEYS', type: 'apiKeys', default: {} },
+  // Cache-Control ของแต่ละกลุ่ม route: CACHE_CONTROL_<ROUTE> เช่น CACHE_CONTROL_FEEDS
+  ...Object.entries(CACHE_CONTROL_DEFAULTS).map(([route, value]) => (
+    { key: `cacheControl.${route}`, env: `CACHE_CONTROL_${route.toUpperCase()}`, type: 'header', default: value }
+  )),
+  // storage adapter: POST_STORE=memory หรือ file และตำแหน่งไฟล์ JSON ของข้อมูลแต่ละชนิด
+  { key: 'store.driver', env: 'POST_STORE', type: 'enum', values: STORE_DRIVERS, default: 'memory' },
+  { key: 'store.paths.posts', env: 'POST_STORE_PATH', type: 'path', default: DEFAULT_STORE_PATHS.posts },
+  { key: 'store.paths.categories', env: 'CATEGORY_STORE_PATH', type: 'path', default: DEFAULT_STORE_PATHS.categories },
+  { key: 'store.paths.likes', env: 'LIKE_STORE_PATH', type: 'path', default: DEFAULT_STORE_PATHS.likes },
+  { key: 'store.paths.comments', env: 'COMMENT_STORE_PATH', type: 'path', default: DEFAULT_STORE_PATHS.comments },
+  { key: 'store.paths.revisions', env: 'REVISION_STORE_PATH', type: 'path', default: DEFAULT_STORE_PATHS.revisions },
+  { key: 'siteUrl', env: 'SITE_URL', type: 'url', default: null },
+  // secret ของ bearer token (ไม่ตั้งค่า = ไม่รับ token), ลายเซ็นของ cursor (ไม่ตั้งค่า = สุ่มใหม่ทุกครั้งที่ start)
+  // และ token ของ GET /metrics (ไม่ตั้งค่า = เปิดให้ทุกคน)
+  { key: 'authSecret', env: 'AUTH_SECRET', type: 'secret', default: null },
+  { key: 'cursorSecret', env: 'CURSOR_SECRET', type: 'secret', default: null },
+  { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'secret', default: null },
+  { key: 'requirePreconditions', env: 'REQUIRE_PRECONDITIONS', type: 'boolean', default: false },
+  { key: 'openApiValidateResponses', env: 'OPENAPI_VALIDATE_RESPONSES', type: 'boolean', default: false },
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LOG_LEVELS), default: 'info' },
+  { key: 'logRedactHeaders', env: 'LOG_REDACT_HEADERS', type: 'list', default: DEFAULT_REDACTED_HEADERS },
+  { key: 'healthCheckTimeoutMs', env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, max: 60000, default: DEFAULT_CHECK_TIMEOUT_MS },
+  { key: 'shutdownTimeoutMs', env: 'SHUTDOWN_TIMEOUT_MS', type: 'integer', min: 0, max: 3600000, default: DEFAULT_SHUTDOWN_TIMEOUT_MS }
+];
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((target, part) => {
+    if (!target[part]) target[part] = {};
+    return target[part];
+  }, object);
+  parent[parts[parts.length - 1]] = value;
+};
+
+// อ่านไฟล์การตั้งค่า (JSON object ที่ใช้ key เดียวกับ CONFIG_OPTIONS เช่น { "pagination": { "maxLimit": 50 } })
+function readConfigFile(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${filePath} could not be read: ${error.message}`]);
+  }
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError([`CONFIG_FILE ${filePath} must contain a JSON object`]);
+  }
+  return raw;
+}
+
+// โหลดและตรวจสอบการตั้งค่า - env: environment variables, overrides: ค่าที่แทนทุกแหล่ง (เช่นในการทดสอบ)
+// throw ConfigError เมื่อมีค่าที่ไม่ถูกต้อง
+export function loadConfig({ env = process.env, overrides = {} } = {}) {
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  const config = {};
+  const errors = [];
+  const sources = {};
+
+  CONFIG_OPTIONS.forEach((option) => {
+    const type = TYPES[option.type];
+    let value = option.default;
+    let source = null;
+    if (getPath(overrides, option.key) !== undefined) {
+      value = getPath(overrides, option.key);
+      source = option.key;
+    } else if (env[option.env] !== undefined && env[option.env] !== '') {
+      value = type.parse(env[option.env]);
+      source = option.env;
+    } else if (getPath(file, option.key) !== undefined) {
+      value = getPath(file, option.key);
+      source = `${option.key} in ${env.CONFIG_FILE}`;
+    }
+
+    const problem = source ? type.check(value, option) : null;
+    if (problem) errors.push(`${source} ${problem}${type.redact ? '' : ` (got ${JSON.stringify(value)})`}`);
+    sources[option.key] = source;
+    setPath(config, option.key, value);
+  });
+
+  // จำนวนรายการเริ่มต้นต้องไม่เกิน maxLimit - ค่าเริ่มต้นที่ไม่ได้ตั้งเองลดลงมาเท่ากับ maxLimit
+  if (errors.length === 0) {
+    const { maxLimit } = config.pagination;
+    ['pagination.defaultLimit', 'comments.pageSize', 'revisions.pageSize', 'feeds.pageSize'].forEach((key) => {
+      const option = CONFIG_OPTIONS.find((candidate) => candidate.key === key);
+      const value = getPath(config, key);
+      if (value <= maxLimit) return;
+      if (sources[key]) {
+        errors.push(`${option.env} (${value}) cannot exceed MAX_PAGE_SIZE (${maxLimit})`);
+      } else {
+        setPath(config, key, maxLimit);
+      }
+    });
+  }
+  if (errors.length > 0) throw new ConfigError(errors);
+  return config;
+}
@@ -0,0 +1,160 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadConfig, ConfigError, MAX_PAGE_SIZE } from "./config.mjs";
+import { RATE_LIMIT_DEFAULTS } from "./security-middleware.mjs";
+import { CACHE_CONTROL_DEFAULTS } from "./http-cache.mjs";
+import { DEFAULT_STORE_PATHS } from "./db/store.mjs";
+
+// เขียนไฟล์การตั้งค่าชั่วคราวแล้วคืนค่า path
+const writeConfigFile = (content) => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'blog-config-')), 'config.json');
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+};
+
+// ข้อความของ ConfigError ที่ loadConfig throw
+const configErrors = (options) => {
+  try {
+    loadConfig(options);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.errors;
+  }
+  throw new Error('Expected loadConfig to throw');
+};
+
+describe("loadConfig", () => {
+  it("should provide typed defaults", () => {
+    // ทดสอบค่าเริ่มต้นเมื่อไม่มีการตั้งค่าใดเลย
+    const config = loadConfig({ env: {} });
+
+    expect(config).toMatchObject({
+      port: 4001,
+      nodeEnv: 'development',
+      allowedOrigins: ['http://localhost:3000'],
+      requestTimeoutMs: 30000,
+      bodyLimit: '10mb',
+      trustProxy: false,
+      pagination: { defaultLimit: 6, maxLimit: MAX_PAGE_SIZE },
+      siteUrl: null,
+      authSecret: null,
+      cursorSecret: null,
+      metricsToken: null,
+      requirePreconditions: false,
+      logLevel: 'info'
+    });
+    expect(config.rateLimits).toEqual({ ...RATE_LIMIT_DEFAULTS, apiKeys: {} });
+    expect(config.cacheControl).toEqual(CACHE_CONTROL_DEFAULTS);
+    expect(config.store).toEqual({ driver: 'memory', paths: DEFAULT_STORE_PATHS });
+    expect([config.comments.pageSize, config.revisions.pageSize, config.feeds.pageSize]).toEqual([20, 20, 20]);
+  });
+
+  it("should parse environment variables into typed values", () => {
+    // ทดสอบการแปลงข้อความจาก env เป็นชนิดที่ถูกต้อง
+    const config = loadConfig({
+      env: {
+        PORT: '8080',
+        ALLOWED_ORIGINS: 'https://a.example.com, https://b.example.com',
+        REQUIRE_PRECONDITIONS: 'TRUE',
+        DEFAULT_PAGE_SIZE: '10',
+        MAX_PAGE_SIZE: '50',
+        LOG_LEVEL: 'Debug',
+        SITE_URL: 'https://blog.example.com',
+        RATE_LIMIT_WRITE_MAX: '5',
+        RATE_LIMIT_SEARCH_WINDOW_MS: '1000',
+        RATE_LIMIT_API_KEYS: 'alpha:500, beta:20',
+        CACHE_CONTROL_FEEDS: ' public, max-age=3600 ',
+        POST_STORE: 'File',
+        COMMENT_STORE_PATH: '/var/data/comments.json',
+        FEED_PAGE_SIZE: '50',
+        AUTH_SECRET: ' auth-secret ',
+        TRUST_PROXY: 'Loopback, 10.0.0.0/8, ::1'
+      }
+    });
+
+    expect(config.port).toBe(8080);
+    expect(config.allowedOrigins).toEqual(['https://a.example.com', 'https://b.example.com']);
+    expect(config.requirePreconditions).toBe(true);
+    expect(config.pagination).toEqual({ defaultLimit: 10, maxLimit: 50 });
+    expect(config.logLevel).toBe('debug');
+    expect(config.siteUrl).toBe('https://blog.example.com');
+    expect(config.rateLimits.write.max).toBe(5);
+    expect(config.rateLimits.search.windowMs).toBe(1000);
+    expect(config.rateLimits.apiKeys).toEqual({ alpha: 500, beta: 20 });
+    expect(config.cacheControl).toEqual({ ...CACHE_CONTROL_DEFAULTS, feeds: 'public, max-age=3600' });
+    expect(config.store).toEqual({ driver: 'file', paths: { ...DEFAULT_STORE_PATHS, comments: '/var/data/comments.json' } });
+    expect(config.feeds.pageSize).toBe(50);
+    expect(config.authSecret).toBe('auth-secret');
+    expect(config.trustProxy).toEqual(['loopback', '10.0.0.0/8', '::1']);
+    expect(loadConfig({ env: { TRUST_PROXY: '1' } }).trustProxy).toBe(1);
+    expect(loadConfig({ env: { TRUST_PROXY: 'TRUE' } }).trustProxy).toBe(true);
+  });
+
+  it("should layer the config file under environment variables and overrides", () => {
+    // ทดสอบลำดับความสำคัญ: ค่าเริ่มต้น < ไฟล์ < env < overrides
+    const CONFIG_FILE = writeConfigFile({ port: 5000, requestTimeoutMs: 10000, pagination: { maxLimit: 40 } });
+    const config = loadConfig({
+      env: { CONFIG_FILE, PORT: '6000' },
+      overrides: { requestTimeoutMs: 500 }
+    });
+
+    expect(config.port).toBe(6000);
+    expect(config.requestTimeoutMs).toBe(500);
+    expect(config.pagination).toEqual({ defaultLimit: 6, maxLimit: 40 });
+  });
+
+  it("should report every invalid value at once", () => {
+    // ทดสอบการรวบรวมข้อผิดพลาดทุกข้อพร้อมที่มาของค่า
+    const CONFIG_FILE = writeConfigFile({ bodyLimit: 10 });
+    const errors = configErrors({
+      env: {
+        CONFIG_FILE,
+        PORT: 'eighty',
+        NODE_ENV: 'staging',
+        REQUIRE_PRECONDITIONS: 'yes',
+        MAX_PAGE_SIZE: '500',
+        SITE_URL: 'blog.example.com',
+        ALLOWED_ORIGINS: ' , ',
+        TRUST_PROXY: '10.0.0.0/99, proxy.internal',
+        RATE_LIMIT_SEARCH_MAX: 'abc',
+        RATE_LIMIT_API_KEYS: 'alpha:500, beta:abc,gamma',
+        CACHE_CONTROL_POSTS: ' ',
+        POST_STORE: 'redis',
+        REVISION_STORE_PATH: '  ',
+        METRICS_TOKEN: '   '
+      }
+    });
+
+    expect(errors).toEqual([
+      'PORT must be an integer between 0 and 65535 (got "eighty")',
+      'NODE_ENV must be one of: development, test, production (got "staging")',
+      'ALLOWED_ORIGINS must be a non-empty comma-separated list (got [])',
+      `bodyLimit in ${CONFIG_FILE} must be a size such as 512kb or 10mb (got 10)`,
+      'TRUST_PROXY must be true, false, a number of proxy hops or a comma-separated list of proxy addresses (got ["10.0.0.0/99","proxy.internal"])',
+      `MAX_PAGE_SIZE must be an integer between 1 and ${MAX_PAGE_SIZE} (got 500)`,
+      'RATE_LIMIT_SEARCH_MAX must be an integer between 1 and 1000000 (got "abc")',
+      'RATE_LIMIT_API_KEYS must be a comma-separated list of key:max pairs with a positive max (got {"alpha":500,"beta":"abc","gamma":""})',
+      'CACHE_CONTROL_POSTS must be a non-empty header value (got "")',
+      'POST_STORE must be one of: memory, file (got "redis")',
+      'REVISION_STORE_PATH must be a non-empty file path (got "")',
+      'SITE_URL must be an http(s) URL (got "blog.example.com")',
+      'METRICS_TOKEN must be a non-empty string', // ค่าลับไม่ถูกพิมพ์ในข้อความ
+      'REQUIRE_PRECONDITIONS must be true or false (got "yes")'
+    ]);
+  });
+
+  it("should reject inconsistent page sizes and unreadable config files", () => {
+    // ทดสอบการตรวจสอบข้ามฟิลด์และไฟล์ที่ไม่ถูกต้อง
+    expect(configErrors({ env: { DEFAULT_PAGE_SIZE: '20', MAX_PAGE_SIZE: '10' } }))
+      .toEqual(['DEFAULT_PAGE_SIZE (20) cannot exceed MAX_PAGE_SIZE (10)']);
+    expect(configErrors({ env: { COMMENTS_PAGE_SIZE: '50', MAX_PAGE_SIZE: '30' } }))
+      .toEqual(['COMMENTS_PAGE_SIZE (50) cannot exceed MAX_PAGE_SIZE (30)']);
+    // ค่าเริ่มต้นที่ไม่ได้ตั้งเองลดลงมาเท่ากับ MAX_PAGE_SIZE
+    const small = loadConfig({ env: { MAX_PAGE_SIZE: '5' } });
+    expect([small.pagination.defaultLimit, small.comments.pageSize, small.feeds.pageSize]).toEqual([5, 5, 5]);
+    expect(configErrors({ env: { CONFIG_FILE: writeConfigFile('[1, 2]') } })[0]).toMatch(/must contain a JSON object$/);
+    expect(configErrors({ env: { CONFIG_FILE: '/no/such/config.json' } })[0]).toMatch(/could not be read/);
+    expect(() => loadConfig({ env: { PORT: '-1' } })).toThrow(/^Invalid configuration:\n {2}- PORT must be/);
+  });
+});
@@ -0,0 +1,40 @@
+// cursor.mjs
+// cursor สำหรับการแบ่งหน้าแบบ cursor-based (after/before)
+// cursor เป็นข้อความทึบ (opaque) ที่มีลายเซ็น HMAC จึงแก้ไขค่าข้างในไม่ได้
+import crypto from 'node:crypto';
+
+// สร้างตัวเข้ารหัส/ถอดรหัส cursor ด้วย secret ของ app (config.cursorSecret จาก CURSOR_SECRET)
+// ทุก instance ที่ใช้ secret เดียวกันใช้ cursor ร่วมกันได้ - ไม่ตั้งค่าใช้ secret สุ่ม (cursor ใช้ไม่ได้หลังรีสตาร์ท)
+export function createCursorCodec(secret) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const sign = (data) => crypto.createHmac('sha256', key).update(data).digest('base64url');
+
+  // สร้าง cursor จาก key ของโพสต์ (ค่าที่ใช้เรียงลำดับ + id) และลำดับการเรียงที่ใช้
+  function encodeCursor(key, signature) {
+    const payload = Buffer.from(JSON.stringify({ k: key, s: signature })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // ถอดรหัส cursor - คืนค่า { key, signature } หรือ null ถ้า cursor ไม่ถูกต้องหรือถูกแก้ไข
+  function decodeCursor(cursor) {
+    if (typeof cursor !== 'string') return null;
+    const [payload, signature, extra] = cursor.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const { k, s } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!Array.isArray(k) || typeof s !== 'string') return null;
+      return { key: k, signature: s };
+    } catch {
+      return null;
+    }
+  }
+
+  return { encodeCursor, decodeCursor };
+}
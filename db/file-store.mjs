@@ -0,0 +1,36 @@
+// db/file-store.mjs
+// Storage adapter แบบเก็บข้อมูลในไฟล์ JSON (ข้อมูลคงอยู่หลังรีสตาร์ท)
+import fs from "node:fs";
+import path from "node:path";
+import { createMemoryPostStore } from "./memory-store.mjs";
+
+// อ่านข้อมูลจากไฟล์ และแปลงฟิลด์ date (ถ้ามี) กลับเป็น Date
+function readPosts(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(raw)) {
+    throw new Error(`Post store file ${filePath} must contain a JSON array`);
+  }
+  return raw.map((post) => (post.date === undefined ? post : { ...post, date: new Date(post.date) }));
+}
+
+// สร้าง repository ที่อ่านข้อมูลจากไฟล์ตอนเริ่มต้น และเขียนกลับทุกครั้งที่ข้อมูลเปลี่ยน
+// ถ้ายังไม่มีไฟล์ จะสร้างจาก seed
+export function createFilePostStore({ filePath, seed = [] }) {
+  const initialPosts = fs.existsSync(filePath) ? readPosts(filePath) : seed;
+
+  // เขียนไฟล์ชั่วคราวแล้ว rename เพื่อไม่ให้ไฟล์เสียหายถ้าเขียนไม่สำเร็จ
+  // การเขียนต่อคิวกันทีละครั้ง - การเขียนที่ล้มเหลวไม่ทำให้การเขียนครั้งถัดไปล้มเหลวตาม
+  let pendingWrite = Promise.resolve();
+  const persist = (posts) => {
+    const write = pendingWrite.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(posts, null, 2));
+      await fs.promises.rename(tempPath, filePath);
+    });
+    pendingWrite = write;
+    return write;
+  };
+
+  return createMemoryPostStore(initialPosts, { onChange: persist });
+}
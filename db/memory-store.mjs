@@ -0,0 +1,78 @@
+// db/memory-store.mjs
+// Storage adapter แบบเก็บข้อมูลในหน่วยความจำ (ข้อมูลหายเมื่อรีสตาร์ท)
+
+// คัดลอกโพสต์เพื่อไม่ให้ผู้เรียกแก้ไขข้อมูลภายใน store ได้โดยตรง
+function clonePost(post) {
+  const copy = { ...post };
+  if (post.date instanceof Date) copy.date = new Date(post.date);
+  return copy;
+}
+
+// สร้าง repository ของโพสต์ที่เก็บข้อมูลใน array
+// fixtures: โพสต์เริ่มต้น, onChange: callback ที่ถูกเรียกหลังข้อมูลเปลี่ยน (ใช้โดย file store)
+export function createMemoryPostStore(fixtures = [], { onChange } = {}) {
+  const posts = fixtures.map(clonePost);
+
+  // แจ้ง onChange หลังข้อมูลเปลี่ยน - ถ้าบันทึกไม่สำเร็จ เรียก rollback เพื่อคืนข้อมูลเดิมแล้ว throw ต่อ
+  // (ผู้เรียกได้รับ error และข้อมูลในหน่วยความจำตรงกับที่บันทึกไว้)
+  const notify = async (rollback) => {
+    if (!onChange) return;
+    try {
+      await onChange(posts.map(clonePost));
+    } catch (error) {
+      rollback();
+      throw error;
+    }
+  };
+
+  return {
+    // ดึงรายการโพสต์พร้อมการกรอง (filter), เรียงลำดับ (sort) และแบ่งหน้า (offset/limit)
+    async list({ filter, sort, offset = 0, limit } = {}) {
+      let matched = filter ? posts.filter(filter) : [...posts];
+      if (sort) matched = matched.sort(sort);
+      const end = limit === undefined ? undefined : offset + limit;
+      return {
+        items: matched.slice(offset, end).map(clonePost),
+        total: matched.length
+      };
+    },
+
+    // ค้นหาโพสต์จาก ID (คืนค่า null ถ้าไม่พบ)
+    async getById(id) {
+      const post = posts.find((item) => item.id === id);
+      return post ? clonePost(post) : null;
+    },
+
+    // สร้างโพสต์ใหม่ โดยกำหนด ID ถัดไปจาก ID สูงสุดที่มีอยู่
+    async create(data) {
+      const nextId = posts.reduce((maxId, post) => Math.max(maxId, post.id), 0) + 1;
+      const post = clonePost({ ...data, id: nextId });
+      posts.push(post);
+      await notify(() => posts.splice(posts.indexOf(post), 1));
+      return clonePost(post);
+    },
+
+    // แทนที่ข้อมูลโพสต์ทั้งหมด (ยกเว้น ID) - คืนค่า null ถ้าไม่พบ
+    async update(id, data) {
+      const index = posts.findIndex((item) => item.id === id);
+      if (index === -1) return null;
+      const previous = posts[index];
+      const next = clonePost({ ...data, id });
+      posts[index] = next;
+      await notify(() => {
+        const current = posts.indexOf(next);
+        if (current !== -1) posts[current] = previous;
+      });
+      return clonePost(posts[index]);
+    },
+
+    // ลบโพสต์ - คืนค่า true ถ้าลบสำเร็จ
+    async delete(id) {
+      const index = posts.findIndex((item) => item.id === id);
+      if (index === -1) return false;
+      const [removed] = posts.splice(index, 1);
+      await notify(() => posts.splice(Math.min(index, posts.length), 0, removed));
+      return true;
+    }
+  };
+}
@@ -0,0 +1,67 @@
+// db/store.mjs
+// เลือก storage adapter ของโพสต์ หมวดหมู่ likes ความคิดเห็น และประวัติการแก้ไขตาม config.store (ดู config.mjs)
+import { blogPosts } from "./index.mjs";
+import { createMemoryPostStore } from "./memory-store.mjs";
+import { createFilePostStore } from "./file-store.mjs";
+
+export { createMemoryPostStore, createFilePostStore };
+
+// driver ที่รองรับ (POST_STORE) - ใช้ร่วมกันทุกชนิดข้อมูล
+export const STORE_DRIVERS = ['memory', 'file'];
+
+// ตำแหน่งไฟล์ JSON เริ่มต้นของข้อมูลแต่ละชนิดเมื่อใช้ driver file (POST_STORE_PATH, CATEGORY_STORE_PATH, ...)
+export const DEFAULT_STORE_PATHS = {
+  posts: './data/posts.json',
+  categories: './data/categories.json',
+  likes: './data/likes.json',
+  comments: './data/comments.json',
+  revisions: './data/revisions.json'
+};
+
+// storeConfig: { driver, paths } จาก loadConfig() - ค่าเริ่มต้นคือ memory store
+// driver memory ของโพสต์เริ่มจากข้อมูลตัวอย่างใน db/index.mjs, driver file ใช้ข้อมูลตัวอย่างเมื่อยังไม่มีไฟล์
+export function createPostStore({ driver = 'memory', paths = DEFAULT_STORE_PATHS } = {}) {
+  if (driver === 'memory') {
+    return createMemoryPostStore(blogPosts);
+  }
+
+  if (driver === 'file') {
+    return createFilePostStore({ filePath: paths.posts, seed: blogPosts });
+  }
+
+  throw new Error(`Unknown POST_STORE driver: ${driver}`);
+}
+
+// repository เริ่มต้นว่างที่ใช้ driver เดียวกับโพสต์ (ใช้กับข้อมูลอื่นที่ไม่ใช่โพสต์)
+function createRecordStore({ driver = 'memory', paths = DEFAULT_STORE_PATHS } = {}, name) {
+  if (driver === 'memory') {
+    return createMemoryPostStore([]);
+  }
+
+  if (driver === 'file') {
+    return createFilePostStore({ filePath: paths[name] });
+  }
+
+  throw new Error(`Unknown POST_STORE driver: ${driver}`);
+}
+
+// repository ของหมวดหมู่ ({ id, slug, name }) ใช้ adapter และ driver เดียวกับโพสต์
+// หมวดหมู่เริ่มต้นถูกสร้างจากโพสต์ที่มีอยู่ตอนใช้งานครั้งแรก
+export function createCategoryStore(storeConfig) {
+  return createRecordStore(storeConfig, 'categories');
+}
+
+// repository ของการกดถูกใจ ({ id, postId, liker })
+export function createLikeStore(storeConfig) {
+  return createRecordStore(storeConfig, 'likes');
+}
+
+// repository ของความคิดเห็น ({ id, postId, parentId, body, author, status, ... })
+export function createCommentStore(storeConfig) {
+  return createRecordStore(storeConfig, 'comments');
+}
+
+// repository ของประวัติการแก้ไขโพสต์ ({ id, postId, revision, snapshot, ... })
+export function createRevisionStore(storeConfig) {
+  return createRecordStore(storeConfig, 'revisions');
+}
@@ -0,0 +1,187 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createPostStore, createCategoryStore, createLikeStore, createMemoryPostStore, createFilePostStore } from "./store.mjs";
+import { blogPosts } from "./index.mjs";
+
+// ข้อมูลทดสอบที่กำหนดเอง (ไม่ขึ้นกับโพสต์ 30 รายการใน db)
+const fixtures = [
+  { id: 1, title: "First", category: "Cat", likes: 5, date: new Date("2024-01-01") },
+  { id: 2, title: "Second", category: "General", likes: 1, date: new Date("2024-02-01") },
+  { id: 3, title: "Third", category: "Cat", likes: 9, date: new Date("2024-03-01") }
+];
+
+// ทดสอบ in-memory adapter
+describe("Memory post store", () => {
+  it("should list posts with filter, sort and pagination", async () => {
+    // ทดสอบการกรอง เรียงลำดับ และแบ่งหน้า
+    const store = createMemoryPostStore(fixtures);
+    const result = await store.list({
+      filter: (post) => post.category === "Cat",
+      sort: (a, b) => b.likes - a.likes,
+      offset: 0,
+      limit: 1
+    });
+
+    expect(result.total).toBe(2);
+    expect(result.items.map((post) => post.id)).toEqual([3]);
+  });
+
+  it("should list all posts without options", async () => {
+    // ทดสอบการดึงโพสต์ทั้งหมด
+    const store = createMemoryPostStore(fixtures);
+    const result = await store.list();
+
+    expect(result.total).toBe(3);
+    expect(result.items).toHaveLength(3);
+  });
+
+  it("should create, update and delete posts", async () => {
+    // ทดสอบการสร้าง แก้ไข และลบโพสต์
+    const store = createMemoryPostStore(fixtures);
+    const created = await store.create({ title: "Fourth", date: new Date(), likes: 0 });
+    expect(created.id).toBe(4);
+
+    const updated = await store.update(4, { title: "Fourth (edited)", likes: 2 });
+    expect(updated).toMatchObject({ id: 4, title: "Fourth (edited)", likes: 2 });
+    expect(await store.update(99, { title: "Missing" })).toBeNull();
+
+    expect(await store.delete(4)).toBe(true);
+    expect(await store.delete(4)).toBe(false);
+    expect(await store.getById(4)).toBeNull();
+  });
+
+  it("should not expose internal state to callers", async () => {
+    // ทดสอบว่าการแก้ไขผลลัพธ์ไม่กระทบข้อมูลใน store หรือ fixtures
+    const store = createMemoryPostStore(fixtures);
+    const post = await store.getById(1);
+    post.title = "Mutated";
+    post.date.setFullYear(2000);
+
+    const fresh = await store.getById(1);
+    expect(fresh.title).toBe("First");
+    expect(fresh.date.getFullYear()).toBe(2024);
+    expect(fixtures[0].title).toBe("First");
+  });
+});
+
+// ทดสอบ file-backed adapter
+describe("File post store", () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "post-store-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should seed a new file and persist changes across instances", async () => {
+    // ทดสอบว่าข้อมูลยังคงอยู่เมื่อสร้าง store ใหม่จากไฟล์เดิม (จำลองการรีสตาร์ท)
+    const filePath = path.join(tempDir, "nested", "posts.json");
+    const store = createFilePostStore({ filePath, seed: fixtures });
+    await store.create({ title: "Persisted", date: new Date("2024-04-01"), likes: 0 });
+    await store.delete(2);
+
+    const reloaded = createFilePostStore({ filePath, seed: [] });
+    const { items } = await reloaded.list();
+    expect(items.map((post) => post.title)).toEqual(["First", "Third", "Persisted"]);
+    expect(items[2].date).toBeInstanceOf(Date);
+  });
+
+  it("should roll back a failed write and keep writing afterwards", async () => {
+    // ทดสอบว่าการเขียนที่ล้มเหลวคืนข้อมูลเดิม และไม่ทำให้การเขียนครั้งถัดไปล้มเหลวตาม
+    const blocker = path.join(tempDir, "nested");
+    const filePath = path.join(blocker, "posts.json");
+    fs.writeFileSync(blocker, "not a directory");
+    const store = createFilePostStore({ filePath, seed: fixtures });
+
+    await expect(store.create({ title: "Lost", likes: 0 })).rejects.toThrow();
+    await expect(store.update(1, { title: "Lost edit" })).rejects.toThrow();
+    await expect(store.delete(2)).rejects.toThrow();
+    const { items } = await store.list();
+    expect(items.map((post) => post.title)).toEqual(["First", "Second", "Third"]);
+
+    fs.rmSync(blocker);
+    const created = await store.create({ title: "Saved", likes: 0 });
+    expect(created.id).toBe(4);
+    const saved = createFilePostStore({ filePath });
+    expect((await saved.list()).items.map((post) => post.title)).toEqual(["First", "Second", "Third", "Saved"]);
+  });
+
+  it("should reject a file that is not a JSON array", () => {
+    // ทดสอบกรณีไฟล์มีรูปแบบไม่ถูกต้อง
+    const filePath = path.join(tempDir, "posts.json");
+    fs.writeFileSync(filePath, JSON.stringify({ posts: [] }));
+
+    expect(() => createFilePostStore({ filePath })).toThrow("must contain a JSON array");
+  });
+});
+
+// ทดสอบการเลือก adapter จาก config.store (POST_STORE และ *_STORE_PATH)
+describe("createPostStore", () => {
+  it("should default to the memory store seeded with the fixtures", async () => {
+    // ทดสอบค่าเริ่มต้นเป็น memory store
+    const store = createPostStore();
+    const { total } = await store.list();
+
+    expect(total).toBe(blogPosts.length);
+  });
+
+  it("should create a file store for the file driver", async () => {
+    // ทดสอบการเลือก file store
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "post-store-"));
+    const filePath = path.join(tempDir, "posts.json");
+    const store = createPostStore({ driver: "file", paths: { posts: filePath } });
+    await store.delete(1);
+
+    expect(fs.existsSync(filePath)).toBe(true);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should reject unknown drivers", () => {
+    // ทดสอบกรณีระบุ driver ที่ไม่รู้จัก
+    expect(() => createPostStore({ driver: "redis" })).toThrow("Unknown POST_STORE driver: redis");
+  });
+});
+
+// ทดสอบการเลือก adapter ของหมวดหมู่
+describe("createCategoryStore", () => {
+  it("should start empty in memory mode", async () => {
+    // ทดสอบว่า memory store ของหมวดหมู่เริ่มต้นว่าง (สร้างจากโพสต์ตอนใช้งาน)
+    const { total } = await createCategoryStore().list();
+    expect(total).toBe(0);
+  });
+
+  it("should persist categories without date fields in file mode", async () => {
+    // ทดสอบว่าข้อมูลที่ไม่มี date ไม่ถูกแปลงเป็น Invalid Date ตอนอ่านไฟล์
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "category-store-"));
+    const storeConfig = { driver: "file", paths: { categories: path.join(tempDir, "categories.json") } };
+    await createCategoryStore(storeConfig).create({ slug: "cat", name: "Cat" });
+
+    const { items } = await createCategoryStore(storeConfig).list();
+    expect(items).toEqual([{ id: 1, slug: "cat", name: "Cat" }]);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("should reject unknown drivers", () => {
+    // ทดสอบกรณีระบุ driver ที่ไม่รู้จัก
+    expect(() => createCategoryStore({ driver: "redis" })).toThrow("Unknown POST_STORE driver: redis");
+  });
+});
+
+// ทดสอบการเลือก adapter ของ likes
+describe("createLikeStore", () => {
+  it("should persist likes in file mode", async () => {
+    // ทดสอบว่า likes ถูกเก็บในไฟล์ที่กำหนดด้วย paths.likes (LIKE_STORE_PATH)
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "like-store-"));
+    const storeConfig = { driver: "file", paths: { likes: path.join(tempDir, "likes.json") } };
+    await createLikeStore(storeConfig).create({ postId: 1, liker: "user:1" });
+
+    const { items } = await createLikeStore(storeConfig).list();
+    expect(items).toEqual([{ id: 1, postId: 1, liker: "user:1" }]);
+    expect((await createLikeStore().list()).total).toBe(0);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,152 @@
+// feeds.mjs
+// สร้าง feed ของโพสต์ในรูปแบบ RSS 2.0, Atom 1.0 และ JSON Feed 1.1
+import { renderMarkdown } from "./markdown.mjs";
+
+// จำนวนโพสต์ใน feed เมื่อไม่ระบุ ?limit (FEED_PAGE_SIZE)
+export const DEFAULT_FEED_SIZE = 20;
+
+// Content-Type ของแต่ละรูปแบบ
+export const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+// ชนิดไฟล์ภาพจากนามสกุล (ใช้กับ enclosure) - ไม่รู้จัก = image/jpeg
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+const imageType = (url) => {
+  const extension = String(url).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+// escape อักขระพิเศษของ XML
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// แปลงโพสต์เป็นข้อมูลกลางของ feed (ใช้ร่วมกันทุกรูปแบบ)
+function toEntry(post, siteUrl) {
+  return {
+    id: post.id,
+    url: `${siteUrl}/posts/${post.id}`,
+    title: post.title,
+    summary: post.description,
+    contentHtml: renderMarkdown(post.content).html,
+    author: post.author,
+    category: post.category,
+    image: post.image,
+    date: new Date(post.date),
+    updated: new Date(post.updatedAt || post.date) // โพสต์เดิมที่ยังไม่เคยแก้ไขใช้ date
+  };
+}
+
+// ข้อมูลของ feed: { title, description, siteUrl, feedUrl, updated } และโพสต์ที่เรียงจากใหม่ไปเก่าแล้ว
+// เวลาของ feed คือเวลาแก้ไขล่าสุดของโพสต์ - feed ว่างใช้ feed.updated (ค่าคงที่ เพื่อให้ ETag ไม่เปลี่ยนทุก request)
+function prepare(feed, posts) {
+  const entries = posts.map((post) => toEntry(post, feed.siteUrl));
+  const updated = entries.length > 0
+    ? new Date(Math.max(...entries.map((entry) => entry.updated.getTime())))
+    : feed.updated;
+  return { entries, updated };
+}
+
+// RSS 2.0 - ผู้เขียนใช้ dc:creator เพราะ <author> ของ RSS ต้องเป็นอีเมล
+export function renderRss(feed, posts) {
+  const { entries, updated } = prepare(feed, posts);
+  const items = entries.map((entry) => [
+    '    <item>',
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(entry.url)}</guid>`,
+    `      <description>${escapeXml(entry.summary)}</description>`,
+    `      <content:encoded>${escapeXml(entry.contentHtml)}</content:encoded>`,
+    `      <dc:creator>${escapeXml(entry.author)}</dc:creator>`,
+    `      <category>${escapeXml(entry.category)}</category>`,
+    `      <pubDate>${entry.date.toUTCString()}</pubDate>`,
+    entry.image ? `      <enclosure url="${escapeXml(entry.image)}" type="${imageType(entry.image)}" length="0"/>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.siteUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    updated ? `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter((line) => line !== null).join('\n');
+}
+
+// Atom 1.0
+export function renderAtom(feed, posts) {
+  const { entries, updated } = prepare(feed, posts);
+  const items = entries.map((entry) => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.url)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(entry.url)}"/>`,
+    entry.image ? `    <link rel="enclosure" type="${imageType(entry.image)}" href="${escapeXml(entry.image)}"/>` : null,
+    `    <published>${entry.date.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    `    <author><name>${escapeXml(entry.author)}</name></author>`,
+    `    <category term="${escapeXml(entry.category)}"/>`,
+    `    <summary>${escapeXml(entry.summary)}</summary>`,
+    `    <content type="html">${escapeXml(entry.contentHtml)}</content>`,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <updated>${(updated || new Date(0)).toISOString()}</updated>`, // Atom บังคับให้มี <updated>
+    ...items,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+export function renderJsonFeed(feed, posts) {
+  const { entries } = prepare(feed, posts);
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    items: entries.map((entry) => ({
+      id: entry.url,
+      url: entry.url,
+      title: entry.title,
+      summary: entry.summary,
+      content_html: entry.contentHtml,
+      ...(entry.image ? { image: entry.image } : {}),
+      date_published: entry.date.toISOString(),
+      date_modified: entry.updated.toISOString(),
+      authors: [{ name: entry.author }],
+      tags: [entry.category]
+    }))
+  };
+}
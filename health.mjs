@@ -0,0 +1,94 @@
+// health.mjs
+// liveness (/health/live) และ readiness (/health/ready) probes พร้อมข้อมูล build ของ service
+// readiness ตรวจ dependencies ที่ลงทะเบียนไว้ (เช่น data store) และเป็น false ระหว่าง shutdown
+import fs from 'node:fs';
+
+const packageJson = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+// ข้อมูล build: version จาก package.json (แทนได้ด้วย BUILD_VERSION), commit จาก BUILD_COMMIT
+// และ revision ของ Cloud Run (K_REVISION) ถ้ามี
+export function getBuildInfo(env = process.env) {
+  return {
+    version: env.BUILD_VERSION || packageJson.version,
+    ...(env.BUILD_COMMIT ? { commit: env.BUILD_COMMIT } : {}),
+    ...(env.K_REVISION ? { revision: env.K_REVISION } : {})
+  };
+}
+
+// เวลาสูงสุดของการตรวจแต่ละรายการ (ตั้งค่าได้ผ่าน HEALTH_CHECK_TIMEOUT_MS)
+export const DEFAULT_CHECK_TIMEOUT_MS = 2000;
+
+// รัน check หนึ่งรายการพร้อม timeout - คืนค่า { status: 'pass' | 'fail', latencyMs, error? }
+async function runCheck(check, timeoutMs) {
+  const startedAt = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      Promise.resolve().then(check),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { status: 'pass', latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6 };
+  } catch (error) {
+    return { status: 'fail', latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// สร้างชุด health checks ของ app - check คือฟังก์ชัน async ที่ throw เมื่อ dependency ใช้งานไม่ได้
+// clock: คืนค่าเวลาปัจจุบันสำหรับ timestamp ของ response
+export function createHealthChecks({
+  timeoutMs = DEFAULT_CHECK_TIMEOUT_MS,
+  buildInfo = getBuildInfo(),
+  clock = () => new Date()
+} = {}) {
+  const checks = new Map();
+  let shuttingDown = false;
+
+  const snapshot = () => ({
+    timestamp: clock().toISOString(),
+    uptime: process.uptime(),
+    ...buildInfo
+  });
+
+  return {
+    // ลงทะเบียน dependency ที่ readiness ต้องตรวจ
+    register(name, check) {
+      checks.set(name, check);
+    },
+
+    // เรียกเมื่อเริ่ม shutdown - readiness ตอบ 503 เพื่อไม่ให้ load balancer ส่ง request ใหม่มา
+    startShutdown() {
+      shuttingDown = true;
+    },
+
+    get shuttingDown() {
+      return shuttingDown;
+    },
+
+    // process ยังทำงานอยู่ (ไม่ตรวจ dependencies เพื่อไม่ให้ถูกรีสตาร์ทเพราะ dependency ล่ม)
+    live(req, res) {
+      res.set('Cache-Control', 'no-store');
+      res.json({ status: 'alive', ...snapshot() });
+    },
+
+    // พร้อมรับ request: ทุก check ผ่านและยังไม่อยู่ระหว่าง shutdown
+    async ready(req, res) {
+      const results = {};
+      await Promise.all([...checks].map(async ([name, check]) => {
+        results[name] = await runCheck(check, timeoutMs);
+      }));
+      const failed = Object.values(results).some((result) => result.status === 'fail');
+      let status = 'ready';
+      if (shuttingDown) status = 'shutting_down';
+      else if (failed) status = 'not_ready';
+
+      res.set('Cache-Control', 'no-store');
+      res.status(status === 'ready' ? 200 : 503).json({ status, ...snapshot(), checks: results });
+    },
+
+    snapshot
+  };
+}
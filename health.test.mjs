@@ -0,0 +1,72 @@
+import request from "supertest";
+import express from "express";
+import { createHealthChecks, getBuildInfo } from "./health.mjs";
+
+// app ขนาดเล็กที่มี probes จากชุด health checks ที่กำหนด
+const createProbeApp = (health) => {
+  const probeApp = express();
+  probeApp.get("/live", health.live);
+  probeApp.get("/ready", health.ready);
+  return probeApp;
+};
+
+describe("getBuildInfo", () => {
+  it("should read the version from package.json unless overridden", () => {
+    // ทดสอบที่มาของ version และข้อมูล build เพิ่มเติม
+    expect(getBuildInfo({})).toEqual({ version: "1.0.0" });
+    expect(getBuildInfo({ BUILD_VERSION: "2.3.4", BUILD_COMMIT: "abc123", K_REVISION: "blog-00042" }))
+      .toEqual({ version: "2.3.4", commit: "abc123", revision: "blog-00042" });
+  });
+});
+
+describe("createHealthChecks", () => {
+  it("should report each check with its status and latency", async () => {
+    // ทดสอบ readiness เมื่อ dependency หนึ่งล้มเหลว
+    const health = createHealthChecks({ buildInfo: { version: "9.9.9" } });
+    health.register('store', async () => {});
+    health.register('cache', async () => {
+      throw new Error('connection refused');
+    });
+    const res = await request(createProbeApp(health)).get("/ready");
+
+    expect(res.statusCode).toBe(503);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body).toMatchObject({
+      status: "not_ready",
+      version: "9.9.9",
+      checks: {
+        store: { status: "pass", latencyMs: expect.any(Number) },
+        cache: { status: "fail", error: "connection refused" }
+      }
+    });
+  });
+
+  it("should fail checks that exceed the timeout", async () => {
+    // ทดสอบ check ที่ค้างนานเกินเวลาที่กำหนด
+    const health = createHealthChecks({ timeoutMs: 20 });
+    health.register('slow', () => new Promise((resolve) => setTimeout(resolve, 200)));
+    const res = await request(createProbeApp(health)).get("/ready");
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.checks.slow).toMatchObject({ status: "fail", error: "Timed out after 20ms" });
+  });
+
+  it("should stay live but stop being ready during shutdown", async () => {
+    // ทดสอบว่า liveness ไม่ขึ้นกับ shutdown แต่ readiness เป็น false
+    const health = createHealthChecks();
+    health.register('store', async () => {});
+    const probeApp = createProbeApp(health);
+    const before = await request(probeApp).get("/ready");
+    health.startShutdown();
+    const after = await request(probeApp).get("/ready");
+    const live = await request(probeApp).get("/live");
+
+    expect(before.statusCode).toBe(200);
+    expect(before.body.status).toBe("ready");
+    expect(health.shuttingDown).toBe(true);
+    expect(after.statusCode).toBe(503);
+    expect(after.body.status).toBe("shutting_down");
+    expect(live.statusCode).toBe(200);
+    expect(live.body.status).toBe("alive");
+  });
+});
@@ -0,0 +1,46 @@
+// http-cache.mjs
+// HTTP caching: strong ETag, Last-Modified, Cache-Control ต่อ route และ conditional GET (304 Not Modified)
+// รวมถึง If-Match สำหรับป้องกันการเขียนทับกันเมื่อแก้ไขพร้อมกัน (optimistic concurrency)
+import crypto from 'node:crypto';
+
+// Cache-Control เริ่มต้นของแต่ละกลุ่ม route - แทนได้ด้วย CACHE_CONTROL_<ROUTE> (ดู config.mjs)
+// post เป็น private เพราะมี likedByMe ซึ่งขึ้นกับผู้เรียก
+export const CACHE_CONTROL_DEFAULTS = {
+  posts: 'public, max-age=60',
+  post: 'private, no-cache',
+  feeds: 'public, max-age=300'
+};
+
+// strong ETag จาก hash ของเนื้อหาที่ส่งจริง (เนื้อหาเหมือนกันทุก byte = ETag เดียวกัน)
+// ถ้าระบุ version จะขึ้นต้นด้วย v<version>- เพื่อให้ใช้ ETag เดียวกันนี้กับ If-Match ได้
+export function createEtag(payload, version) {
+  const hash = crypto.createHash('sha256').update(payload).digest('base64url');
+  return version === undefined ? `"${hash}"` : `"v${version}-${hash}"`;
+}
+
+// ตรวจ If-Match กับ version ปัจจุบันของ resource
+// รับได้ทั้ง ETag จาก GET ("v3-<hash>"), "v3" หรือเลข version ("3") และ * (resource ใดก็ได้ที่มีอยู่)
+// เทียบเฉพาะ version เพราะ hash ขึ้นกับรูปแบบที่ขอ (fields, format) และ likes ที่ไม่ใช่การแก้ไขเนื้อหา
+// weak ETag (W/...) ไม่ตรงกับอะไรเลย เพราะ If-Match ต้องเทียบแบบ strong
+export function ifMatchSatisfied(header, version) {
+  return header.split(',').map((tag) => tag.trim()).some((tag) => {
+    if (tag === '*') return true;
+    const match = /^"?v?(\d+)(?:-[A-Za-z0-9_-]+)?"?$/.exec(tag);
+    return match !== null && Number(match[1]) === version;
+  });
+}
+
+// ส่ง response พร้อม ETag, Last-Modified (ถ้ามี) และ Cache-Control
+// Express ตอบ 304 ให้เองเมื่อ If-None-Match หรือ If-Modified-Since ตรงกับ validators (req.fresh)
+// body เป็น object (ส่งเป็น JSON) หรือข้อความที่กำหนด Content-Type ไว้แล้ว, version ใช้กับ resource ที่แก้ไขได้ (ดู createEtag)
+export function sendCacheable(req, res, body, { cacheControl, lastModified, version } = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  if (typeof body !== 'string') res.type('json');
+
+  res.set('ETag', createEtag(payload, version));
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  // response ที่ขึ้นกับผู้ใช้ที่ล็อกอิน (เช่นเห็น draft) ต้องไม่ถูกเก็บใน shared cache
+  res.set('Cache-Control', req.headers.authorization ? 'private, no-cache' : cacheControl);
+  res.vary('Authorization');
+  return res.send(payload);
+}
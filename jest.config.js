@@ -5,6 +5,28 @@ export default {
   collectCoverage: true,
   collectCoverageFrom: [
     "app.mjs",
+    "post-validation.mjs",
+    "auth-middleware.mjs",
+    "security-middleware.mjs",
+    "search.mjs",
+    "post-query.mjs",
+    "cursor.mjs",
+    "categories.mjs",
+    "markdown.mjs",
+    "likes.mjs",
+    "comments.mjs",
+    "pagination.mjs",
+    "post-workflow.mjs",
+    "revisions.mjs",
+    "feeds.mjs",
+    "http-cache.mjs",
+    "openapi.mjs",
+    "problem-details.mjs",
+    "logger.mjs",
+    "metrics.mjs",
+    "health.mjs",
+    "shutdown.mjs",
+    "config.mjs",
     "db/**/*.mjs",
     "!**/node_modules/**",
     "!**/coverage/**"
@@ -26,6 +48,7 @@ export default {
   },
   verbose: true,
   testTimeout: 10000,
+  setupFiles: ["<rootDir>/jest.setup.mjs"],
   setupFilesAfterEnv: [],
   moduleFileExtensions: ["mjs", "js", "json"],
   testPathIgnorePatterns: [
@@ -0,0 +1,10 @@
+// jest.setup.mjs
+// ตั้งค่า environment variables ก่อนโหลด app ในการทดสอบ
+// เพิ่ม rate limit ให้สูงพอสำหรับจำนวน request ทั้งหมดในชุดทดสอบ (ทดสอบ limit จริงด้วย limiter แยก)
+process.env.RATE_LIMIT_SEARCH_MAX = '10000';
+process.env.RATE_LIMIT_READ_MAX = '10000';
+process.env.RATE_LIMIT_WRITE_MAX = '10000';
+// ตรวจสอบทุก response กับเอกสาร OpenAPI - response ที่ไม่ตรงกับเอกสารจะกลายเป็น 500 และทำให้การทดสอบล้มเหลว
+process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
+// ไม่พิมพ์ log แบบ JSON ระหว่างการทดสอบ (ทดสอบ logger ด้วย logger แยกที่เก็บบรรทัดไว้ตรวจสอบ)
+process.env.LOG_LEVEL = 'silent';
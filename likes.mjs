@@ -0,0 +1,101 @@
+// likes.mjs
+// การกดถูกใจโพสต์ (like/unlike) - หนึ่งครั้งต่อผู้ใช้ที่ล็อกอิน หรือต่อ fingerprint ของผู้ใช้ anonymous
+import crypto from 'node:crypto';
+
+// ระบุตัวผู้กดถูกใจ: ผู้ใช้ที่ล็อกอินใช้ user id, anonymous ใช้ hash ของ IP + User-Agent
+// (เก็บเฉพาะ hash เพื่อไม่ให้ store มี IP address ของผู้ใช้)
+export function likerKeyFor(req) {
+  if (req.user) return `user:${req.user.id}`;
+  const fingerprint = crypto.createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+  return `anon:${fingerprint}`;
+}
+
+// การแก้ไขที่คาดหวัง version หนึ่งแต่โพสต์ถูกแก้ไขไปแล้ว (If-Match ไม่ตรง ณ เวลาที่เขียน)
+export class VersionConflictError extends Error {
+  constructor(currentVersion) {
+    super(`The post has been modified since it was retrieved (current version ${currentVersion})`);
+    this.name = 'VersionConflictError';
+    this.currentVersion = currentVersion;
+  }
+}
+
+// สร้างบริการ like ที่เชื่อมกับ post store
+// likeStore เก็บ { id, postId, liker }, onPostChanged: callback เมื่อจำนวน likes ของโพสต์เปลี่ยน
+// clock: คืนค่าเวลาปัจจุบัน (ใช้กับ updatedAt ของโพสต์)
+export function createLikeService({ likeStore, postStore, clock = () => new Date(), onPostChanged = async () => {} }) {
+  // คิวของแต่ละโพสต์ - ทำงานทีละคำขอ เพื่อให้การอ่านและเพิ่ม/ลดตัวนับไม่ทับกัน
+  const queues = new Map();
+  const exclusive = (postId, task) => {
+    const previous = queues.get(postId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    queues.set(postId, current);
+    current.catch(() => {}).finally(() => {
+      if (queues.get(postId) === current) queues.delete(postId);
+    });
+    return current;
+  };
+
+  const findLike = async (postId, liker) => {
+    const { items } = await likeStore.list({
+      filter: (like) => like.postId === postId && like.liker === liker,
+      limit: 1
+    });
+    return items[0] || null;
+  };
+
+  // เปลี่ยนสถานะ like ของผู้ใช้ - ถ้าสถานะตรงกับที่ต้องการอยู่แล้วจะไม่เปลี่ยนตัวนับ (idempotent)
+  // คืนค่า { id, likes, likedByMe } หรือ null ถ้าไม่พบโพสต์
+  const setLiked = (postId, liker, liked) => exclusive(postId, async () => {
+    const post = await postStore.getById(postId);
+    if (!post) return null;
+
+    const existing = await findLike(postId, liker);
+    if (Boolean(existing) === liked) {
+      return { id: postId, likes: post.likes, likedByMe: liked };
+    }
+
+    if (liked) {
+      await likeStore.create({ postId, liker });
+    } else {
+      await likeStore.delete(existing.id);
+    }
+    const likes = Math.max(0, post.likes + (liked ? 1 : -1));
+    const updated = await postStore.update(postId, { ...post, likes, updatedAt: clock() });
+    await onPostChanged(updated);
+    return { id: postId, likes: updated.likes, likedByMe: liked };
+  });
+
+  return {
+    like: (postId, liker) => setLiked(postId, liker, true),
+    unlike: (postId, liker) => setLiked(postId, liker, false),
+
+    // บันทึกการแก้ไขโพสต์ในคิวเดียวกับ like/unlike โดยคงตัวนับ likes ที่เก็บอยู่
+    // (ค่า likes ใน data ถูกละไว้ - การแก้ไขที่อ่านโพสต์ก่อน like ครั้งล่าสุดจึงไม่ทับตัวนับ)
+    // version ใหม่นับต่อจากโพสต์ที่เก็บอยู่ และ expectedVersion (จาก If-Match) ตรวจในคิวเดียวกับการเขียน
+    // จึงไม่มีการแก้ไขอื่นแทรกระหว่างการตรวจและการเขียน - ไม่ตรงจะ throw VersionConflictError
+    updatePost: (postId, data, { expectedVersion } = {}) => exclusive(postId, async () => {
+      const stored = await postStore.getById(postId);
+      if (!stored) return null;
+      const version = stored.version || 1;
+      if (expectedVersion !== undefined && version !== expectedVersion) {
+        throw new VersionConflictError(version);
+      }
+      return postStore.update(postId, { ...data, likes: stored.likes, version: version + 1 });
+    }),
+
+    // ผู้ใช้คนนี้กดถูกใจโพสต์แล้วหรือยัง
+    async hasLiked(postId, liker) {
+      return Boolean(await findLike(postId, liker));
+    },
+
+    // ลบ like ทั้งหมดของโพสต์ (ใช้เมื่อโพสต์ถูกลบ)
+    removeAll: (postId) => exclusive(postId, async () => {
+      const { items } = await likeStore.list({ filter: (like) => like.postId === postId });
+      for (const like of items) {
+        await likeStore.delete(like.id);
+      }
+    })
+  };
+}
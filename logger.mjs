@@ -0,0 +1,114 @@
+// logger.mjs
+// structured logging: ทุกบรรทัดเป็น JSON หนึ่งบรรทัด (Cloud Run / Cloud Logging อ่าน severity และ message ได้เอง)
+// พร้อม access log ของทุก request และ X-Request-Id สำหรับติดตาม request เดียวกันข้าม log
+import crypto from 'node:crypto';
+
+// ระดับของ log (ค่ามากกว่า = สำคัญกว่า) - silent ปิด log ทั้งหมด
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// ชื่อ severity ของ Cloud Logging ของแต่ละระดับ
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+// headers ที่ไม่บันทึกค่าลง log โดยค่าเริ่มต้น
+export const DEFAULT_REDACTED_HEADERS = ['authorization', 'cookie', 'set-cookie', 'x-api-key', 'proxy-authorization'];
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// X-Request-Id ที่รับต่อจาก client หรือ proxy ได้ (ค่าอื่นถูกแทนด้วย ID ใหม่ เพื่อป้องกันการปลอมบรรทัด log)
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Error แปลงเป็น JSON ไม่ได้โดยตรง จึงเก็บเฉพาะชื่อ ข้อความ และ stack
+const serialize = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, stack: value.stack }
+  : value);
+
+// สร้าง logger - write รับข้อความหนึ่งบรรทัด (ค่าเริ่มต้นเขียนลง stdout), fields ติดไปกับทุกบรรทัด
+export function createLogger({ level = 'info', write = (line) => process.stdout.write(`${line}\n`), fields = {} } = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const log = (name) => (message, extra = {}) => {
+    if (LOG_LEVELS[name] < threshold) return;
+    const entry = { severity: SEVERITIES[name], time: new Date().toISOString(), message, ...fields };
+    Object.entries(extra).forEach(([key, value]) => {
+      entry[key] = serialize(value);
+    });
+    write(JSON.stringify(entry));
+  };
+
+  return {
+    level,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // logger ที่เพิ่ม fields ให้ทุกบรรทัด (เช่น requestId ของ request หนึ่ง)
+    child: (childFields) => createLogger({ level, write, fields: { ...fields, ...childFields } })
+  };
+}
+
+// logger ระดับ info สำหรับโค้ดที่ยังไม่มี config (เช่นตอนรายงาน ConfigError)
+// ระดับ log ที่ตั้งค่าไว้ (LOG_LEVEL หรือ CONFIG_FILE) ใช้กับ logger ที่ server.mjs และ createApp สร้างจาก config
+export const logger = createLogger();
+
+// logger ของ request (มี requestId), logger ของ app (app.locals.logger) หรือ logger เริ่มต้น
+export const loggerFor = (req) => (req && (req.log || (req.app && req.app.locals.logger))) || logger;
+
+// คัดลอก headers โดยแทนค่าของ headers ที่ต้องปกปิด (ชื่อ header ไม่สนตัวพิมพ์เล็ก/ใหญ่ทั้งสองฝั่ง)
+export function redactHeaders(headers, redacted = DEFAULT_REDACTED_HEADERS) {
+  const names = new Set(redacted.map((name) => name.toLowerCase()));
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => (
+    [name, names.has(name.toLowerCase()) ? '[REDACTED]' : value]
+  )));
+}
+
+// middleware ที่กำหนด X-Request-Id (รับต่อหรือสร้างใหม่), ตั้ง req.log และบันทึก access log เมื่อ response จบ
+// routeOf(req) คืนค่า route template (เช่น /posts/{id}) - ไม่บันทึก URL จริงเป็น route เพื่อให้จัดกลุ่มได้
+export function createRequestLogger({
+  logger: baseLogger = logger,
+  redactHeaders: redactList = DEFAULT_REDACTED_HEADERS,
+  routeOf = () => null
+} = {}) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+    // route template ต้องหาตอนเริ่ม request เพราะ router ย่อยเปลี่ยน req.path ระหว่างทาง
+    const template = routeOf(req);
+
+    req.id = requestId;
+    req.log = baseLogger.child({ requestId });
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+
+    const writeAccessLog = (completed) => {
+      const status = completed ? res.statusCode : null;
+      const entry = {
+        method: req.method,
+        route: template || (req.route ? `${req.baseUrl}${req.route.path}` : null),
+        path: req.originalUrl.split('?')[0],
+        status,
+        latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        bytes: Number(res.getHeader('Content-Length')) || 0,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        headers: redactHeaders(req.headers, redactList)
+      };
+      // request ที่ client ตัดการเชื่อมต่อก่อนจบและ 5xx เป็น error, 4xx เป็น warn
+      if (!completed) return req.log.error('request aborted', entry);
+      if (status >= 500) return req.log.error('request failed', entry);
+      if (status >= 400) return req.log.warn('request completed', entry);
+      return req.log.info('request completed', entry);
+    };
+
+    res.on('finish', () => writeAccessLog(true));
+    res.on('close', () => {
+      if (!res.writableFinished) writeAccessLog(false);
+    });
+    next();
+  };
+}
@@ -0,0 +1,123 @@
+import request from "supertest";
+import express from "express";
+import {
+  createLogger,
+  createRequestLogger,
+  redactHeaders,
+  DEFAULT_REDACTED_HEADERS
+} from "./logger.mjs";
+
+// logger ที่เก็บบรรทัด log ไว้ตรวจสอบแทนการเขียนลง stdout
+const captureLogger = (level = 'debug') => {
+  const lines = [];
+  const logger = createLogger({ level, write: (line) => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+};
+
+describe("createLogger", () => {
+  it("should write one JSON line per entry with severity and fields", () => {
+    // ทดสอบรูปแบบของบรรทัด log
+    const { logger, lines } = captureLogger();
+    logger.child({ requestId: "abc" }).warn("Slow query", { durationMs: 1200 });
+
+    expect(lines).toEqual([{
+      severity: "WARNING",
+      time: expect.any(String),
+      message: "Slow query",
+      requestId: "abc",
+      durationMs: 1200
+    }]);
+  });
+
+  it("should drop entries below the configured level", () => {
+    // ทดสอบการกรองตามระดับ log
+    const { logger, lines } = captureLogger('warn');
+    logger.debug("debug");
+    logger.info("info");
+    logger.error("error");
+
+    expect(lines.map((line) => line.message)).toEqual(["error"]);
+  });
+
+  it("should serialize errors with their stack", () => {
+    // ทดสอบการแปลง Error เป็น JSON
+    const { logger, lines } = captureLogger();
+    logger.error("Failed", { error: new TypeError("boom") });
+
+    expect(lines[0].error).toMatchObject({ name: "TypeError", message: "boom" });
+    expect(lines[0].error.stack).toContain("TypeError: boom");
+  });
+
+  it("should redact the default sensitive headers", () => {
+    // ทดสอบรายการ headers ที่ปกปิดโดยค่าเริ่มต้น
+    expect(DEFAULT_REDACTED_HEADERS).toContain('authorization');
+    expect(redactHeaders({ Authorization: 'Bearer x', accept: 'text/html' }))
+      .toEqual({ Authorization: '[REDACTED]', accept: 'text/html' });
+  });
+});
+
+describe("createRequestLogger", () => {
+  // app ขนาดเล็กที่มี request logger เป็น middleware แรก
+  const createTestApp = (options) => {
+    const testApp = express();
+    testApp.use(createRequestLogger(options));
+    testApp.get("/items/:id", (req, res) => {
+      req.log.info("Loading item");
+      res.json({ id: req.params.id, requestId: req.id });
+    });
+    testApp.get("/broken", (req, res) => res.status(500).json({ failed: true }));
+    return testApp;
+  };
+
+  it("should generate a request ID and write an access log", async () => {
+    // ทดสอบ X-Request-Id ที่สร้างใหม่และข้อมูลใน access log
+    const { logger, lines } = captureLogger();
+    const res = await request(createTestApp({ logger, routeOf: () => '/items/{id}' }))
+      .get("/items/7?verbose=1")
+      .set('Authorization', 'Bearer secret-token')
+      .set('User-Agent', 'log-test');
+
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.requestId).toBe(requestId);
+    expect(lines.map((line) => line.message)).toEqual(["Loading item", "request completed"]);
+    expect(lines.every((line) => line.requestId === requestId)).toBe(true); // ทุกบรรทัดของ request มี ID เดียวกัน
+    expect(lines[1]).toMatchObject({
+      severity: "INFO",
+      method: "GET",
+      route: "/items/{id}",
+      path: "/items/7",
+      status: 200,
+      bytes: Number(res.headers['content-length']),
+      ip: expect.any(String),
+      userAgent: "log-test"
+    });
+    expect(lines[1].latencyMs).toBeGreaterThanOrEqual(0);
+    expect(lines[1].headers.authorization).toBe('[REDACTED]'); // token ไม่ถูกบันทึก
+  });
+
+  it("should propagate valid incoming request IDs only", async () => {
+    // ทดสอบการรับ X-Request-Id ต่อจาก proxy และการแทนค่าที่ไม่ปลอดภัย
+    const { logger } = captureLogger();
+    const testApp = createTestApp({ logger });
+    const propagated = await request(testApp).get("/items/1").set('X-Request-Id', 'trace-123:abc');
+    const replaced = await request(testApp).get("/items/1").set('X-Request-Id', 'bad id\twith spaces');
+
+    expect(propagated.headers['x-request-id']).toBe('trace-123:abc');
+    expect(replaced.headers['x-request-id']).not.toBe('bad id\twith spaces');
+  });
+
+  it("should fall back to the Express route and log server errors as errors", async () => {
+    // ทดสอบ route จาก Express เมื่อไม่มี routeOf และระดับ log ของ 5xx
+    const { logger, lines } = captureLogger();
+    const testApp = createTestApp({ logger, redactHeaders: ['User-Agent', 'X-Api-Key'] });
+    await request(testApp).get("/items/3").set('User-Agent', 'hidden').set('X-API-KEY', 'secret-key');
+    await request(testApp).get("/broken");
+
+    expect(lines[1]).toMatchObject({
+      route: "/items/:id",
+      headers: { 'user-agent': '[REDACTED]', 'x-api-key': '[REDACTED]' }
+    });
+    expect(lines[2]).toMatchObject({ severity: "ERROR", message: "request failed", status: 500 });
+  });
+});
@@ -0,0 +1,56 @@
+// markdown.mjs
+// แปลงเนื้อหา Markdown ของโพสต์เป็น HTML ที่ปลอดภัย พร้อมสารบัญ (table of contents) และเวลาในการอ่าน
+import MarkdownIt from "markdown-it";
+import { slugify } from "./categories.mjs";
+
+// ความเร็วในการอ่านเฉลี่ย (คำต่อนาที) สำหรับประมาณเวลาในการอ่าน
+export const WORDS_PER_MINUTE = 200;
+
+// html: false = escape HTML ที่เขียนมาใน Markdown ทั้งหมด (ป้องกัน XSS โดยค่าเริ่มต้น)
+// markdown-it ยังตรวจสอบลิงก์และรูปภาพ และปฏิเสธ javascript:, vbscript: และ data: ที่ไม่ใช่รูปภาพ
+const markdown = new MarkdownIt({ html: false, linkify: true, typographer: false });
+
+// ลิงก์ภายนอกเปิดโดยไม่ส่ง referrer และไม่ให้หน้าใหม่เข้าถึง window.opener
+const defaultLinkOpen = markdown.renderer.rules.link_open
+  || ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+markdown.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  tokens[idx].attrSet('rel', 'nofollow noopener noreferrer');
+  return defaultLinkOpen(tokens, idx, options, env, self);
+};
+
+// ประมาณเวลาในการอ่าน (นาที) จากจำนวนคำ - อย่างน้อย 1 นาที
+export function estimateReadingTime(text) {
+  const words = (String(text).match(/[\p{L}\p{N}']+/gu) || []).length;
+  return Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+}
+
+// แปลง Markdown เป็น { html, toc, readingTimeMinutes }
+// หัวข้อทุกระดับได้รับ id (anchor) ที่ไม่ซ้ำกัน และถูกรวบรวมเป็นสารบัญ
+export function renderMarkdown(source) {
+  const text = typeof source === 'string' ? source : '';
+  const tokens = markdown.parse(text, {});
+  const toc = [];
+  const usedIds = new Map();
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const headingText = tokens[index + 1].children
+      .filter((child) => child.type === 'text' || child.type === 'code_inline')
+      .map((child) => child.content)
+      .join('');
+    const baseId = slugify(headingText) || 'section';
+    const count = usedIds.get(baseId) || 0;
+    usedIds.set(baseId, count + 1);
+    const id = count === 0 ? baseId : `${baseId}-${count}`;
+
+    token.attrSet('id', id);
+    toc.push({ level: Number(token.tag.slice(1)), text: headingText, id });
+  });
+
+  return {
+    html: markdown.renderer.render(tokens, markdown.options, {}),
+    toc,
+    readingTimeMinutes: estimateReadingTime(text)
+  };
+}
@@ -0,0 +1,39 @@
+import { renderMarkdown, estimateReadingTime, WORDS_PER_MINUTE } from "./markdown.mjs";
+
+describe("Markdown rendering", () => {
+  it("should render markdown to HTML", () => {
+    // ทดสอบการแปลง Markdown พื้นฐาน
+    const { html } = renderMarkdown("Some **bold** text and a [link](https://example.com).");
+    expect(html).toContain("<strong>bold</strong>");
+    expect(html).toContain('<a href="https://example.com" rel="nofollow noopener noreferrer">link</a>');
+  });
+
+  it("should escape raw HTML and drop unsafe links", () => {
+    // ทดสอบว่า HTML ในเนื้อหาถูก escape และลิงก์ javascript: ไม่ถูกสร้างเป็นลิงก์
+    const { html } = renderMarkdown('<script>alert("xss")</script>\n\n[click](javascript:alert(1))');
+    expect(html).not.toContain("<script>");
+    expect(html).toContain("&lt;script&gt;");
+    expect(html).not.toContain('href="javascript:');
+  });
+
+  it("should build a table of contents with unique heading ids", () => {
+    // ทดสอบสารบัญและ id ของหัวข้อที่ซ้ำกัน
+    const { html, toc } = renderMarkdown("# Getting Started\n\n## Setup `npm`\n\n## Setup npm\n\n### !!!");
+    expect(toc).toEqual([
+      { level: 1, text: "Getting Started", id: "getting-started" },
+      { level: 2, text: "Setup npm", id: "setup-npm" },
+      { level: 2, text: "Setup npm", id: "setup-npm-1" },
+      { level: 3, text: "!!!", id: "section" }
+    ]);
+    expect(html).toContain('<h1 id="getting-started">');
+    expect(html).toContain('<h2 id="setup-npm-1">');
+  });
+
+  it("should estimate reading time from the word count", () => {
+    // ทดสอบการประมาณเวลาในการอ่าน (อย่างน้อย 1 นาที)
+    expect(estimateReadingTime("")).toBe(1);
+    expect(estimateReadingTime("word ".repeat(WORDS_PER_MINUTE))).toBe(1);
+    expect(estimateReadingTime("word ".repeat(WORDS_PER_MINUTE + 1))).toBe(2);
+    expect(renderMarkdown(undefined)).toEqual({ html: "", toc: [], readingTimeMinutes: 1 });
+  });
+});
@@ -0,0 +1,91 @@
+// metrics.mjs
+// Prometheus metrics (/metrics): จำนวนและเวลาตอบของ request ตาม route template, การปฏิเสธ request
+// (rate limit, CORS, timeout) และสถิติของ Node process (event loop lag, heap) ในรูปแบบ text exposition
+import crypto from 'node:crypto';
+import client from 'prom-client';
+import { sendProblem } from './problem-details.mjs';
+
+// ขอบเขตของ histogram เวลาตอบ (วินาที)
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// label route ของ request ที่ไม่ตรงกับ route ใดเลย (ไม่ใช้ URL จริงเพื่อไม่ให้จำนวน series โตไม่สิ้นสุด)
+export const UNMATCHED_ROUTE = 'unmatched';
+
+// สร้างชุด metrics ของ app หนึ่งตัว (registry แยกกัน เพื่อให้หลาย app ใน process เดียวไม่ปนกัน)
+export function createMetrics({ collectDefaults = true } = {}) {
+  const registry = new client.Registry();
+  if (collectDefaults) client.collectDefaultMetrics({ register: registry });
+
+  const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route template and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+  });
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route template and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+  });
+  const rateLimitRejections = new client.Counter({
+    name: 'rate_limit_rejections_total',
+    help: 'Requests rejected by the rate limiter by route group',
+    labelNames: ['group'],
+    registers: [registry]
+  });
+  const corsRejections = new client.Counter({
+    name: 'cors_rejections_total',
+    help: 'Requests rejected because their origin is not allowed',
+    registers: [registry]
+  });
+  const requestTimeouts = new client.Counter({
+    name: 'request_timeouts_total',
+    help: 'Requests answered with 408 after the request timeout',
+    registers: [registry]
+  });
+
+  return {
+    registry,
+    rateLimitRejections,
+    corsRejections,
+    requestTimeouts,
+
+    // middleware ที่นับ request และเวลาตอบเมื่อ response จบ
+    // routeOf(req) คืนค่า route template (เช่น /posts/{id}) - หาตอนเริ่ม request เพราะ router ย่อยเปลี่ยน req.path
+    instrument({ routeOf = () => null } = {}) {
+      return (req, res, next) => {
+        const template = routeOf(req);
+        const stopTimer = httpDuration.startTimer();
+        res.on('finish', () => {
+          const labels = {
+            method: req.method,
+            route: template || (req.route && req.route.path !== '*' ? `${req.baseUrl}${req.route.path}` : UNMATCHED_ROUTE),
+            status: String(res.statusCode)
+          };
+          httpRequests.inc(labels);
+          stopTimer(labels);
+        });
+        next();
+      };
+    },
+
+    // handler ของ GET /metrics - ถ้ามี token (config.metricsToken) ต้องส่ง Authorization: Bearer <token>
+    handler({ token = null } = {}) {
+      const digest = (value) => crypto.createHash('sha256').update(value).digest();
+      return async (req, res) => {
+        if (token) {
+          const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+          // เทียบ hash เพื่อให้ timingSafeEqual ได้ความยาวเท่ากันเสมอ
+          if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(provided || ''), digest(token))) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return sendProblem(res, 'unauthorized', { detail: 'A valid metrics token is required' });
+          }
+        }
+        res.set('Cache-Control', 'no-store');
+        return res.type(registry.contentType).send(await registry.metrics());
+      };
+    }
+  };
+}
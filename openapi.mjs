@@ -0,0 +1,916 @@
+// openapi.mjs
+// เอกสาร OpenAPI 3.1 ของ API (/openapi.json และหน้าเอกสาร /docs) และการตรวจสอบ request/response จากเอกสารเดียวกัน
+import path from "node:path";
+import express from "express";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import getSwaggerUiPath from "swagger-ui-dist/absolute-path.js";
+import { postSchema } from "./post-validation.mjs";
+import { POST_FIELDS, SORT_FIELDS, FIELD_PROJECTIONS } from "./post-query.mjs";
+import { POST_STATUSES } from "./post-workflow.mjs";
+import { COMMENT_STATUSES, MAX_BODY_LENGTH } from "./comments.mjs";
+import { MAX_PAGE_SIZE } from "./pagination.mjs";
+import { PROBLEM_CONTENT_TYPE, PROBLEM_TYPES, sendProblem } from "./problem-details.mjs";
+import { loggerFor } from "./logger.mjs";
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+// response ที่มี body อ้างอิง schema ใน components เสมอ (ตัวตรวจสอบ response ใช้ชื่อ schema นี้)
+const jsonResponse = (description, name, mediaType = 'application/json') => ({
+  description,
+  content: { [mediaType]: { schema: schemaRef(name) } }
+});
+const noContent = (description) => ({ description });
+const errorResponses = { default: jsonResponse('Error (RFC 9457)', 'Problem', PROBLEM_CONTENT_TYPE) };
+
+// พารามิเตอร์แบบ query และ path - x-error คือ code ของ problem (problem-details.mjs) เมื่อค่าไม่ผ่าน schema
+const queryParam = (name, schema, code, description) => ({ name, in: 'query', description, schema, 'x-error': code });
+const pathParam = (name, schema, code, description) => ({
+  name, in: 'path', required: true, description, schema, 'x-error': code
+});
+// request body แบบ JSON - x-error คือ code ของ problem เมื่อ body ไม่ผ่าน schema
+const jsonBody = (name, code) => ({
+  required: true,
+  content: { 'application/json': { schema: schemaRef(name) } },
+  'x-error': code
+});
+
+const dateTime = { type: 'string', format: 'date-time' };
+// วันที่ที่รับจากผู้ใช้: ISO 8601 แบบมีหรือไม่มีเวลา
+const dateInput = { anyOf: [dateTime, { type: 'string', format: 'date' }] };
+const count = { type: 'integer', minimum: 0 };
+
+// ID ของโพสต์สูงสุดที่รับใน path
+export const MAX_POST_ID = 1000000;
+// pattern ของข้อความ - ข้อความ error ของ request body มาจากตารางนี้ (ดู describeBodyError)
+const NON_BLANK_PATTERN = '\\S';
+const URL_PATTERN = '^[Hh][Tt][Tt][Pp][Ss]?://\\S+$';
+const LETTER_OR_NUMBER_PATTERN = '[\\p{L}\\p{N}]';
+const PATTERN_MESSAGES = {
+  [NON_BLANK_PATTERN]: 'must be a non-empty string',
+  [URL_PATTERN]: 'must be a valid http(s) URL',
+  [LETTER_OR_NUMBER_PATTERN]: 'must contain at least one letter or number'
+};
+const nonEmptyString = (maxLength) => ({ type: 'string', pattern: NON_BLANK_PATTERN, maxLength });
+
+// แปลงกฎใน postSchema เป็น JSON Schema ของ request body (ตรวจสอบโดย validateRequest)
+function fieldRuleToJsonSchema(rule) {
+  switch (rule.type) {
+    case 'string':
+      return nonEmptyString(rule.maxLength);
+    case 'url':
+      return { type: 'string', pattern: URL_PATTERN, maxLength: rule.maxLength };
+    case 'date':
+      return dateInput;
+    default:
+      return { enum: rule.values };
+  }
+}
+
+// create: id ถูกกำหนดโดย server (readOnly - ส่งมาไม่ได้), PUT/PATCH: id ต้องตรงกับ path (ตรวจสอบใน app.mjs)
+function postInputSchema({ partial, create = false }) {
+  const properties = { id: create ? { readOnly: true, not: {} } : { type: 'integer', minimum: 1 } };
+  Object.entries(postSchema).forEach(([name, rule]) => {
+    properties[name] = fieldRuleToJsonSchema(rule);
+  });
+  const required = Object.keys(postSchema).filter((name) => postSchema[name].required);
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties,
+    // PATCH ต้องมีอย่างน้อยหนึ่งฟิลด์ที่แก้ไขได้ (id อย่างเดียวไม่นับ)
+    ...(partial ? { anyOf: Object.keys(postSchema).map((name) => ({ required: [name] })) } : { required })
+  };
+}
+
+// schema ของแต่ละฟิลด์ที่โพสต์ส่งออก (ต้องครบทุกฟิลด์ใน POST_FIELDS)
+const postFieldSchemas = {
+  id: { type: 'integer', minimum: 1 },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  content: { type: 'string' },
+  category: { type: 'string' },
+  author: { type: 'string' },
+  image: { type: 'string' },
+  date: dateTime,
+  likes: count,
+  status: { enum: POST_STATUSES },
+  publishAt: dateTime,
+  version: { type: 'integer', minimum: 1 },
+  updatedAt: dateTime
+};
+
+// ผลลัพธ์แบบแบ่งหน้า (createPaginationResult) - itemsKey/totalKey ตามชนิดของรายการ
+const paginated = (itemsKey, totalKey, itemSchema, extra = {}) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: [totalKey, 'limit', itemsKey, 'hasNextPage', 'hasPreviousPage'],
+  properties: {
+    [totalKey]: count,
+    totalPages: count,
+    currentPage: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1 },
+    [itemsKey]: { type: 'array', items: itemSchema },
+    hasNextPage: { type: 'boolean' },
+    hasPreviousPage: { type: 'boolean' },
+    nextPage: { type: 'integer', minimum: 2 },
+    previousPage: { type: 'integer', minimum: 1 },
+    ...extra
+  }
+});
+
+const filterParams = [
+  paramRef('Category'), paramRef('Author'), paramRef('DateFrom'), paramRef('DateTo'),
+  paramRef('MinLikes'), paramRef('MaxLikes'), paramRef('Status'), paramRef('Keyword')
+];
+const feedParams = [paramRef('Limit'), ...filterParams];
+const authenticated = [{ bearerAuth: [] }];
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'TechUp Blog API',
+    version: '1.0.0',
+    description: 'Blog posts with search, categories, likes, comments, revisions and feeds.'
+  },
+  // การอ่านข้อมูลสาธารณะไม่ต้องใช้ token - token ทำให้เห็นโพสต์ที่ยังไม่เผยแพร่ของตัวเอง (author) หรือทั้งหมด (editor)
+  security: [{}, { bearerAuth: [] }],
+  paths: {
+    '/': {
+      get: {
+        operationId: 'getApiInfo',
+        summary: 'API information',
+        responses: { 200: jsonResponse('API information', 'ApiInfo'), ...errorResponses }
+      }
+    },
+    '/posts': {
+      get: {
+        operationId: 'listPosts',
+        summary: 'List posts with filters, search, sorting and page or cursor pagination',
+        parameters: [
+          paramRef('Page'), paramRef('Limit'), paramRef('After'), paramRef('Before'),
+          paramRef('Sort'), paramRef('Fields'), ...filterParams
+        ],
+        responses: { 200: jsonResponse('A page of posts', 'PostList'), ...errorResponses }
+      },
+      post: {
+        operationId: 'createPost',
+        summary: 'Create a post (author or higher)',
+        security: authenticated,
+        requestBody: jsonBody('PostCreate', 'invalid_post'),
+        responses: { 201: jsonResponse('The created post', 'Post'), ...errorResponses }
+      }
+    },
+    '/posts/{id}': {
+      parameters: [paramRef('PostId')],
+      get: {
+        operationId: 'getPost',
+        summary: 'Get a post',
+        parameters: [paramRef('Fields'), paramRef('Format')],
+        responses: {
+          200: jsonResponse('The post (ETag starts with v<version>- and can be sent back in If-Match)', 'Post'),
+          304: noContent('Not modified'),
+          ...errorResponses
+        }
+      },
+      put: {
+        operationId: 'replacePost',
+        summary: 'Replace a post',
+        security: authenticated,
+        parameters: [paramRef('IfMatch')],
+        requestBody: jsonBody('PostInput', 'invalid_post'),
+        responses: { 200: jsonResponse('The updated post', 'Post'), ...errorResponses }
+      },
+      patch: {
+        operationId: 'updatePost',
+        summary: 'Update some fields of a post',
+        security: authenticated,
+        parameters: [paramRef('IfMatch')],
+        requestBody: jsonBody('PostPatch', 'invalid_post'),
+        responses: { 200: jsonResponse('The updated post', 'Post'), ...errorResponses }
+      },
+      delete: {
+        operationId: 'deletePost',
+        summary: 'Delete a post with its likes, comments and revisions',
+        security: authenticated,
+        responses: { 204: noContent('Deleted'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/like': {
+      parameters: [paramRef('PostId')],
+      post: {
+        operationId: 'likePost',
+        summary: 'Like a post (idempotent)',
+        responses: { 200: jsonResponse('Current like count', 'Like'), ...errorResponses }
+      },
+      delete: {
+        operationId: 'unlikePost',
+        summary: 'Remove a like (idempotent)',
+        responses: { 200: jsonResponse('Current like count', 'Like'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/revisions': {
+      parameters: [paramRef('PostId')],
+      get: {
+        operationId: 'listRevisions',
+        summary: 'List revisions of a post, newest first',
+        security: authenticated,
+        parameters: [paramRef('Page'), paramRef('Limit')],
+        responses: { 200: jsonResponse('A page of revisions', 'RevisionList'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/revisions/diff': {
+      parameters: [paramRef('PostId')],
+      get: {
+        operationId: 'diffRevisions',
+        summary: 'Compare two revisions',
+        security: authenticated,
+        parameters: [paramRef('From'), paramRef('To')],
+        responses: { 200: jsonResponse('Changes between the revisions', 'RevisionDiff'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/revisions/{rev}': {
+      parameters: [paramRef('PostId'), paramRef('Revision')],
+      get: {
+        operationId: 'getRevision',
+        summary: 'Get a revision with its snapshot',
+        security: authenticated,
+        responses: { 200: jsonResponse('The revision', 'Revision'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/revisions/{rev}/restore': {
+      parameters: [paramRef('PostId'), paramRef('Revision')],
+      post: {
+        operationId: 'restoreRevision',
+        summary: 'Restore a post to a revision',
+        security: authenticated,
+        parameters: [paramRef('IfMatch')],
+        responses: { 200: jsonResponse('The restored post', 'Post'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/comments': {
+      parameters: [paramRef('PostId')],
+      get: {
+        operationId: 'listComments',
+        summary: 'List comment threads of a post',
+        parameters: [paramRef('Page'), paramRef('Limit')],
+        responses: { 200: jsonResponse('A page of comment threads', 'CommentList'), ...errorResponses }
+      },
+      post: {
+        operationId: 'createComment',
+        summary: 'Write a comment or reply',
+        security: authenticated,
+        requestBody: jsonBody('CommentInput', 'invalid_comment'),
+        responses: { 201: jsonResponse('The created comment', 'Comment'), ...errorResponses }
+      }
+    },
+    '/posts/{id}/comments/{commentId}': {
+      parameters: [paramRef('PostId'), paramRef('CommentId')],
+      get: {
+        operationId: 'getComment',
+        summary: 'Get a comment with its replies',
+        responses: { 200: jsonResponse('The comment thread', 'Comment'), ...errorResponses }
+      },
+      patch: {
+        operationId: 'updateComment',
+        summary: 'Edit or moderate a comment',
+        security: authenticated,
+        requestBody: jsonBody('CommentPatch', 'invalid_comment'),
+        responses: { 200: jsonResponse('The updated comment', 'Comment'), ...errorResponses }
+      },
+      delete: {
+        operationId: 'deleteComment',
+        summary: 'Soft-delete a comment',
+        security: authenticated,
+        responses: { 204: noContent('Deleted'), ...errorResponses }
+      }
+    },
+    '/feed.xml': {
+      get: {
+        operationId: 'getRssFeed',
+        summary: 'RSS 2.0 feed',
+        parameters: feedParams,
+        responses: { 200: jsonResponse('RSS feed', 'XmlFeed', 'application/rss+xml'), ...errorResponses }
+      }
+    },
+    '/atom.xml': {
+      get: {
+        operationId: 'getAtomFeed',
+        summary: 'Atom 1.0 feed',
+        parameters: feedParams,
+        responses: { 200: jsonResponse('Atom feed', 'XmlFeed', 'application/atom+xml'), ...errorResponses }
+      }
+    },
+    '/feed.json': {
+      get: {
+        operationId: 'getJsonFeed',
+        summary: 'JSON Feed 1.1',
+        parameters: feedParams,
+        responses: { 200: jsonResponse('JSON feed', 'JsonFeed', 'application/feed+json'), ...errorResponses }
+      }
+    },
+    '/categories': {
+      get: {
+        operationId: 'listCategories',
+        summary: 'List categories with post counts',
+        responses: { 200: jsonResponse('All categories', 'CategoryList'), ...errorResponses }
+      },
+      post: {
+        operationId: 'createCategory',
+        summary: 'Create a category (editor or higher)',
+        security: authenticated,
+        requestBody: jsonBody('CategoryInput', 'invalid_category'),
+        responses: { 201: jsonResponse('The created category', 'Category'), ...errorResponses }
+      }
+    },
+    '/categories/{slug}': {
+      parameters: [paramRef('Slug')],
+      get: {
+        operationId: 'getCategory',
+        summary: 'Get a category',
+        responses: { 200: jsonResponse('The category', 'Category'), ...errorResponses }
+      },
+      patch: {
+        operationId: 'renameCategory',
+        summary: 'Rename a category and move its posts',
+        security: authenticated,
+        requestBody: jsonBody('CategoryInput', 'invalid_category'),
+        responses: { 200: jsonResponse('The renamed category', 'Category'), ...errorResponses }
+      },
+      delete: {
+        operationId: 'deleteCategory',
+        summary: 'Delete a category',
+        security: authenticated,
+        parameters: [paramRef('ReassignTo')],
+        responses: { 204: noContent('Deleted'), ...errorResponses }
+      }
+    },
+    '/health': {
+      get: {
+        operationId: 'getHealth',
+        summary: 'Health check',
+        responses: { 200: jsonResponse('Server status', 'Health'), ...errorResponses }
+      }
+    },
+    '/health/live': {
+      get: {
+        operationId: 'getLiveness',
+        summary: 'Liveness probe (the process is running)',
+        responses: { 200: jsonResponse('The process is alive', 'Liveness'), ...errorResponses }
+      }
+    },
+    '/health/ready': {
+      get: {
+        operationId: 'getReadiness',
+        summary: 'Readiness probe with the status and latency of each dependency',
+        responses: {
+          200: jsonResponse('Ready to serve traffic', 'Readiness'),
+          503: jsonResponse('A dependency failed or the server is shutting down', 'Readiness'),
+          ...errorResponses
+        }
+      }
+    },
+    '/problems/{code}': {
+      get: {
+        operationId: 'getProblemType',
+        summary: 'Describe an error code',
+        parameters: [pathParam('code', { type: 'string' }, 'The code of an error response')],
+        responses: { 200: jsonResponse('The problem type', 'ProblemType'), ...errorResponses }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        responses: { 200: jsonResponse('OpenAPI document', 'OpenApiDocument') }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from `npm run token`' }
+    },
+    parameters: {
+      // รับทศนิยมได้ตามพฤติกรรมเดิมของ parseInt (/posts/1.5 คือโพสต์ 1)
+      PostId: pathParam('id', { type: 'number', minimum: 1, maximum: MAX_POST_ID }, 'invalid_post_id', 'Post ID (decimal values are truncated)'),
+      // comment และ revision ที่ระบุไม่ถูกต้องถือว่าไม่พบ
+      CommentId: pathParam('commentId', { type: 'integer', minimum: 1 }, 'comment_not_found', 'Comment ID'),
+      Revision: pathParam('rev', { type: 'integer', minimum: 1 }, 'revision_not_found', 'Revision number'),
+      Slug: pathParam('slug', { type: 'string' }, 'category_not_found', 'Category slug'),
+      Page: queryParam('page', { type: 'integer', minimum: 1, maximum: 1000000 },
+        'invalid_pagination', 'Page number (cannot be combined with after/before)'),
+      Limit: queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+        'invalid_pagination', 'Items per page'),
+      After: queryParam('after', { type: 'string' }, 'invalid_pagination', 'Cursor of the next page'),
+      Before: queryParam('before', { type: 'string' }, 'invalid_pagination', 'Cursor of the previous page'),
+      Sort: queryParam('sort', { type: 'string' }, 'invalid_sort',
+        `Comma-separated fields, "-" prefix for descending: ${Object.keys(SORT_FIELDS).join(', ')}`),
+      Fields: queryParam('fields', { type: 'string' }, 'invalid_fields',
+        `Comma-separated fields or projections (${Object.keys(FIELD_PROJECTIONS).join(', ')}): ${POST_FIELDS.join(', ')}`),
+      Format: queryParam('format', { enum: ['markdown', 'html'] }, 'invalid_format',
+        'html renders content with a table of contents and reading time'),
+      Category: queryParam('category', { type: 'string' }, 'invalid_filter', 'Comma-separated category names or slugs'),
+      Author: queryParam('author', { type: 'string' }, 'invalid_filter', 'Author name'),
+      DateFrom: queryParam('dateFrom', dateInput, 'invalid_filter', 'Earliest post date'),
+      DateTo: queryParam('dateTo', dateInput, 'invalid_filter', 'Latest post date'),
+      MinLikes: queryParam('minLikes', count, 'invalid_filter', 'Minimum likes'),
+      MaxLikes: queryParam('maxLikes', count, 'invalid_filter', 'Maximum likes'),
+      Status: queryParam('status', { type: 'string' }, 'invalid_filter',
+        `Comma-separated statuses: ${POST_STATUSES.join(', ')}`),
+      Keyword: queryParam('keyword', { type: 'string' }, 'invalid_keyword',
+        'Search text (at least 2 characters); results are ordered by relevance'),
+      From: queryParam('from', { type: 'integer' }, 'invalid_revision_range', 'Older revision number'),
+      To: queryParam('to', { type: 'integer' }, 'invalid_revision_range', 'Newer revision number'),
+      ReassignTo: queryParam('reassignTo', { type: 'string' }, 'invalid_reassignment',
+        'Slug of the category that receives the posts'),
+      IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        description: 'ETag from GET /posts/{id} or a version number; required when REQUIRE_PRECONDITIONS=true',
+        schema: { type: 'string' }
+      }
+    },
+    schemas: {
+      Problem: {
+        type: 'object',
+        required: ['type', 'title', 'status', 'detail', 'code'],
+        properties: {
+          type: { type: 'string' },
+          title: { type: 'string' },
+          status: { type: 'integer' },
+          detail: { type: 'string' },
+          instance: { type: 'string' },
+          code: { enum: Object.keys(PROBLEM_TYPES) },
+          requestId: { type: 'string', description: 'X-Request-Id of the failed request' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['detail'],
+              properties: { field: { type: 'string' }, detail: { type: 'string' } }
+            }
+          }
+        }
+      },
+      ProblemType: {
+        type: 'object',
+        required: ['type', 'code', 'status', 'title'],
+        properties: {
+          type: { type: 'string' },
+          code: { enum: Object.keys(PROBLEM_TYPES) },
+          status: { type: 'integer' },
+          title: { type: 'string' }
+        }
+      },
+      ApiInfo: {
+        type: 'object',
+        required: ['message', 'version', 'timestamp'],
+        properties: { message: { type: 'string' }, version: { type: 'string' }, timestamp: dateTime }
+      },
+      Health: {
+        type: 'object',
+        required: ['status', 'timestamp', 'uptime', 'version'],
+        properties: {
+          status: { type: 'string' },
+          timestamp: dateTime,
+          uptime: { type: 'number' },
+          version: { type: 'string' }
+        }
+      },
+      Liveness: {
+        type: 'object',
+        required: ['status', 'timestamp', 'uptime', 'version'],
+        properties: {
+          status: { const: 'alive' },
+          timestamp: dateTime,
+          uptime: { type: 'number' },
+          version: { type: 'string' },
+          commit: { type: 'string' },
+          revision: { type: 'string' }
+        }
+      },
+      Readiness: {
+        type: 'object',
+        required: ['status', 'timestamp', 'uptime', 'version', 'checks'],
+        properties: {
+          status: { enum: ['ready', 'not_ready', 'shutting_down'] },
+          timestamp: dateTime,
+          uptime: { type: 'number' },
+          version: { type: 'string' },
+          commit: { type: 'string' },
+          revision: { type: 'string' },
+          checks: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              required: ['status', 'latencyMs'],
+              properties: {
+                status: { enum: ['pass', 'fail'] },
+                latencyMs: { type: 'number' },
+                error: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Post: {
+        type: 'object',
+        required: ['id'],
+        additionalProperties: false,
+        properties: {
+          ...Object.fromEntries(POST_FIELDS.map((field) => [field, postFieldSchemas[field]])),
+          score: { type: 'number', description: 'Search relevance (keyword searches only)' },
+          likedByMe: { type: 'boolean' },
+          contentFormat: { enum: ['html'] },
+          toc: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['level', 'text', 'id'],
+              properties: { level: { type: 'integer' }, text: { type: 'string' }, id: { type: 'string' } }
+            }
+          },
+          readingTimeMinutes: { type: 'integer', minimum: 1 }
+        }
+      },
+      PostCreate: postInputSchema({ partial: false, create: true }),
+      PostInput: postInputSchema({ partial: false }),
+      PostPatch: postInputSchema({ partial: true }),
+      PostList: paginated('posts', 'totalPosts', schemaRef('Post'), {
+        nextCursor: { type: 'string' },
+        previousCursor: { type: 'string' }
+      }),
+      Like: {
+        type: 'object',
+        required: ['id', 'likes', 'likedByMe'],
+        additionalProperties: false,
+        properties: { id: { type: 'integer' }, likes: count, likedByMe: { type: 'boolean' } }
+      },
+      Comment: {
+        type: 'object',
+        required: ['id', 'parentId', 'body', 'author', 'createdAt'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'integer' },
+          parentId: { type: ['integer', 'null'] },
+          body: { type: ['string', 'null'] },
+          author: { type: ['string', 'null'] },
+          status: { enum: COMMENT_STATUSES },
+          deleted: { type: 'boolean' },
+          createdAt: dateTime,
+          updatedAt: dateTime,
+          replies: { type: 'array', items: schemaRef('Comment') }
+        }
+      },
+      CommentInput: {
+        type: 'object',
+        required: ['body'],
+        additionalProperties: false,
+        properties: {
+          body: nonEmptyString(MAX_BODY_LENGTH),
+          parentId: { type: ['integer', 'null'], minimum: 1 }
+        }
+      },
+      CommentPatch: {
+        type: 'object',
+        minProperties: 1,
+        additionalProperties: false,
+        properties: { body: nonEmptyString(MAX_BODY_LENGTH), status: { enum: COMMENT_STATUSES } }
+      },
+      CommentList: paginated('comments', 'totalComments', schemaRef('Comment')),
+      RevisionSummary: {
+        type: 'object',
+        required: ['revision', 'action', 'editor', 'createdAt', 'changedFields'],
+        additionalProperties: false,
+        properties: {
+          revision: { type: 'integer', minimum: 1 },
+          action: { enum: ['imported', 'created', 'updated', 'restored'] },
+          editor: { type: ['string', 'null'] },
+          createdAt: dateTime,
+          restoredFrom: { type: 'integer', minimum: 1 },
+          changedFields: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      RevisionList: paginated('revisions', 'totalRevisions', schemaRef('RevisionSummary')),
+      Revision: {
+        type: 'object',
+        required: ['postId', 'revision', 'action', 'editor', 'createdAt', 'snapshot'],
+        additionalProperties: false,
+        properties: {
+          postId: { type: 'integer' },
+          revision: { type: 'integer', minimum: 1 },
+          action: { enum: ['imported', 'created', 'updated', 'restored'] },
+          editor: { type: ['string', 'null'] },
+          createdAt: dateTime,
+          restoredFrom: { type: 'integer', minimum: 1 },
+          snapshot: { type: 'object' }
+        }
+      },
+      RevisionDiff: {
+        type: 'object',
+        required: ['postId', 'from', 'to', 'changes'],
+        additionalProperties: false,
+        properties: {
+          postId: { type: 'integer' },
+          from: { type: 'integer' },
+          to: { type: 'integer' },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field'],
+              properties: {
+                field: { type: 'string' },
+                before: {},
+                after: {},
+                lines: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['type', 'text'],
+                    properties: { type: { enum: ['unchanged', 'removed', 'added'] }, text: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      Category: {
+        type: 'object',
+        required: ['slug', 'name', 'postCount'],
+        additionalProperties: false,
+        properties: { slug: { type: 'string' }, name: { type: 'string' }, postCount: count }
+      },
+      CategoryInput: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        // ยาวเท่ากับฟิลด์ category ของโพสต์ และต้องสร้าง slug ได้
+        properties: { name: { type: 'string', pattern: LETTER_OR_NUMBER_PATTERN, maxLength: 50 } }
+      },
+      CategoryList: {
+        type: 'object',
+        required: ['totalCategories', 'categories'],
+        additionalProperties: false,
+        properties: { totalCategories: count, categories: { type: 'array', items: schemaRef('Category') } }
+      },
+      XmlFeed: { type: 'string' },
+      JsonFeed: {
+        type: 'object',
+        required: ['version', 'title', 'items'],
+        properties: {
+          version: { const: 'https://jsonfeed.org/version/1.1' },
+          title: { type: 'string' },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['id', 'url', 'title', 'content_html', 'date_published'],
+              properties: { id: { type: 'string' }, url: { type: 'string' }, date_published: dateTime, date_modified: dateTime }
+            }
+          }
+        }
+      },
+      OpenApiDocument: { type: 'object', required: ['openapi', 'paths'] }
+    }
+  }
+};
+
+// ชื่อ HTTP methods ที่เป็น operation ใน path item
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// ข้อความ error ของพารามิเตอร์ที่ไม่ผ่าน schema (query string ที่ส่งซ้ำจะเป็น array จึงไม่ใช่ string)
+function describeParameterError(name, schema, error) {
+  if (error.keyword === 'maximum') return `${name} cannot exceed ${error.params.limit}`;
+  if (error.keyword === 'enum') return `${name} must be one of: ${error.params.allowedValues.join(', ')}`;
+  if (schema === dateInput) return `${name} must be a valid date`;
+  if ([].concat(schema.type).includes('integer')) {
+    if (schema.minimum === 0) return `${name} must be a non-negative integer`;
+    if (schema.minimum === 1) return `${name} must be a positive integer`;
+    return `${name} must be an integer`;
+  }
+  if (error.keyword === 'type' && schema.type === 'string') return `${name} must be a single value`;
+  return `${name} ${error.message}`;
+}
+
+// ข้อความ error ของ request body - ขึ้นต้นด้วยชื่อฟิลด์ หรือ "Unknown field: x" (ดู toFieldError ใน problem-details.mjs)
+// schema คือ schema ของ body ทั้งก้อน ใช้หาชนิดของฟิลด์ที่ผิด (ajv ต้องสร้างด้วย verbose เพื่อให้มี error.data)
+function describeBodyError(error, schema) {
+  const name = error.instancePath.split('/')[1];
+  if (!name) {
+    if (error.keyword === 'required') return `${error.params.missingProperty} is required`;
+    if (error.keyword === 'additionalProperties') return `Unknown field: ${error.params.additionalProperty}`;
+    if (error.keyword === 'minProperties' || error.keyword === 'anyOf') return 'At least one field must be provided';
+    return 'Request body must be a JSON object';
+  }
+  const property = schema.properties[name];
+  if (property.readOnly) return `${name} is assigned by the server`;
+  if (property === dateInput) return `${name} must be a valid date string`;
+  if (error.keyword === 'maxLength') return `${name} cannot exceed ${error.params.limit} characters`;
+  if (property.pattern) {
+    const blank = typeof error.data !== 'string' || !/\S/.test(error.data);
+    return `${name} ${PATTERN_MESSAGES[blank ? NON_BLANK_PATTERN : property.pattern]}`;
+  }
+  return describeParameterError(name, property, error);
+}
+
+// สร้างตัวตรวจสอบจากเอกสาร OpenAPI
+// - validateRequest: ตรวจสอบ path parameters, query parameters และ JSON request body ของ operation ที่ตรงกับ request
+//   แล้วตอบ problem ตาม x-error ของส่วนที่ผิด พร้อม errors ของแต่ละพารามิเตอร์หรือฟิลด์
+//   (body ของ operation ที่ต้องล็อกอินไม่ถูกตรวจสอบเมื่อไม่มีผู้ใช้ - route ตอบ 401 ก่อน)
+// - validateResponses: ตรวจสอบ JSON response กับ schema ของ status นั้น - ไม่ตรงตอบ 500 (ใช้ในการทดสอบเพื่อจับเอกสารที่ไม่ตรงกับโค้ด)
+export function createOpenApiValidator(document = openApiDocument, { validateResponses = false } = {}) {
+  // ค่าใน query string และ path เป็นข้อความเสมอ จึงแปลงชนิดก่อนตรวจสอบ (เช่น "2" เป็น integer)
+  const parameterAjv = addFormats(new Ajv2020({ coerceTypes: true }));
+  const documentAjv = addFormats(new Ajv2020({ allErrors: true, verbose: true }));
+  // ส่วนที่ไม่ใช่ JSON Schema ของเอกสาร - ใช้เป็นที่อยู่ของ $ref เท่านั้น
+  documentAjv.addVocabulary(['openapi', 'info', 'security', 'paths', 'components']);
+  documentAjv.addSchema(document, 'openapi.json');
+
+  const resolve = (item) => (item.$ref
+    ? item.$ref.split('/').slice(1).reduce((node, key) => node[key], document)
+    : item);
+
+  const compileParameter = (parameter) => ({
+    ...parameter,
+    check: parameterAjv.compile({ type: 'object', properties: { value: parameter.schema } })
+  });
+
+  const compileBody = (requestBody) => {
+    const media = requestBody && requestBody.content['application/json'];
+    if (!media) return null;
+    return {
+      code: requestBody['x-error'],
+      schema: resolve(media.schema),
+      check: documentAjv.getSchema(`openapi.json${media.schema.$ref}`)
+    };
+  };
+
+  const compileResponses = (responses) => Object.fromEntries(Object.entries(responses).map(([status, response]) => {
+    const [mediaType, media] = Object.entries(response.content || {})[0] || [];
+    const check = media ? documentAjv.getSchema(`openapi.json${media.schema.$ref}`) : null;
+    return [status, { mediaType, check }];
+  }));
+
+  // path template เช่น /posts/{id}/comments เป็น regular expression - path ที่มีส่วนคงที่มากกว่ามาก่อน
+  // (เพื่อให้ /posts/{id}/revisions/diff ไม่ตรงกับ /posts/{id}/revisions/{rev})
+  const operations = Object.entries(document.paths)
+    .sort(([a], [b]) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length)
+    .flatMap(([template, pathItem]) => METHODS.filter((method) => pathItem[method]).map((method) => {
+      const operation = pathItem[method];
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(resolve);
+      return {
+        method: method.toUpperCase(),
+        path: template,
+        pattern: new RegExp(`^${template.replace(/\{([^}]+)\}/g, '(?<$1>[^/]+)')}$`),
+        pathParameters: parameters.filter((parameter) => parameter.in === 'path').map(compileParameter),
+        queryParameters: parameters.filter((parameter) => parameter.in === 'query').map(compileParameter),
+        body: compileBody(operation.requestBody),
+        requiresAuth: Boolean(operation.security)
+          && operation.security.every((requirement) => Object.keys(requirement).length > 0),
+        responses: compileResponses(operation.responses)
+      };
+    }));
+
+  const normalizePath = (requestPath) => (requestPath.length > 1 ? requestPath.replace(/\/+$/, '') : requestPath);
+
+  const findOperation = (method, requestPath) => {
+    const normalized = normalizePath(requestPath);
+    return operations.find((operation) => operation.method === method && operation.pattern.test(normalized));
+  };
+
+  // ค่าของ path parameters จาก URL (ส่วนที่ decode ไม่ได้ใช้ค่าเดิม)
+  const pathValues = (operation, requestPath) => {
+    const { groups = {} } = operation.pattern.exec(normalizePath(requestPath));
+    return Object.fromEntries(Object.entries(groups).map(([name, value]) => {
+      try {
+        return [name, decodeURIComponent(value)];
+      } catch {
+        return [name, value];
+      }
+    }));
+  };
+
+  // พารามิเตอร์ที่ไม่ผ่าน schema เป็น { code, field, detail }
+  const parameterFailures = (parameters, values) => parameters
+    .filter((parameter) => values[parameter.name] !== undefined && !parameter.check({ value: values[parameter.name] }))
+    .map((parameter) => ({
+      code: parameter['x-error'],
+      field: parameter.name,
+      detail: describeParameterError(parameter.name, parameter.schema, parameter.check.errors[0])
+    }));
+
+  // ข้อความ error ของ body (ไม่ซ้ำกัน) - ปัญหาของ body ทั้งก้อน (เช่นฟิลด์ที่ไม่รู้จัก) มาก่อนปัญหาของแต่ละฟิลด์
+  const bodyFailures = (body, data) => {
+    if (body.check(data)) return [];
+    // ทางเลือกแต่ละทางของ anyOf ที่ระดับ body (เช่น required ของ PATCH) สรุปด้วย error ของ anyOf เอง
+    const errors = body.check.errors
+      .filter((error) => error.instancePath !== '' || !error.schemaPath.includes('/anyOf/'));
+    // "At least one field must be provided" แจ้งเฉพาะเมื่อไม่มีปัญหาอื่น (เช่น PATCH ที่มีแต่ฟิลด์ที่ไม่รู้จัก)
+    const isEmptyPatch = (error) => error.instancePath === '' && ['anyOf', 'minProperties'].includes(error.keyword);
+    const messages = (errors.every(isEmptyPatch) ? errors : errors.filter((error) => !isEmptyPatch(error)))
+      .sort((a, b) => Number(a.instancePath !== '') - Number(b.instancePath !== ''))
+      .map((error) => describeBodyError(error, body.schema));
+    return [...new Set(messages)];
+  };
+
+  // คืนค่ารายการปัญหาของ response (ว่าง = ตรงกับเอกสาร)
+  const checkResponse = (operation, status, contentType, body) => {
+    const response = operation.responses[status] || operation.responses.default;
+    if (!response || !response.check || !String(contentType).includes('json')) return [];
+    let data = body;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      try {
+        data = JSON.parse(body.toString());
+      } catch {
+        return ['response body is not valid JSON'];
+      }
+    }
+    return response.check(data)
+      ? []
+      : response.check.errors.map((error) => `response${error.instancePath} ${error.message}`);
+  };
+
+  const validateRequest = (req, res, next) => {
+    const operation = findOperation(req.method, req.path);
+    if (!operation) return next();
+
+    const failures = [
+      ...parameterFailures(operation.pathParameters, pathValues(operation, req.path)),
+      ...parameterFailures(operation.queryParameters, req.query)
+    ];
+    // ตอบตามพารามิเตอร์ตัวแรกที่ผิด (path ก่อน query ตามลำดับในเอกสาร) พร้อมรายละเอียดทุกตัวในกลุ่มเดียวกัน
+    if (failures.length > 0) {
+      const { code } = failures[0];
+      return sendProblem(res, code, {
+        errors: failures.filter((failure) => failure.code === code).map(({ field, detail }) => ({ field, detail }))
+      });
+    }
+
+    if (operation.body && (req.user || !operation.requiresAuth)) {
+      const errors = bodyFailures(operation.body, req.body);
+      if (errors.length > 0) {
+        return sendProblem(res, operation.body.code, { errors });
+      }
+    }
+
+    if (validateResponses) {
+      const send = res.send.bind(res);
+      res.send = (body) => {
+        res.send = send; // res.json เรียก res.send ซ้ำ - ตรวจสอบเพียงครั้งเดียว
+        const problems = checkResponse(operation, res.statusCode, res.get('Content-Type'), body);
+        if (problems.length > 0) {
+          loggerFor(req).error('Response does not match the OpenAPI document', { route: operation.path, problems });
+          return sendProblem(res, 'response_validation_failed', { errors: problems.map((detail) => ({ detail })) });
+        }
+        return send(body);
+      };
+    }
+    return next();
+  };
+
+  return { validateRequest, findOperation, checkResponse };
+}
+
+// ไฟล์ของ Swagger UI ที่หน้าเอกสารใช้ (ส่งจาก node_modules ไม่ต้องพึ่ง CDN)
+const SWAGGER_UI_FILES = ['swagger-ui.css', 'swagger-ui-bundle.js', 'favicon-32x32.png'];
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>TechUp Blog API</title>
+  <link rel="stylesheet" href="/docs/swagger-ui.css">
+  <link rel="icon" type="image/png" href="/docs/favicon-32x32.png">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/docs/swagger-ui-bundle.js"></script>
+  <script src="/docs/init.js"></script>
+</body>
+</html>
+`;
+
+// Content-Security-Policy ไม่อนุญาต inline script จึงแยกการเริ่ม Swagger UI เป็นไฟล์
+const DOCS_INIT_SCRIPT = "window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });\n";
+
+// router ของ /openapi.json และหน้าเอกสารแบบ interactive ที่ /docs
+export function createOpenApiRouter(document = openApiDocument) {
+  const router = express.Router();
+  const swaggerUiPath = getSwaggerUiPath();
+
+  router.get("/openapi.json", (req, res) => res.json(document));
+
+  router.get("/docs", (req, res) => res.type('html').send(DOCS_PAGE));
+
+  router.get("/docs/init.js", (req, res) => res.type('js').send(DOCS_INIT_SCRIPT));
+
+  router.get("/docs/:file", (req, res, next) => {
+    if (!SWAGGER_UI_FILES.includes(req.params.file)) return next();
+    return res.sendFile(path.join(swaggerUiPath, req.params.file));
+  });
+
+  return router;
+}
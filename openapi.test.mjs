@@ -0,0 +1,165 @@
+import request from "supertest";
+import express from "express";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import { openApiDocument, createOpenApiValidator } from "./openapi.mjs";
+import { createLogger } from "./logger.mjs";
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+describe("OpenAPI document", () => {
+  it("should give every operation a unique operationId and responses", () => {
+    // ทดสอบโครงสร้างพื้นฐานของเอกสาร
+    const operations = Object.values(openApiDocument.paths)
+      .flatMap((pathItem) => METHODS.filter((method) => pathItem[method]).map((method) => pathItem[method]));
+    const ids = operations.map((operation) => operation.operationId);
+
+    expect(openApiDocument.openapi).toBe('3.1.0');
+    expect(new Set(ids).size).toBe(ids.length);
+    operations.forEach((operation) => expect(Object.keys(operation.responses).length).toBeGreaterThan(0));
+  });
+
+  it("should describe post bodies built from postSchema", () => {
+    // ทดสอบว่า schema ของ request body สร้างจากกฎใน post-validation.mjs ครบทุกแบบ
+    const ajv = addFormats(new Ajv2020());
+    const { PostCreate, PostInput, PostPatch } = openApiDocument.components.schemas;
+    const validCreate = ajv.compile(PostCreate);
+    const validInput = ajv.compile(PostInput);
+    const validPatch = ajv.compile(PostPatch);
+    const post = {
+      title: "Schema Driven",
+      description: "Same rules.",
+      content: "Body",
+      category: "General",
+      author: "Editor",
+      image: "https://example.com/schema.jpg"
+    };
+    const invalid = [
+      { ...post, title: "   " },
+      { ...post, title: "x".repeat(201) },
+      { ...post, image: "ftp://example.com/schema.jpg" },
+      { ...post, likes: 3 },
+      { ...post, status: "deleted" },
+      { ...post, date: "not a date" },
+      { ...post, extra: true }
+    ];
+
+    expect(validInput(post)).toBe(true);
+    expect(validInput({ ...post, date: "2024-05-01", status: "draft", publishAt: "2030-01-01T00:00:00.000Z" })).toBe(true);
+    invalid.forEach((sample) => {
+      expect(validInput(sample)).toBe(false);
+      expect(validPatch(sample)).toBe(false);
+    });
+    expect(validInput({ title: "Only title" })).toBe(false);
+    expect(validPatch({ title: "Only title" })).toBe(true);
+    expect(validPatch({})).toBe(false); // PATCH ต้องมีอย่างน้อยหนึ่งฟิลด์
+    expect(validPatch({ id: 1 })).toBe(false); // id อย่างเดียวไม่นับเป็นการแก้ไข
+    expect(validInput({ ...post, id: 1 })).toBe(true); // PUT ตรวจว่า id ตรงกับ path ใน route
+    expect(validCreate(post)).toBe(true);
+    expect(validCreate({ ...post, id: 1 })).toBe(false); // id กำหนดโดยเซิร์ฟเวอร์
+  });
+});
+
+describe("OpenAPI validator", () => {
+  // app ขนาดเล็กที่ตอบไม่ตรงกับเอกสาร เพื่อทดสอบการตรวจสอบ response
+  // log ของ app (app.locals.logger) เก็บไว้ตรวจสอบแทนการเขียนลง stdout
+  const createTestApp = (lines = []) => {
+    const testApp = express();
+    testApp.locals.logger = createLogger({ write: (line) => lines.push(JSON.parse(line)) });
+    testApp.use(createOpenApiValidator(openApiDocument, { validateResponses: true }).validateRequest);
+    testApp.get("/health", (req, res) => res.json({ status: "healthy" }));
+    testApp.get("/posts", (req, res) => res.json({ posts: [] }));
+    testApp.get("/undocumented", (req, res) => res.json({ anything: true }));
+    return testApp;
+  };
+
+  it("should reject query parameters that do not match the schema", async () => {
+    // ทดสอบข้อผิดพลาดจาก schema ของพารามิเตอร์ (รายงานทุกพารามิเตอร์ในกลุ่มเดียวกัน)
+    const res = await request(createTestApp()).get("/posts?page=0&limit=abc&sort=a&sort=b");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toMatchObject({
+      code: "invalid_pagination",
+      title: "Invalid pagination parameters",
+      errors: [
+        { field: "page", detail: "page must be a positive integer" },
+        { field: "limit", detail: "limit must be a positive integer" }
+      ]
+    });
+  });
+
+  it("should reject request bodies and path parameters that do not match the schema", async () => {
+    // ทดสอบข้อความจาก schema ของ request body และ path (body ตรวจสอบหลังยืนยันตัวตนเท่านั้น)
+    const bodyApp = express();
+    bodyApp.use(express.json());
+    bodyApp.use((req, res, next) => {
+      if (req.headers.authorization) req.user = { id: 1, role: "admin" };
+      next();
+    });
+    bodyApp.use(createOpenApiValidator(openApiDocument).validateRequest);
+    bodyApp.use((req, res) => res.status(204).end());
+    const patch = (path, body, auth = "Bearer token") => request(bodyApp).patch(path).set("Authorization", auth).send(body);
+
+    const fields = await patch("/posts/1", { title: " ", image: "ftp://x", date: "soon", likes: 1 });
+    const empty = await patch("/posts/1", { id: 1 });
+    const unknownOnly = await patch("/posts/1", { likes: 1 });
+    const anonymous = await patch("/posts/1", { likes: 1 }, "");
+    const badId = await patch("/posts/0", { title: "Valid" });
+    const created = await request(bodyApp).post("/posts").set("Authorization", "Bearer token")
+      .send({ id: 5, title: "x".repeat(201) });
+    const category = await request(bodyApp).post("/categories").set("Authorization", "Bearer token").send({ name: "!!" });
+    const comment = await request(bodyApp).patch("/posts/1/comments/abc").set("Authorization", "Bearer token")
+      .send({ status: "spam" });
+
+    expect(fields.statusCode).toBe(422);
+    expect(fields.body.code).toBe("invalid_post");
+    expect(fields.body.errors.map((error) => error.detail)).toEqual([
+      "Unknown field: likes",
+      "title must be a non-empty string",
+      "image must be a valid http(s) URL",
+      "date must be a valid date string"
+    ]);
+    expect(empty.body.errors).toEqual([{ detail: "At least one field must be provided" }]);
+    expect(unknownOnly.body.errors).toEqual([{ field: "likes", detail: "Unknown field: likes" }]);
+    expect(anonymous.statusCode).toBe(204); // ไม่ตรวจ body ก่อนยืนยันตัวตน (route ตอบ 401 เอง)
+    expect(badId.statusCode).toBe(400);
+    expect(badId.body.code).toBe("invalid_post_id");
+    expect(created.body.errors.map((error) => error.detail)).toEqual([
+      "description is required",
+      "content is required",
+      "category is required",
+      "author is required",
+      "image is required",
+      "id is assigned by the server",
+      "title cannot exceed 200 characters"
+    ]);
+    expect(category.body).toMatchObject({ code: "invalid_category" });
+    expect(category.body.errors[0].detail).toMatch(/^name must contain at least one letter or number/);
+    expect(comment.statusCode).toBe(404);
+    expect(comment.body.code).toBe("comment_not_found");
+  });
+
+  it("should turn responses that drift from the document into 500", async () => {
+    // ทดสอบว่า response ที่ไม่ตรงกับเอกสารถูกจับได้
+    const lines = [];
+    const res = await request(createTestApp(lines)).get("/health");
+    const undocumented = await request(createTestApp()).get("/undocumented");
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe("response_validation_failed");
+    expect(res.body.errors).toContainEqual({ detail: "response must have required property 'timestamp'" });
+    expect(undocumented.statusCode).toBe(200); // path ที่ไม่อยู่ในเอกสารไม่ถูกตรวจสอบ
+    expect(lines).toEqual([expect.objectContaining({ severity: "ERROR", route: "/health" })]);
+  });
+
+  it("should match literal path segments before templated ones", () => {
+    // ทดสอบว่า /posts/1/revisions/diff ไม่ถูกจับคู่กับ /posts/{id}/revisions/{rev}
+    const { findOperation } = createOpenApiValidator();
+    const diff = findOperation('GET', '/posts/1/revisions/diff');
+
+    expect(diff.queryParameters.map((parameter) => parameter.name)).toEqual(['from', 'to']);
+    expect(findOperation('GET', '/posts/')).toBeDefined(); // trailing slash
+    expect(findOperation('HEAD', '/posts')).toBeUndefined();
+  });
+});
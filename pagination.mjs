@@ -0,0 +1,37 @@
+// pagination.mjs
+// ฟังก์ชันแบ่งหน้าแบบหมายเลขหน้า (page/limit) ที่ใช้ร่วมกันระหว่างรายการโพสต์และความคิดเห็น
+// (ชนิดและช่วงของ page/limit ตรวจสอบจากเอกสาร OpenAPI ใน openapi.mjs)
+
+// จำนวนรายการต่อหน้าสูงสุดที่เอกสาร OpenAPI อนุญาต (MAX_PAGE_SIZE ตั้งให้ต่ำกว่านี้ได้แต่สูงกว่าไม่ได้)
+export const MAX_PAGE_SIZE = 100;
+
+// ฟังก์ชันสร้างผลลัพธ์การแบ่งหน้า (pagination) จากผลลัพธ์ของ store ({ items, total })
+// names กำหนดชื่อฟิลด์ของรายการและจำนวนทั้งหมด (ค่าเริ่มต้นสำหรับโพสต์: posts, totalPosts)
+export function createPaginationResult({ items, total }, numPage, numLimit, names = {}) {
+  const { items: itemsKey = 'posts', total: totalKey = 'totalPosts' } = names;
+  const startIndex = (numPage - 1) * numLimit; // ตำแหน่งเริ่มต้น
+  const endIndex = startIndex + numLimit; // ตำแหน่งสิ้นสุด
+  const totalPages = Math.ceil(total / numLimit); // จำนวนหน้าทั้งหมด
+
+  const results = {
+    [totalKey]: total, // จำนวนรายการทั้งหมด
+    totalPages, // จำนวนหน้าทั้งหมด
+    currentPage: numPage, // หน้าปัจจุบัน
+    limit: numLimit, // จำนวนรายการต่อหน้า
+    [itemsKey]: items, // รายการในหน้านี้
+    hasNextPage: endIndex < total, // มีหน้าถัดไปหรือไม่
+    hasPreviousPage: startIndex > 0 // มีหน้าก่อนหน้าหรือไม่
+  };
+
+  // เพิ่มหมายเลขหน้าถัดไปถ้ามี
+  if (results.hasNextPage) {
+    results.nextPage = numPage + 1;
+  }
+
+  // เพิ่มหมายเลขหน้าก่อนหน้าถ้ามี
+  if (results.hasPreviousPage) {
+    results.previousPage = numPage - 1;
+  }
+
+  return results;
+}
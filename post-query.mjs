@@ -0,0 +1,186 @@
+// post-query.mjs
+// ฟังก์ชันแปลงและตรวจสอบ query parameters ของ GET /posts
+import { POST_STATUSES, effectiveStatus } from "./post-workflow.mjs";
+
+// ฟิลด์ที่ใช้เรียงลำดับได้ และวิธีดึงค่าสำหรับเปรียบเทียบ
+export const SORT_FIELDS = {
+  id: (post) => post.id,
+  date: (post) => new Date(post.date).getTime(),
+  likes: (post) => post.likes,
+  title: (post) => String(post.title).toLowerCase()
+};
+
+// เปรียบเทียบค่าสองค่า (ข้อความใช้ localeCompare, ตัวเลขใช้การลบ)
+function compareValues(a, b) {
+  if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+  return a - b;
+}
+
+// แปลงพารามิเตอร์ sort เช่น "-likes,date" เป็นรายการ { field, direction }
+// เครื่องหมาย "-" นำหน้า = เรียงจากมากไปน้อย (ชนิดของพารามิเตอร์ตรวจสอบแล้วจากเอกสาร OpenAPI)
+export function parseSortParam(sort) {
+  const errors = [];
+  const fields = [];
+  if (sort === undefined || sort === '') return { fields, errors };
+
+  sort.split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+    const descending = part.startsWith('-');
+    const field = descending || part.startsWith('+') ? part.slice(1) : part;
+
+    if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, field)) {
+      errors.push(`Unknown sort field: ${field}`); // ฟิลด์ที่ไม่รู้จัก
+    } else if (fields.some((item) => item.field === field)) {
+      errors.push(`Duplicate sort field: ${field}`); // ฟิลด์ซ้ำ
+    } else {
+      fields.push({ field, direction: descending ? 'desc' : 'asc' });
+    }
+  });
+
+  return { fields, errors };
+}
+
+// สร้างลำดับการเรียง (ordering) ของรายการโพสต์
+// - มี sort: เรียงตามฟิลด์ที่ระบุ, มีคำค้นหา: เรียงตามคะแนน (มากไปน้อย), ไม่มีทั้งคู่: ตาม id
+// keyOf(post) คืนค่า array ของค่าที่ใช้เรียง โดยมี id ต่อท้ายเสมอเพื่อให้ลำดับคงที่ (ใช้เป็น cursor ได้)
+export function createOrdering(fields, scores) {
+  let parts;
+  let signature;
+  if (fields.length > 0) {
+    parts = fields.map(({ field, direction }) => ({ valueOf: SORT_FIELDS[field], direction }));
+    signature = fields.map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field)).join(',');
+  } else if (scores) {
+    parts = [{ valueOf: (post) => scores.get(post.id), direction: 'desc' }];
+    signature = 'relevance';
+  } else {
+    parts = [];
+    signature = 'id';
+  }
+
+  const directions = [...parts.map((part) => part.direction), 'asc'];
+  const keyOf = (post) => [...parts.map((part) => part.valueOf(post)), post.id];
+  const compareKeys = (a, b) => {
+    for (let i = 0; i < directions.length; i++) {
+      const result = compareValues(a[i], b[i]);
+      if (result !== 0) return directions[i] === 'desc' ? -result : result;
+    }
+    return 0;
+  };
+
+  return {
+    signature, // ใช้ตรวจสอบว่า cursor ถูกสร้างจากลำดับการเรียงเดียวกัน
+    keyLength: directions.length,
+    keyOf,
+    compareKeys,
+    compare: (a, b) => compareKeys(keyOf(a), keyOf(b))
+  };
+}
+
+// ทำให้ข้อความอยู่ในรูปแบบเดียวกันสำหรับการเปรียบเทียบ (ตัดช่องว่างและแปลงเป็นตัวเล็ก)
+function normalizeText(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+// แปลงวันที่จาก query - รูปแบบ YYYY-MM-DD หมายถึงทั้งวัน (ใช้กับ dateTo เพื่อให้รวมวันสุดท้ายด้วย)
+function parseDateParam(value, { endOfDay = false } = {}) {
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(isDateOnly ? `${value}T00:00:00.000Z` : value);
+  return isDateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// แปลงตัวกรองของ GET /posts: category (คั่นด้วย comma), author, dateFrom/dateTo, minLikes/maxLikes
+// และ status (คั่นด้วย comma) - คืนค่า { filters: [predicate], errors: [ข้อความ] }
+// ชนิดและรูปแบบของแต่ละพารามิเตอร์ตรวจสอบแล้วจากเอกสาร OpenAPI - ที่นี่ตรวจเฉพาะกฎที่ schema บอกไม่ได้
+// (ช่วงที่กลับด้าน และสถานะที่ไม่รู้จัก), now: เวลาที่ใช้หาสถานะจริงของโพสต์
+export function parseFilterParams({ category, author, dateFrom, dateTo, minLikes, maxLikes, status }, now = new Date()) {
+  const errors = [];
+  const filters = [];
+
+  // หมวดหมู่: ตรงกับหมวดหมู่ใดก็ได้ในรายการ (ไม่สนใจตัวพิมพ์ใหญ่เล็ก)
+  const categories = (category || '').split(',').map(normalizeText).filter(Boolean);
+  if (categories.length > 0) {
+    filters.push((post) => categories.includes(normalizeText(post.category)));
+  }
+
+  // ผู้เขียน: ตรงกันทั้งชื่อ (ไม่สนใจตัวพิมพ์ใหญ่เล็ก)
+  const authorName = normalizeText(author);
+  if (authorName) {
+    filters.push((post) => normalizeText(post.author) === authorName);
+  }
+
+  // ช่วงวันที่
+  const from = dateFrom ? parseDateParam(dateFrom) : undefined;
+  const to = dateTo ? parseDateParam(dateTo, { endOfDay: true }) : undefined;
+  if (from !== undefined && to !== undefined && from > to) {
+    errors.push('dateFrom cannot be after dateTo');
+  }
+  if (from !== undefined) filters.push((post) => new Date(post.date).getTime() >= from);
+  if (to !== undefined) filters.push((post) => new Date(post.date).getTime() <= to);
+
+  // ช่วงจำนวน likes
+  const likesBounds = {};
+  Object.entries({ minLikes, maxLikes }).forEach(([name, value]) => {
+    if (value !== undefined && value !== '') likesBounds[name] = Number(value);
+  });
+  if (likesBounds.minLikes !== undefined && likesBounds.maxLikes !== undefined
+    && likesBounds.minLikes > likesBounds.maxLikes) {
+    errors.push('minLikes cannot be greater than maxLikes');
+  }
+  if (likesBounds.minLikes !== undefined) filters.push((post) => post.likes >= likesBounds.minLikes);
+  if (likesBounds.maxLikes !== undefined) filters.push((post) => post.likes <= likesBounds.maxLikes);
+
+  // สถานะ: ตรงกับสถานะใดก็ได้ในรายการ (ใช้สถานะจริง ณ ตอนนี้ เช่น scheduled ที่ถึงเวลาแล้วเป็น published)
+  const statuses = (status || '').split(',').map(normalizeText).filter(Boolean);
+  statuses.filter((value) => !POST_STATUSES.includes(value)).forEach((value) => {
+    errors.push(`Unknown status: ${value}`);
+  });
+  if (statuses.length > 0) {
+    filters.push((post) => statuses.includes(effectiveStatus(post, now)));
+  }
+
+  return { filters, errors };
+}
+
+// ฟิลด์ทั้งหมดของโพสต์ที่เลือกได้ผ่านพารามิเตอร์ fields
+export const POST_FIELDS = [
+  'id', 'title', 'description', 'content', 'category', 'author', 'image', 'date', 'likes', 'status', 'publishAt',
+  'version', 'updatedAt'
+];
+
+// ชุดฟิลด์สำเร็จรูป - summary สำหรับรายการ (ไม่มี content ซึ่งเป็นข้อมูลส่วนใหญ่), full สำหรับโพสต์เดียว
+export const FIELD_PROJECTIONS = {
+  summary: POST_FIELDS.filter((field) => field !== 'content'),
+  full: POST_FIELDS
+};
+
+// แปลงพารามิเตอร์ fields เช่น "title,image,description" หรือชื่อชุดฟิลด์ (summary, full)
+// id จะถูกรวมเสมอ เพื่อให้อ้างอิงโพสต์ได้ - คืนค่า { fields, errors } (ชนิดตรวจสอบแล้วจากเอกสาร OpenAPI)
+export function parseFieldsParam(value, defaultProjection) {
+  if (value === undefined || value === '') {
+    return { fields: FIELD_PROJECTIONS[defaultProjection], errors: [] };
+  }
+
+  const errors = [];
+  const fields = new Set(['id']);
+  value.split(',').map((part) => part.trim()).filter(Boolean).forEach((name) => {
+    if (Object.prototype.hasOwnProperty.call(FIELD_PROJECTIONS, name)) {
+      FIELD_PROJECTIONS[name].forEach((field) => fields.add(field));
+    } else if (POST_FIELDS.includes(name)) {
+      fields.add(name);
+    } else {
+      errors.push(`Unknown field: ${name}`); // ฟิลด์ที่ไม่รู้จัก
+    }
+  });
+
+  return { fields: errors.length > 0 ? null : [...fields], errors };
+}
+
+// เลือกเฉพาะฟิลด์ที่ต้องการจากโพสต์ (ฟิลด์ที่ไม่ใช่ของโพสต์ เช่น score จะถูกคงไว้)
+export function projectPost(post, fields) {
+  const projected = {};
+  Object.keys(post).forEach((key) => {
+    if (!POST_FIELDS.includes(key) || fields.includes(key)) {
+      projected[key] = post[key];
+    }
+  });
+  return projected;
+}
@@ -0,0 +1,34 @@
+// post-validation.mjs
+// กฎของฟิลด์ในโพสต์ที่ส่งเข้ามาทาง API - openapi.mjs สร้าง JSON Schema ของ request body จากกฎชุดนี้
+// และตรวจสอบ body ก่อนถึง route (validateRequest)
+import { POST_STATUSES } from "./post-workflow.mjs";
+
+// กำหนด schema ของแต่ละฟิลด์ที่โพสต์ใช้ (ตรงกับโครงสร้างใน db/index.mjs)
+// likes ไม่อยู่ใน schema - ตัวนับเปลี่ยนได้ผ่าน POST/DELETE /posts/:id/like เท่านั้น
+export const postSchema = {
+  title: { type: 'string', required: true, maxLength: 200 },
+  description: { type: 'string', required: true, maxLength: 1000 },
+  content: { type: 'string', required: true, maxLength: 100000 },
+  category: { type: 'string', required: true, maxLength: 50 },
+  author: { type: 'string', required: true, maxLength: 100 },
+  image: { type: 'url', required: true, maxLength: 2048 },
+  date: { type: 'date', required: false },
+  status: { type: 'enum', values: POST_STATUSES, required: false },
+  publishAt: { type: 'date', required: false }
+};
+
+// แปลงข้อมูลที่ผ่านการตรวจสอบแล้วให้อยู่ในรูปแบบเดียวกับโพสต์ใน db (trim ข้อความ, แปลงวันที่เป็น Date)
+export function normalizePostPayload(body) {
+  const normalized = {};
+  Object.entries(postSchema).forEach(([name, rule]) => {
+    if (body[name] === undefined) return;
+    if (rule.type === 'date') {
+      normalized[name] = new Date(body[name]);
+    } else if (rule.type === 'string' || rule.type === 'url') {
+      normalized[name] = body[name].trim();
+    } else {
+      normalized[name] = body[name];
+    }
+  });
+  return normalized;
+}
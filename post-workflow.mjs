@@ -0,0 +1,53 @@
+// post-workflow.mjs
+// สถานะของโพสต์ (draft → in_review → scheduled → published → archived) และการมองเห็นตามสถานะ
+import { ROLE_LEVELS, canEditPost } from "./auth-middleware.mjs";
+
+// สถานะทั้งหมดของโพสต์ - โพสต์เดิมที่ไม่มี status ถือว่า published
+export const POST_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// สถานะที่เปลี่ยนไปได้จากแต่ละสถานะ
+export const STATUS_TRANSITIONS = {
+  draft: ['in_review'],
+  in_review: ['draft', 'scheduled', 'published'],
+  scheduled: ['draft', 'in_review', 'published'],
+  published: ['archived'],
+  archived: ['draft', 'published']
+};
+
+// สถานะที่ author จัดการเองได้ - การตั้งเวลา เผยแพร่ และเก็บถาวรเป็นหน้าที่ของ editor ขึ้นไป
+const AUTHOR_STATUSES = ['draft', 'in_review'];
+
+// สถานะจริงของโพสต์ ณ เวลาที่กำหนด - scheduled ที่ถึง publishAt แล้วนับเป็น published
+// (คำนวณตอนอ่าน จึงแสดงผลอัตโนมัติโดยไม่ต้องมี job หรือรีสตาร์ท)
+export function effectiveStatus(post, now = new Date()) {
+  const status = post.status || 'published';
+  if (status === 'scheduled' && post.publishAt && new Date(post.publishAt).getTime() <= now.getTime()) {
+    return 'published';
+  }
+  return status;
+}
+
+// ผู้เรียกเห็นโพสต์นี้ได้หรือไม่ - โพสต์ที่ยังไม่เผยแพร่เห็นได้เฉพาะเจ้าของและ editor ขึ้นไป
+export function canViewPost(user, post, now = new Date()) {
+  return effectiveStatus(post, now) === 'published' || canEditPost(user, post);
+}
+
+// ตรวจสอบการเปลี่ยนสถานะ - current เป็น null ตอนสร้างโพสต์, next คือโพสต์หลังแก้ไข
+// คืนค่า null ถ้าผ่าน หรือ { status: 403 | 422, message } ถ้าไม่ผ่าน
+export function checkStatusChange(user, current, next, now = new Date()) {
+  const from = current ? effectiveStatus(current, now) : null;
+  const to = next.status;
+  if (from === to) return null;
+
+  if (from && !STATUS_TRANSITIONS[from].includes(to)) {
+    return { status: 422, message: `Cannot change status from ${from} to ${to}` };
+  }
+  const editor = ROLE_LEVELS[user.role] >= ROLE_LEVELS.editor;
+  if (!editor && !(AUTHOR_STATUSES.includes(to) && (from === null || AUTHOR_STATUSES.includes(from)))) {
+    return { status: 403, message: 'Requires editor role or higher to schedule, publish or archive posts' };
+  }
+  if (to === 'scheduled' && !(next.publishAt && new Date(next.publishAt).getTime() > now.getTime())) {
+    return { status: 422, message: 'publishAt must be a future date when status is scheduled' };
+  }
+  return null;
+}
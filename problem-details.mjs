@@ -0,0 +1,109 @@
+// problem-details.mjs
+// รูปแบบข้อผิดพลาดเดียวของ API ตาม RFC 9457 (application/problem+json)
+// { type, title, status, detail, instance, code, errors?, requestId, ...ข้อมูลเพิ่มเติม เช่น requestedId }
+import { loggerFor } from './logger.mjs';
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// type ของแต่ละปัญหาเป็น URI /problems/<code> (เปิดดูคำอธิบายได้ที่ GET /problems/:code)
+export const PROBLEM_TYPE_BASE = '/problems/';
+
+// ประเภทของข้อผิดพลาดทั้งหมด: code (คงที่ สำหรับให้โปรแกรมตรวจสอบ) -> status และ title
+export const PROBLEM_TYPES = {
+  invalid_json: { status: 400, title: 'Malformed JSON body' },
+  invalid_content_type: { status: 400, title: 'Invalid content type' },
+  invalid_post_id: { status: 400, title: 'Invalid post ID' },
+  invalid_pagination: { status: 400, title: 'Invalid pagination parameters' },
+  invalid_sort: { status: 400, title: 'Invalid sort parameters' },
+  invalid_fields: { status: 400, title: 'Invalid fields parameter' },
+  invalid_filter: { status: 400, title: 'Invalid filter parameters' },
+  invalid_keyword: { status: 400, title: 'Invalid keyword parameter' },
+  invalid_format: { status: 400, title: 'Invalid format parameter' },
+  invalid_revision_range: { status: 400, title: 'Invalid revision parameters' },
+  invalid_reassignment: { status: 400, title: 'Invalid reassignment target' },
+  unauthorized: { status: 401, title: 'Unauthorized' },
+  forbidden: { status: 403, title: 'Forbidden' },
+  cors_origin_not_allowed: { status: 403, title: 'CORS error' },
+  route_not_found: { status: 404, title: 'Route not found' },
+  post_not_found: { status: 404, title: 'Blog post not found' },
+  comment_not_found: { status: 404, title: 'Comment not found' },
+  revision_not_found: { status: 404, title: 'Revision not found' },
+  category_not_found: { status: 404, title: 'Category not found' },
+  problem_type_not_found: { status: 404, title: 'Problem type not found' },
+  request_timeout: { status: 408, title: 'Request timeout' },
+  post_id_mismatch: { status: 409, title: 'Post ID mismatch' },
+  post_title_conflict: { status: 409, title: 'Blog post already exists' },
+  category_conflict: { status: 409, title: 'Category already exists' },
+  category_not_empty: { status: 409, title: 'Category has posts' },
+  revision_not_restorable: { status: 409, title: 'Revision cannot be restored' },
+  precondition_failed: { status: 412, title: 'Precondition failed' },
+  payload_too_large: { status: 413, title: 'Payload too large' },
+  invalid_post: { status: 422, title: 'Invalid post data' },
+  invalid_comment: { status: 422, title: 'Invalid comment data' },
+  invalid_category: { status: 422, title: 'Invalid category data' },
+  precondition_required: { status: 428, title: 'Precondition required' },
+  rate_limited: { status: 429, title: 'Too many requests' },
+  internal_error: { status: 500, title: 'Internal server error' },
+  response_validation_failed: { status: 500, title: 'Response does not match the API specification' }
+};
+
+// แปลงข้อความจากตัวตรวจสอบเป็น { field, detail } - ข้อความของตัวตรวจสอบขึ้นต้นด้วยชื่อฟิลด์
+// (เช่น "title must be a non-empty string") หรือเป็น "Unknown field: x"; ข้อความอื่นไม่มี field
+export function toFieldError(error) {
+  if (typeof error !== 'string') return error;
+  const unknown = /^Unknown (\w+): (.+)$/.exec(error);
+  if (unknown) return { field: unknown[1] === 'field' ? unknown[2] : unknown[1], detail: error };
+  const named = /^([a-z][A-Za-z0-9]*) (must|cannot|is)\b/.exec(error);
+  return named ? { field: named[1], detail: error } : { detail: error };
+}
+
+// สร้าง body ของ problem+json - errors (ถ้ามี) เป็นข้อความหรือ { field, detail }
+export function createProblem(code, { detail, errors, instance, ...extensions } = {}) {
+  const { status, title } = PROBLEM_TYPES[code];
+  const fieldErrors = errors ? errors.map(toFieldError) : null;
+  return {
+    type: `${PROBLEM_TYPE_BASE}${code}`,
+    title,
+    status,
+    detail: detail ?? (fieldErrors ? fieldErrors.map((error) => error.detail).join('; ') : title),
+    ...(instance ? { instance } : {}),
+    code,
+    ...(fieldErrors ? { errors: fieldErrors } : {}),
+    ...extensions
+  };
+}
+
+// ส่งข้อผิดพลาดตาม code - instance คือ URL ของ request ที่เกิดปัญหา, requestId ใช้ค้นหา log ของ request นั้น
+// response ที่ส่งไปแล้ว (เช่น 408 จาก request timeout ก่อน handler ทำงานเสร็จ) ส่งซ้ำไม่ได้ จึงบันทึก log อย่างเดียว
+export function sendProblem(res, code, options = {}) {
+  const { req } = res;
+  if (res.headersSent) {
+    loggerFor(req).warn('Problem not sent: response already sent', { code });
+    return res;
+  }
+  const problem = createProblem(code, {
+    instance: req && req.originalUrl,
+    ...(req && req.id ? { requestId: req.id } : {}),
+    ...options
+  });
+  return res.status(problem.status).type(PROBLEM_CONTENT_TYPE).json(problem);
+}
+
+// ส่ง 500 - รายละเอียดของ error แสดงเฉพาะเมื่อ app ตั้งค่า nodeEnv เป็น development (app.locals.config)
+export function sendServerError(res, error, context) {
+  loggerFor(res.req).error(`Error in ${context} endpoint`, { error });
+  if (res.headersSent) return res; // ดู sendProblem
+  const config = res.app && res.app.locals.config;
+  return sendProblem(res, 'internal_error', {
+    detail: config && config.nodeEnv === 'development' ? error.message : 'Something went wrong'
+  });
+}
+
+// คำอธิบายของ problem type (URI ใน type ของทุก problem ชี้มาที่นี่)
+export function problemTypeHandler(req, res) {
+  const type = PROBLEM_TYPES[req.params.code];
+  if (!Object.prototype.hasOwnProperty.call(PROBLEM_TYPES, req.params.code)) {
+    return sendProblem(res, 'problem_type_not_found', { requestedCode: req.params.code });
+  }
+  return res.json({ type: `${PROBLEM_TYPE_BASE}${req.params.code}`, code: req.params.code, ...type });
+}
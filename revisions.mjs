@@ -0,0 +1,283 @@
+// revisions.mjs
+// ประวัติการแก้ไขโพสต์ (/posts/:id/revisions) - เก็บ snapshot ทุกครั้งที่โพสต์เปลี่ยน, เปรียบเทียบ และกู้คืน
+import express from "express";
+import { canEditPost } from "./auth-middleware.mjs";
+import { createPaginationResult, MAX_PAGE_SIZE } from "./pagination.mjs";
+import { sendProblem, sendServerError } from "./problem-details.mjs";
+
+// ฟิลด์ที่ถูกกู้คืนจาก revision (likes และสถานะของโพสต์ไม่ย้อนกลับ)
+export const RESTORABLE_FIELDS = ['title', 'description', 'content', 'category', 'author', 'image', 'date'];
+
+// ฟิลด์ที่เปรียบเทียบแบบรายบรรทัด (Markdown)
+const LINE_DIFF_FIELDS = ['content'];
+
+// ฟิลด์ที่เปลี่ยนทุกครั้งที่บันทึก และตัวนับ likes ที่เปลี่ยนจากการกดถูกใจ (ไม่ใช่การแก้ไขของผู้เขียน)
+// จึงไม่นับเป็นการเปลี่ยนแปลงใน diff
+const IGNORED_DIFF_FIELDS = ['updatedAt', 'version', 'likes'];
+
+// จำนวน revision ต่อหน้าเมื่อไม่ระบุ ?limit (REVISIONS_PAGE_SIZE)
+export const DEFAULT_REVISIONS_PAGE_SIZE = 20;
+
+// ขนาดสูงสุดของตาราง LCS (จำนวนบรรทัดที่ต่างกันของสองฝั่งคูณกัน) - ประมาณ 16 MB
+// ส่วนที่ต่างกันมากกว่านี้แสดงเป็นลบทั้งหมดแล้วเพิ่มทั้งหมด เพื่อไม่ให้ content ยาวๆ ใช้หน่วยความจำจนหมด
+export const MAX_LINE_DIFF_CELLS = 4_000_000;
+
+// เปรียบเทียบข้อความสองชุดแบบรายบรรทัดด้วย longest common subsequence
+// คืนค่า [{ type: 'unchanged' | 'removed' | 'added', text }] - บรรทัดที่ถูกลบมาก่อนบรรทัดที่เพิ่มแทนที่ (แบบ unified diff)
+export function diffLines(before, after) {
+  const oldLines = String(before ?? '').split('\n');
+  const newLines = String(after ?? '').split('\n');
+
+  // ตัดบรรทัดที่เหมือนกันตอนต้นและตอนท้ายออกก่อน เพื่อลดขนาดตาราง LCS
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const lines = oldLines.slice(0, start).map((text) => ({ type: 'unchanged', text }));
+  const suffix = oldLines.slice(oldEnd).map((text) => ({ type: 'unchanged', text }));
+
+  const width = newMiddle.length + 1;
+  if ((oldMiddle.length + 1) * width > MAX_LINE_DIFF_CELLS) {
+    oldMiddle.forEach((text) => lines.push({ type: 'removed', text }));
+    newMiddle.forEach((text) => lines.push({ type: 'added', text }));
+    return lines.concat(suffix);
+  }
+
+  // ตาราง LCS แบบ array เดียว: lengths[i * width + j] = LCS ของ oldMiddle[i..] และ newMiddle[j..]
+  const lengths = new Uint32Array((oldMiddle.length + 1) * width);
+  const at = (i, j) => lengths[i * width + j];
+  for (let i = oldMiddle.length - 1; i >= 0; i--) {
+    for (let j = newMiddle.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = oldMiddle[i] === newMiddle[j]
+        ? at(i + 1, j + 1) + 1
+        : Math.max(at(i + 1, j), at(i, j + 1));
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < oldMiddle.length || j < newMiddle.length) {
+    if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+      lines.push({ type: 'unchanged', text: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (i < oldMiddle.length && (j === newMiddle.length || at(i + 1, j) >= at(i, j + 1))) {
+      lines.push({ type: 'removed', text: oldMiddle[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: newMiddle[j] });
+      j++;
+    }
+  }
+  return lines.concat(suffix);
+}
+
+// ชื่อฟิลด์ที่ต่างกันระหว่าง snapshot สองชุด (เทียบค่าอย่างเดียว ไม่สร้าง diff รายบรรทัด)
+export function changedFields(before, after) {
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => !IGNORED_DIFF_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// เปรียบเทียบ snapshot สองชุดแบบรายฟิลด์ - content แสดงเป็นรายบรรทัด
+export function diffSnapshots(before, after) {
+  return changedFields(before, after)
+    .map((field) => (LINE_DIFF_FIELDS.includes(field)
+      ? { field, lines: diffLines(before[field], after[field]) }
+      : { field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+// ข้อมูลสรุปของ revision (ไม่มี snapshot) สำหรับรายการ
+const toSummary = (revision, previous) => ({
+  revision: revision.revision,
+  action: revision.action,
+  editor: revision.editor,
+  createdAt: revision.createdAt,
+  ...(revision.restoredFrom ? { restoredFrom: revision.restoredFrom } : {}),
+  changedFields: previous ? changedFields(previous.snapshot, revision.snapshot) : []
+});
+
+// สร้างประวัติการแก้ไขที่เชื่อมกับ post store
+// การสร้าง/แก้ไขโพสต์ผ่าน create/update จะบันทึก revision ใหม่ที่แก้ไขไม่ได้ทุกครั้ง
+// updatePost(id, data, { expectedVersion }): บันทึกโพสต์ที่แก้ไข (app.mjs ส่งผ่าน likeService ซึ่งเพิ่ม version
+// และตรวจ expectedVersion ในคิวเดียวกับการเขียน โดยไม่ทับตัวนับ likes)
+// clock: คืนค่าเวลาปัจจุบัน (ใช้กับ createdAt ของ revision)
+// pagination: { defaultLimit, maxLimit } ของรายการ revision (จาก config)
+export function createRevisionHistory({
+  revisionStore,
+  postStore,
+  updatePost = async (id, data) => {
+    const stored = await postStore.getById(id);
+    return stored && postStore.update(id, { ...data, version: (stored.version || 1) + 1 });
+  },
+  clock = () => new Date(),
+  pagination = { defaultLimit: DEFAULT_REVISIONS_PAGE_SIZE, maxLimit: MAX_PAGE_SIZE }
+}) {
+  const revisionsOf = async (postId) => {
+    const { items } = await revisionStore.list({
+      filter: (revision) => revision.postId === postId,
+      sort: (a, b) => a.revision - b.revision
+    });
+    return items;
+  };
+
+  // บันทึก snapshot ของโพสต์ (แปลงเป็น JSON เพื่อให้ revision ไม่ถูกแก้ไขผ่าน reference)
+  const record = async (post, user, action, extra = {}) => {
+    const existing = await revisionsOf(post.id);
+    const { id, ...snapshot } = JSON.parse(JSON.stringify(post));
+    return revisionStore.create({
+      postId: id,
+      revision: existing.length + 1,
+      action,
+      editor: user ? user.name : null,
+      editorId: user ? user.id : null,
+      createdAt: clock().toISOString(),
+      ...extra,
+      snapshot
+    });
+  };
+
+  // โพสต์ที่มีอยู่ก่อนเปิดใช้ประวัติ (เช่นข้อมูลใน db/index.mjs) ได้ revision แรกจากสถานะก่อนแก้ไขครั้งแรก
+  const ensureBaseline = async (post) => {
+    if ((await revisionsOf(post.id)).length === 0) {
+      await record(post, null, 'imported');
+    }
+  };
+
+  const getRevision = async (postId, number) => {
+    const { items } = await revisionStore.list({
+      filter: (revision) => revision.postId === postId && revision.revision === number,
+      limit: 1
+    });
+    return items[0] || null;
+  };
+
+  return {
+    // สร้างโพสต์ใหม่พร้อม revision แรก
+    async create(data, user) {
+      const post = await postStore.create(data);
+      await record(post, user, 'created');
+      return post;
+    },
+
+    // แก้ไขโพสต์และบันทึก revision (action: updated หรือ restored)
+    // expectedVersion: version ที่ผู้แก้ไขเห็น (If-Match) - ไม่ระบุคือแก้ไขโดยไม่มีเงื่อนไข
+    async update(current, data, user, { action = 'updated', restoredFrom, expectedVersion } = {}) {
+      await ensureBaseline(current);
+      const updated = await updatePost(current.id, data, { expectedVersion });
+      if (!updated) return null;
+      await record(updated, user, action, restoredFrom ? { restoredFrom } : {});
+      return updated;
+    },
+
+    getRevision,
+
+    // ลบประวัติทั้งหมดของโพสต์ (ใช้เมื่อโพสต์ถูกลบ เพื่อไม่ให้ติดไปกับโพสต์ใหม่ที่ได้ ID เดิม)
+    async removeAll(postId) {
+      for (const revision of await revisionsOf(postId)) {
+        await revisionStore.delete(revision.id);
+      }
+    },
+
+    // สร้าง router ของ GET /posts/:id/revisions - rateLimits และ requireRole ส่งมาจาก app
+    // ดูประวัติได้เฉพาะผู้ที่แก้ไขโพสต์ได้ (เจ้าของโพสต์ และ editor ขึ้นไป)
+    createRouter({ rateLimits, requireRole }) {
+      const router = express.Router({ mergeParams: true });
+
+      const loadPost = async (req, res) => {
+        const postId = parseInt(req.params.id, 10); // ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+        const post = await postStore.getById(postId);
+        if (!post) {
+          sendProblem(res, 'post_not_found', { requestedId: postId });
+          return null;
+        }
+        if (!canEditPost(req.user, post)) {
+          sendProblem(res, 'forbidden', { detail: "Authors can only manage their own posts" });
+          return null;
+        }
+        return post;
+      };
+
+      // รายการ revision (ใหม่ไปเก่า) พร้อมฟิลด์ที่เปลี่ยนจาก revision ก่อนหน้า
+      router.get("/", rateLimits.read, requireRole('author'), async (req, res) => {
+        try {
+          // page และ limit ตรวจสอบแล้วจากเอกสาร OpenAPI (openapi.mjs)
+          const { page, limit } = req.query;
+          const post = await loadPost(req, res);
+          if (!post) return undefined;
+
+          const revisions = await revisionsOf(post.id);
+          const summaries = revisions.map((revision, index) => toSummary(revision, revisions[index - 1])).reverse();
+          const numPage = Math.max(1, Number(page) || 1);
+          const numLimit = Math.max(1, Math.min(pagination.maxLimit, Number(limit) || pagination.defaultLimit));
+          const start = (numPage - 1) * numLimit;
+          return res.json(createPaginationResult(
+            { items: summaries.slice(start, start + numLimit), total: summaries.length },
+            numPage,
+            numLimit,
+            { items: 'revisions', total: 'totalRevisions' }
+          ));
+        } catch (error) {
+          return sendServerError(res, error, 'GET /posts/:id/revisions');
+        }
+      });
+
+      // เปรียบเทียบสอง revision: ?from=<rev>&to=<rev> (ค่าเริ่มต้น: to = ล่าสุด, from = ก่อนหน้า to)
+      router.get("/diff", rateLimits.read, requireRole('author'), async (req, res) => {
+        try {
+          const post = await loadPost(req, res);
+          if (!post) return undefined;
+
+          const revisions = await revisionsOf(post.id);
+          const parseRevision = (value, fallback) => (value === undefined ? fallback : Number(value));
+          const to = parseRevision(req.query.to, revisions.length);
+          const from = parseRevision(req.query.from, to - 1);
+          const errors = [];
+          [['from', from], ['to', to]].forEach(([name, value]) => {
+            if (!Number.isInteger(value) || value < 1 || value > revisions.length) {
+              errors.push(`${name} must be an existing revision number`);
+            }
+          });
+          if (errors.length > 0) {
+            return sendProblem(res, 'invalid_revision_range', { errors });
+          }
+
+          return res.json({
+            postId: post.id,
+            from,
+            to,
+            changes: diffSnapshots(revisions[from - 1].snapshot, revisions[to - 1].snapshot)
+          });
+        } catch (error) {
+          return sendServerError(res, error, 'GET /posts/:id/revisions/diff');
+        }
+      });
+
+      // ดึง revision เดียวพร้อม snapshot ทั้งหมด
+      router.get("/:rev", rateLimits.read, requireRole('author'), async (req, res) => {
+        try {
+          const post = await loadPost(req, res);
+          if (!post) return undefined;
+
+          const revision = await getRevision(post.id, Number(req.params.rev));
+          if (!revision) {
+            return sendProblem(res, 'revision_not_found', { requestedRevision: req.params.rev });
+          }
+          const { id, postId, editorId, ...rest } = revision;
+          return res.json({ postId, ...rest });
+        } catch (error) {
+          return sendServerError(res, error, 'GET /posts/:id/revisions/:rev');
+        }
+      });
+
+      return router;
+    }
+  };
+}
@@ -0,0 +1,65 @@
+import { diffLines, diffSnapshots, changedFields, MAX_LINE_DIFF_CELLS } from "./revisions.mjs";
+
+describe("Revision diffs", () => {
+  it("should diff text line by line", () => {
+    // ทดสอบการเปรียบเทียบรายบรรทัด
+    const lines = diffLines("# Title\nfirst\nsecond\nend", "# Title\nfirst\nchanged\nextra\nend");
+    expect(lines).toEqual([
+      { type: 'unchanged', text: '# Title' },
+      { type: 'unchanged', text: 'first' },
+      { type: 'removed', text: 'second' },
+      { type: 'added', text: 'changed' },
+      { type: 'added', text: 'extra' },
+      { type: 'unchanged', text: 'end' }
+    ]);
+  });
+
+  it("should handle empty and identical text", () => {
+    // ทดสอบข้อความว่างและข้อความที่เหมือนกัน
+    expect(diffLines(undefined, "a")).toEqual([{ type: 'removed', text: '' }, { type: 'added', text: 'a' }]);
+    expect(diffLines("same", "same")).toEqual([{ type: 'unchanged', text: 'same' }]);
+  });
+
+  it("should fall back to a whole-block diff when the LCS table would be too large", () => {
+    // ทดสอบว่า content ยาวที่ต่างกันทั้งหมดไม่สร้างตาราง LCS ขนาดใหญ่
+    const size = Math.ceil(Math.sqrt(MAX_LINE_DIFF_CELLS));
+    const before = Array.from({ length: size }, (_, index) => `old ${index}`);
+    const after = Array.from({ length: size }, (_, index) => `new ${index}`);
+    const lines = diffLines(['# Title', ...before, 'end'].join('\n'), ['# Title', ...after, 'end'].join('\n'));
+
+    expect(lines).toHaveLength(size * 2 + 2);
+    expect(lines[0]).toEqual({ type: 'unchanged', text: '# Title' });
+    expect(lines[1]).toEqual({ type: 'removed', text: 'old 0' });
+    expect(lines.filter((line) => line.type === 'removed').map((line) => line.text)).toEqual(before);
+    expect(lines.filter((line) => line.type === 'added').map((line) => line.text)).toEqual(after);
+    expect(lines[lines.length - 1]).toEqual({ type: 'unchanged', text: 'end' });
+  });
+
+  it("should list changed field names without diffing content", () => {
+    // ทดสอบชื่อฟิลด์ที่เปลี่ยน (ไม่นับ updatedAt, version และ likes)
+    expect(changedFields(
+      { title: "Same", content: "a", version: 1, updatedAt: "2024-01-01", likes: 1 },
+      { title: "Same", content: "b", version: 2, updatedAt: "2024-01-02", likes: 5, image: "x" }
+    )).toEqual(['content', 'image']);
+  });
+
+  it("should report only changed fields", () => {
+    // ทดสอบการเปรียบเทียบรายฟิลด์ (content เป็นรายบรรทัด)
+    const changes = diffSnapshots(
+      { title: "Old", content: "a\nb", likes: 1 },
+      { title: "New", content: "a\nc", likes: 1, image: "https://example.com/x.jpg" }
+    );
+    expect(changes).toEqual([
+      { field: 'title', before: 'Old', after: 'New' },
+      {
+        field: 'content',
+        lines: [
+          { type: 'unchanged', text: 'a' },
+          { type: 'removed', text: 'b' },
+          { type: 'added', text: 'c' }
+        ]
+      },
+      { field: 'image', before: null, after: 'https://example.com/x.jpg' }
+    ]);
+  });
+});
@@ -0,0 +1,19 @@
+// scripts/create-token.mjs
+// สร้าง bearer token สำหรับเรียก API ที่ต้องยืนยันตัวตน
+// ใช้งาน: AUTH_SECRET=... npm run token -- <sub> "<name>" <reader|author|editor|admin> [expiresInSeconds]
+import { signToken, ROLE_LEVELS } from "../auth-middleware.mjs";
+
+const [sub, name, role, expiresIn] = process.argv.slice(2);
+
+if (!process.env.AUTH_SECRET) {
+  console.error('AUTH_SECRET environment variable is required');
+  process.exit(1);
+}
+
+if (!sub || !name || !Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role)) {
+  console.error(`Usage: create-token <sub> <name> <${Object.keys(ROLE_LEVELS).join('|')}> [expiresInSeconds]`);
+  process.exit(1);
+}
+
+const options = expiresIn ? { expiresInSeconds: Number(expiresIn) } : undefined;
+console.log(signToken({ sub, name, role }, process.env.AUTH_SECRET, options));
@@ -0,0 +1,145 @@
+// search.mjs
+// ระบบค้นหาแบบ full-text: ตัดคำ, stemming, inverted index และการจัดอันดับความเกี่ยวข้อง
+
+// น้ำหนักของแต่ละฟิลด์ - คำที่พบในหัวข้อมีความสำคัญมากกว่าในเนื้อหา
+export const DEFAULT_FIELD_WEIGHTS = {
+  title: 3,
+  category: 2,
+  description: 1.5,
+  content: 1
+};
+
+// suffix ที่ตัดออกตอน stemming (เรียงจากยาวไปสั้น เพื่อให้ตัด suffix ที่ยาวที่สุดก่อน)
+const SUFFIXES = [
+  'fulness', 'iveness', 'ousness', 'ational', 'ization',
+  'ations', 'ation', 'ments', 'ness', 'ment', 'ings', 'ing', 'ful', 'ies', 'ied', 'ed', 'ly', 'es', 's'
+];
+
+// ตัด suffix ทั่วไปในภาษาอังกฤษออก (light stemmer) เช่น mindfulness, mindful -> mind
+export function stem(word) {
+  for (const suffix of SUFFIXES) {
+    // ต้องเหลือรากคำอย่างน้อย 3 ตัวอักษร เพื่อไม่ให้คำสั้นเสียความหมาย
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const root = word.slice(0, -suffix.length);
+      return suffix === 'ies' || suffix === 'ied' ? `${root}y` : root;
+    }
+  }
+  return word;
+}
+
+// แยกข้อความเป็นคำ (ตัวเล็ก) และ stem แต่ละคำ
+export function tokenize(text) {
+  if (typeof text !== 'string') return [];
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+}
+
+// แยก query เป็นวลีในเครื่องหมายคำพูด ("...") และคำเดี่ยว
+export function parseQuery(query) {
+  const phrases = [];
+  const withoutPhrases = String(query).replace(/"([^"]*)"/g, (match, phrase) => {
+    const tokens = tokenize(phrase);
+    if (tokens.length > 1) phrases.push(tokens);
+    else if (tokens.length === 1) return ` ${phrase} `; // วลีคำเดียวถือเป็นคำเดี่ยว
+    return ' ';
+  });
+  return { terms: [...new Set(tokenize(withoutPhrases))], phrases };
+}
+
+// สร้าง inverted index ของโพสต์: term -> (postId -> (field -> ตำแหน่งของคำ))
+export function createSearchIndex({ fieldWeights = DEFAULT_FIELD_WEIGHTS } = {}) {
+  const postings = new Map();
+  const documentTerms = new Map(); // postId -> Set ของ term (ใช้ตอนลบออกจาก index)
+
+  // ความหายากของคำ (inverse document frequency) - คำที่พบในโพสต์น้อยมีน้ำหนักมากกว่า
+  const idf = (term) => {
+    const documentFrequency = postings.has(term) ? postings.get(term).size : 0;
+    return Math.log(1 + documentTerms.size / (documentFrequency || 1));
+  };
+
+  // คะแนนของคำหนึ่งในโพสต์หนึ่ง (รวมทุกฟิลด์ตามน้ำหนัก)
+  const termScore = (fields, term) => {
+    let score = 0;
+    fields.forEach((positions, field) => {
+      score += fieldWeights[field] * (1 + Math.log(positions.length));
+    });
+    return score * idf(term);
+  };
+
+  // นับจำนวนครั้งที่วลีปรากฏติดกันในแต่ละฟิลด์ แล้วคิดคะแนนตามน้ำหนักของฟิลด์
+  const phraseScore = (postId, phrase) => {
+    const firstFields = postings.get(phrase[0])?.get(postId);
+    if (!firstFields) return 0;
+
+    let score = 0;
+    firstFields.forEach((positions, field) => {
+      const occurrences = positions.filter((start) =>
+        phrase.every((term, offset) =>
+          postings.get(term)?.get(postId)?.get(field)?.includes(start + offset)
+        )
+      ).length;
+      if (occurrences > 0) {
+        score += fieldWeights[field] * (1 + Math.log(occurrences));
+      }
+    });
+    return score * phrase.reduce((sum, term) => sum + idf(term), 0);
+  };
+
+  const index = {
+    // เพิ่มหรืออัปเดตโพสต์ใน index
+    add(post) {
+      index.remove(post.id);
+      const terms = new Set();
+      Object.keys(fieldWeights).forEach((field) => {
+        tokenize(post[field]).forEach((term, position) => {
+          if (!postings.has(term)) postings.set(term, new Map());
+          const documents = postings.get(term);
+          if (!documents.has(post.id)) documents.set(post.id, new Map());
+          const fields = documents.get(post.id);
+          if (!fields.has(field)) fields.set(field, []);
+          fields.get(field).push(position);
+          terms.add(term);
+        });
+      });
+      documentTerms.set(post.id, terms);
+    },
+
+    // ลบโพสต์ออกจาก index
+    remove(postId) {
+      const terms = documentTerms.get(postId);
+      if (!terms) return;
+      terms.forEach((term) => {
+        const documents = postings.get(term);
+        documents.delete(postId);
+        if (documents.size === 0) postings.delete(term);
+      });
+      documentTerms.delete(postId);
+    },
+
+    // ค้นหาและคืนค่า Map ของ postId -> คะแนนความเกี่ยวข้อง
+    // ทุกวลีในเครื่องหมายคำพูดต้องพบในโพสต์, คำเดี่ยวพบอย่างน้อยหนึ่งคำ (โพสต์ที่ตรงหลายคำได้คะแนนสูงกว่า)
+    search(query) {
+      const { terms, phrases } = parseQuery(query);
+      const scores = new Map();
+      if (terms.length === 0 && phrases.length === 0) return scores;
+
+      documentTerms.forEach((documentTermSet, postId) => {
+        const phraseScores = phrases.map((phrase) => phraseScore(postId, phrase));
+        if (phraseScores.some((score) => score === 0)) return;
+
+        const matchedTerms = terms.filter((term) => documentTermSet.has(term));
+        if (terms.length > 0 && matchedTerms.length === 0 && phrases.length === 0) return;
+
+        const termTotal = matchedTerms.reduce(
+          (sum, term) => sum + termScore(postings.get(term).get(postId), term), 0
+        );
+        // coordination factor: สัดส่วนของคำใน query ที่พบในโพสต์
+        const coordination = terms.length > 0 ? matchedTerms.length / terms.length : 1;
+        const total = termTotal * coordination + phraseScores.reduce((sum, score) => sum + score, 0);
+        scores.set(postId, Math.round(total * 10000) / 10000);
+      });
+      return scores;
+    }
+  };
+
+  return index;
+}
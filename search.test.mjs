@@ -0,0 +1,82 @@
+import { createSearchIndex, stem, tokenize, parseQuery } from "./search.mjs";
+
+// ข้อมูลทดสอบสำหรับ search index
+const posts = [
+  { id: 1, title: "The Art of Mindfulness: Finding Peace", category: "General", description: "Be present.", content: "Mindful breathing helps." },
+  { id: 2, title: "Peaceful Gardens", category: "Inspiration", description: "A quiet place.", content: "Gardens bring peace of mind." },
+  { id: 3, title: "Cat Body Language", category: "Cat", description: "Read your cat.", content: "Body posture and language of cats." },
+  { id: 4, title: "Learning a Language", category: "General", description: "Body and mind.", content: "Language learning for the body." }
+];
+
+const buildIndex = () => {
+  const index = createSearchIndex();
+  posts.forEach((post) => index.add(post));
+  return index;
+};
+
+// เรียง postId ตามคะแนน (มากไปน้อย)
+const ranked = (scores) => [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+describe("Text analysis", () => {
+  it("should stem common English suffixes", () => {
+    // ทดสอบการตัด suffix
+    expect(stem("mindfulness")).toBe("mind");
+    expect(stem("mindful")).toBe("mind");
+    expect(stem("cats")).toBe("cat");
+    expect(stem("stories")).toBe("story");
+    expect(stem("is")).toBe("is"); // คำสั้นไม่ถูกตัด
+  });
+
+  it("should tokenize text into lowercase stemmed words", () => {
+    // ทดสอบการตัดคำ
+    expect(tokenize("Finding Peace, in a Busy-World!")).toEqual(["find", "peace", "in", "a", "busy", "world"]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  it("should separate quoted phrases from loose terms", () => {
+    // ทดสอบการแยกวลีและคำเดี่ยว
+    expect(parseQuery('cats "body language" "single"')).toEqual({
+      terms: ["cat", "single"],
+      phrases: [["body", "language"]]
+    });
+  });
+});
+
+describe("Search index", () => {
+  it("should rank title matches above content matches", () => {
+    // ทดสอบว่าคำในหัวข้อได้คะแนนสูงกว่าคำในเนื้อหา
+    const scores = buildIndex().search("mindful peace");
+
+    expect(ranked(scores)[0]).toBe(1);
+    expect(scores.get(1)).toBeGreaterThan(scores.get(2));
+  });
+
+  it("should require quoted phrases to appear contiguously", () => {
+    // ทดสอบการค้นหาแบบวลี - คำต้องอยู่ติดกันตามลำดับ
+    const scores = buildIndex().search('"body language"');
+
+    expect([...scores.keys()].sort()).toEqual([3]);
+  });
+
+  it("should combine phrases with loose terms", () => {
+    // ทดสอบการค้นหาวลีร่วมกับคำเดี่ยว
+    const scores = buildIndex().search('"finding peace" garden');
+    expect([...scores.keys()]).toEqual([1]);
+  });
+
+  it("should update and remove documents", () => {
+    // ทดสอบการอัปเดตและลบโพสต์ออกจาก index
+    const index = buildIndex();
+    index.add({ ...posts[2], title: "Dog Tricks", content: "Sit and stay.", description: "", category: "Dog" });
+    expect(index.search("cat").has(3)).toBe(false);
+
+    index.remove(1);
+    index.remove(99); // ลบโพสต์ที่ไม่มีอยู่ต้องไม่ error
+    expect(index.search("finding").size).toBe(0);
+  });
+
+  it("should return no results for empty queries", () => {
+    // ทดสอบ query ที่ไม่มีคำค้นหา
+    expect(buildIndex().search("!!! \"\"").size).toBe(0);
+  });
+});
@@ -1,50 +1,137 @@
 // security-middleware.mjs
 // ไฟล์ middleware สำหรับการรักษาความปลอดภัย
 import rateLimit from 'express-rate-limit';
+import { sendProblem } from './problem-details.mjs';
+
+// ค่าเริ่มต้นของ rate limit แยกตามกลุ่มของ route (windowMs = ช่วงเวลานับ, max = จำนวน request สูงสุด)
+// แทนได้ด้วย RATE_LIMIT_<GROUP>_WINDOW_MS และ RATE_LIMIT_<GROUP>_MAX (ดู config.mjs)
+export const RATE_LIMIT_DEFAULTS = {
+  search: { windowMs: 15 * 60 * 1000, max: 100 }, // GET /posts (รายการและการค้นหา)
+  read: { windowMs: 15 * 60 * 1000, max: 300 }, // GET /posts/:id
+  write: { windowMs: 15 * 60 * 1000, max: 30 } // POST/PUT/PATCH/DELETE
+};
+
+// สร้าง in-memory backend สำหรับ createSharedRateLimitStore (ใช้ในเครื่องเดียวหรือในการทดสอบ)
+// backend ที่ใช้ร่วมกันหลาย instance (เช่น Redis) ต้องมี method increment, decrement และ reset แบบเดียวกัน
+// ส่งให้ app ผ่าน createApp({ store: { rateLimits: backend } }) - now: คืนค่าเวลาปัจจุบัน (มิลลิวินาที)
+export const createMemoryRateLimitBackend = ({ now = Date.now } = {}) => {
+  const counters = new Map();
+  let nextSweep = 0;
+  // ลบ key ที่หมดช่วงเวลาแล้ว (ไม่เช่นนั้น Map จะโตขึ้นเรื่อยๆ ตามจำนวน IP ที่เคยเรียก)
+  const sweep = (time) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetTime.getTime() <= time) counters.delete(key);
+    });
+  };
+  return {
+    async increment(key, windowMs) {
+      const time = now();
+      if (time >= nextSweep) {
+        sweep(time);
+        nextSweep = time + windowMs;
+      }
+      let counter = counters.get(key);
+      if (!counter || counter.resetTime.getTime() <= time) {
+        counter = { totalHits: 0, resetTime: new Date(time + windowMs) }; // เริ่มช่วงเวลาใหม่
+        counters.set(key, counter);
+      }
+      counter.totalHits += 1;
+      return { ...counter };
+    },
+    async decrement(key) {
+      const counter = counters.get(key);
+      if (counter && counter.totalHits > 0) counter.totalHits -= 1;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+    // จำนวน key ที่เก็บอยู่
+    get size() {
+      return counters.size;
+    }
+  };
+};
+
+// แปลง backend ให้เป็น store ของ express-rate-limit โดยแยก key ตามกลุ่มของ route
+export const createSharedRateLimitStore = (backend, group) => {
+  let windowMs;
+  const prefixed = (key) => `rate-limit:${group}:${key}`;
+  return {
+    prefix: prefixed(''),
+    localKeys: false, // ข้อมูลอยู่ที่ backend ไม่ใช่ใน process นี้
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    increment: (key) => backend.increment(prefixed(key), windowMs),
+    decrement: (key) => backend.decrement(prefixed(key)),
+    resetKey: (key) => backend.reset(prefixed(key))
+  };
+};
 
 // การกำหนดค่า Rate Limiting เพื่อป้องกันการโจมตี DDoS
-export const createRateLimit = () => {
+// group: ชื่อกลุ่มของ route, backend: (ถ้ามี) backend ที่ใช้ร่วมกันแทน memory store ของแต่ละ process
+export const createRateLimit = ({
+  group = 'search',
+  windowMs = RATE_LIMIT_DEFAULTS.search.windowMs, // ช่วงเวลาสำหรับการนับ request
+  max = RATE_LIMIT_DEFAULTS.search.max, // จำนวน request สูงสุดต่อ IP (หรือ API key) ในช่วงเวลา
+  apiKeys = {}, // quota เฉพาะ API key
+  backend,
+  onRejected = () => {} // เรียกทุกครั้งที่ request ถูกปฏิเสธ (เช่นเพื่อนับใน metrics)
+} = {}) => {
+  // คืนค่า API key ถ้าเป็น key ที่รู้จัก (key ที่ไม่รู้จักจะถูกนับตาม IP เหมือนปกติ)
+  const knownApiKey = (req) => {
+    const key = req.headers['x-api-key'];
+    return typeof key === 'string' && Object.prototype.hasOwnProperty.call(apiKeys, key) ? key : null;
+  };
+
   return rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 นาที (ช่วงเวลาสำหรับการนับ request)
-    max: 100, // จำกัด IP แต่ละตัวไม่เกิน 100 requests ต่อ 15 นาที
-    message: {
-      error: 'Too many requests from this IP', // ข้อความแจ้งเตือนเมื่อเกินขีดจำกัด
-      retryAfter: '15 minutes' // แจ้งเวลาที่ควรลองใหม่
+    windowMs,
+    limit: (req) => {
+      const key = knownApiKey(req);
+      return key ? apiKeys[key] : max;
     },
+    keyGenerator: (req) => {
+      const key = knownApiKey(req);
+      return key ? `key:${key}` : `ip:${req.ip}`;
+    },
+    store: backend ? createSharedRateLimitStore(backend, group) : undefined,
     standardHeaders: true, // ส่ง standard rate limit headers
     legacyHeaders: false, // ไม่ส่ง legacy headers เพื่อความปลอดภัย
     handler: (req, res) => {
       // ฟังก์ชันจัดการเมื่อเกินขีดจำกัด rate limit
-      res.status(429).json({
-        error: 'Too many requests',
-        message: 'Rate limit exceeded. Please try again later.',
-        retryAfter: Math.ceil(req.rateLimit.resetTime / 1000) // เวลาที่เหลือจนจะ reset (วินาที)
+      onRejected(req);
+      const retryAfter = Math.max(0, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+      res.setHeader('Retry-After', String(retryAfter));
+      sendProblem(res, 'rate_limited', {
+        detail: 'Rate limit exceeded. Please try again later.',
+        retryAfter // เวลาที่เหลือจนจะ reset (วินาที)
       });
     }
   });
 };
 
+// ลบ script tags และ javascript code ที่อันตรายออกจากข้อความ (ใช้กับ query strings และข้อความจากผู้ใช้)
+export const stripXss = (value) => value
+  .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // ลบ <script> tags
+  .replace(/javascript:/gi, '') // ลบ javascript: protocol
+  .replace(/on\w+\s*=/gi, ''); // ลบ event handlers เช่น onclick, onload
+
 // Middleware สำหรับการตรวจสอบและทำความสะอาด input
 export const validateInput = (req, res, next) => {
   // ทำความสะอาด query parameters เพื่อป้องกัน XSS
   if (req.query) {
     Object.keys(req.query).forEach(key => {
       if (typeof req.query[key] === 'string') {
-        // ลบ script tags และ javascript code ที่อันตราย
-        req.query[key] = req.query[key]
-          .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // ลบ <script> tags
-          .replace(/javascript:/gi, '') // ลบ javascript: protocol
-          .replace(/on\w+\s*=/gi, ''); // ลบ event handlers เช่น onclick, onload
+        req.query[key] = stripXss(req.query[key]);
       }
     });
   }
   
-  // ตรวจสอบ Content-Type สำหรับ POST requests
-  if (req.method === 'POST' && req.headers['content-type']) {
+  // ตรวจสอบ Content-Type สำหรับ requests ที่มี body (POST, PUT, PATCH)
+  if (['POST', 'PUT', 'PATCH'].includes(req.method) && req.headers['content-type']) {
     if (!req.headers['content-type'].includes('application/json')) {
-      return res.status(400).json({
-        error: 'Invalid content type',
-        message: 'Content-Type must be application/json' // ต้องเป็น JSON เท่านั้น
+      return sendProblem(res, 'invalid_content_type', {
+        detail: 'Content-Type must be application/json' // ต้องเป็น JSON เท่านั้น
       });
     }
   }
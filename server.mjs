@@ -1,10 +1,35 @@
-import app from "./app.mjs";
+import { loadConfig, ConfigError } from "./config.mjs";
+import { createLogger } from "./logger.mjs";
+import { registerGracefulShutdown } from "./shutdown.mjs";
+import { createApp } from "./app.mjs";
 
-// Cloud Run ใช้ PORT environment variable, fallback เป็น 4001 สำหรับ local
-const port = process.env.PORT || 4001;
+// ตรวจสอบการตั้งค่าก่อนสร้าง app - ค่าที่ไม่ถูกต้องหยุด process พร้อมรายการปัญหาทั้งหมด
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  // ยังไม่มี config จึงใช้ logger ระดับเริ่มต้น
+  createLogger().error(error.message, { errors: error.errors });
+  process.exit(1);
+}
 
-// Bind กับ 0.0.0.0 เพื่อให้ Cloud Run เข้าถึงได้
-app.listen(port, '0.0.0.0', () => {
-  console.log(`Server is running at port ${port}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+// logger ของ process ตาม logLevel ใน config (รวมค่าจาก CONFIG_FILE)
+const logger = createLogger({ level: config.logLevel });
+
+const app = createApp({ config, logger });
+
+// Bind กับ 0.0.0.0 เพื่อให้ Cloud Run เข้าถึงได้ (Cloud Run กำหนด PORT ให้, ค่าเริ่มต้น 4001 สำหรับ local)
+const server = app.listen(config.port, '0.0.0.0', () => {
+  logger.info(`Server is running at port ${config.port}`, {
+    port: config.port,
+    environment: config.nodeEnv
+  });
+});
+
+// SIGTERM/SIGINT: readiness เป็น false แล้วรอ request ที่ค้างอยู่ (shutdownTimeoutMs) ก่อนปิด process
+registerGracefulShutdown(server, {
+  health: app.locals.health,
+  logger,
+  timeoutMs: config.shutdownTimeoutMs
+});
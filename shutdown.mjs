@@ -0,0 +1,52 @@
+// shutdown.mjs
+// graceful shutdown: เมื่อได้รับ SIGTERM (เช่นตอน Cloud Run deploy revision ใหม่) หยุดรับ request ใหม่
+// รอ request ที่กำลังทำงานให้เสร็จภายในเวลาที่กำหนด แล้วจึงปิด process
+import { logger as defaultLogger } from './logger.mjs';
+
+// เวลาสูงสุดที่รอ request ที่ค้างอยู่ (Cloud Run ให้เวลา 10 วินาทีหลัง SIGTERM) - ตั้งค่าผ่าน SHUTDOWN_TIMEOUT_MS
+export const DEFAULT_SHUTDOWN_TIMEOUT_MS = 9000;
+
+// ผูก server กับ signals - คืนค่าฟังก์ชัน shutdown (เรียกซ้ำได้ จะปิดเพียงครั้งเดียว)
+// health: ชุด health checks (readiness เป็น false ทันที), exit: ใช้แทน process.exit ในการทดสอบ
+export function registerGracefulShutdown(server, {
+  health,
+  logger = defaultLogger,
+  timeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS,
+  signals = ['SIGTERM', 'SIGINT'],
+  exit = (code) => process.exit(code)
+} = {}) {
+  let shutdownPromise = null;
+
+  const shutdown = (signal) => {
+    if (shutdownPromise) return shutdownPromise;
+    logger.info('Shutting down', { signal, timeoutMs });
+    if (health) health.startShutdown();
+
+    shutdownPromise = new Promise((resolve) => {
+      // ครบเวลาแล้วยังมี request ค้าง - ตัดการเชื่อมต่อที่เหลือแล้วปิดแบบ error
+      const deadline = setTimeout(() => {
+        logger.error('Shutdown deadline reached, closing remaining connections', { timeoutMs });
+        server.closeAllConnections();
+        exit(1);
+        resolve(1);
+      }, timeoutMs);
+      deadline.unref();
+
+      // หยุดรับการเชื่อมต่อใหม่ และรอ request ที่กำลังทำงานให้เสร็จ
+      server.close((error) => {
+        clearTimeout(deadline);
+        if (error) logger.error('Error while closing the server', { error });
+        else logger.info('Server closed');
+        const code = error ? 1 : 0;
+        exit(code);
+        resolve(code);
+      });
+      // keep-alive connections ที่ไม่มี request ค้างอยู่ไม่ต้องรอ
+      server.closeIdleConnections();
+    });
+    return shutdownPromise;
+  };
+
+  signals.forEach((signal) => process.once(signal, () => shutdown(signal)));
+  return shutdown;
+}
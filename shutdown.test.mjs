@@ -0,0 +1,83 @@
+import http from "node:http";
+import express from "express";
+import { jest } from '@jest/globals';
+import { registerGracefulShutdown } from "./shutdown.mjs";
+import { createHealthChecks } from "./health.mjs";
+import { createLogger } from "./logger.mjs";
+
+// server จริงที่มี route ช้า (ตอบเมื่อเรียก release) สำหรับทดสอบการรอ request ที่ค้างอยู่
+const startServer = () => new Promise((resolve) => {
+  const releases = [];
+  const serverApp = express();
+  serverApp.get("/slow", (req, res) => {
+    releases.push(() => res.json({ done: true }));
+  });
+  const server = serverApp.listen(0, '127.0.0.1', () => resolve({ server, releases }));
+});
+
+// ส่ง request แล้วคืนค่า promise ของ body (resolve เมื่อ response จบ)
+const get = (server, path) => new Promise((resolve, reject) => {
+  const req = http.get({ host: '127.0.0.1', port: server.address().port, path, agent: false }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ statusCode: res.statusCode, body }));
+  });
+  req.on('error', reject);
+});
+
+// รอจนกว่า condition เป็นจริง (ใช้รอให้ request ไปถึง route)
+const waitFor = async (condition) => {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 5));
+};
+
+const silentLogger = createLogger({ level: 'silent' });
+
+describe("registerGracefulShutdown", () => {
+  it("should stop being ready and drain in-flight requests before exiting", async () => {
+    // ทดสอบลำดับการ shutdown: readiness false -> รอ request ค้าง -> exit(0)
+    const { server, releases } = await startServer();
+    const health = createHealthChecks();
+    const exit = jest.fn();
+    const shutdown = registerGracefulShutdown(server, { health, logger: silentLogger, signals: [], exit });
+
+    const inFlight = get(server, "/slow");
+    await waitFor(() => releases.length === 1);
+    const closing = shutdown('SIGTERM');
+
+    expect(health.shuttingDown).toBe(true);
+    expect(shutdown('SIGTERM')).toBe(closing); // เรียกซ้ำได้ผลเดิม
+    await expect(get(server, "/slow")).rejects.toThrow(); // ไม่รับการเชื่อมต่อใหม่
+    expect(exit).not.toHaveBeenCalled();
+
+    releases[0]();
+    expect(await inFlight).toEqual({ statusCode: 200, body: '{"done":true}' });
+    expect(await closing).toBe(0);
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+
+  it("should force-close connections when the deadline passes", async () => {
+    // ทดสอบ request ที่ไม่จบภายในเวลาที่กำหนด
+    const { server, releases } = await startServer();
+    const exit = jest.fn();
+    const shutdown = registerGracefulShutdown(server, { logger: silentLogger, signals: [], exit, timeoutMs: 50 });
+
+    const stuck = get(server, "/slow");
+    await waitFor(() => releases.length === 1);
+
+    expect(await shutdown('SIGTERM')).toBe(1);
+    expect(exit).toHaveBeenCalledWith(1);
+    await expect(stuck).rejects.toThrow(); // การเชื่อมต่อถูกตัด
+  });
+
+  it("should shut down when the process receives a registered signal", async () => {
+    // ทดสอบการผูกกับ signal จริง
+    const { server } = await startServer();
+    const exit = jest.fn();
+    registerGracefulShutdown(server, { logger: silentLogger, signals: ['SIGUSR2'], exit });
+
+    process.emit('SIGUSR2');
+    await waitFor(() => exit.mock.calls.length > 0);
+
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+});
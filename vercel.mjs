@@ -0,0 +1,5 @@
+// vercel.mjs
+// entry point ของ Vercel (@vercel/node ต้องการ app เป็น default export) - การตั้งค่ามาจาก environment variables
+import { createApp } from "./app.mjs";
+
+export default createApp();